@@ -1,6 +1,8 @@
 import { BrowserRouter as Router, Routes, Route } from "react-router-dom";
 import MapScreen from "./pages/MapScreen";
 import FarmGame from "./pages/FarmGame";
+import SeasonReport from "./pages/SeasonReport";
+import Leaderboard from "./pages/Leaderboard";
 
 export default function App() {
   return (
@@ -8,6 +10,8 @@ export default function App() {
       <Routes>
         <Route path="/" element={<MapScreen />} />
         <Route path="/farm" element={<FarmGame />} />
+        <Route path="/report" element={<SeasonReport />} />
+        <Route path="/leaderboard" element={<Leaderboard />} />
       </Routes>
     </Router>
   );
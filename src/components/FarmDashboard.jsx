@@ -0,0 +1,268 @@
+// FarmDashboard.jsx
+import React, { useState } from "react";
+import {
+  Chart,
+  LineController,
+  LineElement,
+  PointElement,
+  LinearScale,
+  CategoryScale,
+  Title,
+  Tooltip,
+  Legend
+} from "chart.js";
+import { Line } from "react-chartjs-2";
+import { INSTALL_DRIP } from "../game/engine";
+import { getCrop } from "../game/crops";
+import { cropName, displayUnit, formatNumber, t, toDisplay } from "../game/i18n";
+
+Chart.register(LineController, LineElement, PointElement, LinearScale, CategoryScale, Title, Tooltip, Legend);
+
+// Which charts and series the player switched off: { charts: [id], series: ["chart.series"], markers }
+const SETTINGS_KEY = "dashboardSettings";
+
+// One marker row per action along the bottom of each chart, named marker.<action>
+const ACTION_MARKERS = [
+  { action: "Irrigate", color: "#2980b9", pointStyle: "triangle", symbol: "▲" },
+  { action: "Fertilize", color: "#27ae60", pointStyle: "rect", symbol: "■" },
+  { action: "Scout", color: "#f39c12", pointStyle: "crossRot", symbol: "✕" },
+  { action: "Treat", color: "#c0392b", pointStyle: "rectRot", symbol: "◆" },
+  { action: INSTALL_DRIP, color: "#16a085", pointStyle: "star", symbol: "✱" },
+];
+// The hidden marker axis runs 0..MARKER_AXIS_MAX; rows sit in its bottom part
+const MARKER_AXIS_MAX = 12;
+
+// `axis` is "y" (left) or "y1" (right); each chart names its two axes by a
+// unit, a locale key or both. Titles are chart.<id> and series names
+// chart.series.<id> in the locale files; values in a metric `unit` are
+// converted to the player's units.
+const CHARTS = [
+  {
+    id: "water",
+    axes: { y: { unit: "%" }, y1: { unit: "mm" } },
+    series: [
+      { id: "soilMoisture", unit: "%", color: "#2ecc71", axis: "y", value: (p) => p.soilMoisture },
+      { id: "tank", unit: "%", color: "#16a085", axis: "y", value: (p) => p.tank },
+      { id: "precip", unit: "mm", color: "#3498db", axis: "y1", value: (p) => p.precip },
+      { id: "eto", unit: "mm", color: "#e74c3c", axis: "y1", value: (p) => p.eto },
+    ],
+  },
+  {
+    id: "crop",
+    axes: { y: { key: "chart.index" }, y1: { key: "chart.nitrogenAxis", unit: "kg/ha" } },
+    series: [
+      { id: "cropHealth", color: "#e67e22", axis: "y", value: (p) => p.cropHealth },
+      { id: "yieldPercent", color: "#d4ac0d", axis: "y", value: (p) => p.yieldPercent },
+      { id: "sustainability", color: "#8e44ad", axis: "y", value: (p) => p.sustainability },
+      { id: "pests", color: "#c0392b", axis: "y", value: (p) => p.pests },
+      { id: "diseaseRisk", color: "#7f8c8d", axis: "y", value: (p) => p.diseaseRisk },
+      { id: "nitrogen", unit: "kg/ha", color: "#27ae60", axis: "y1", value: (p) => p.nitrogen },
+    ],
+  },
+  {
+    id: "market",
+    axes: { y: { unit: "₦" }, y1: { key: "chart.priceAxis" } },
+    series: [
+      { id: "money", unit: "₦", color: "#111827", axis: "y", value: (p) => p.money },
+      { id: "marketPrice", color: "#d35400", axis: "y1", value: (p) => p.marketPrice },
+    ],
+  },
+  {
+    id: "temperature",
+    axes: { y: { unit: "°C" } },
+    series: [
+      { id: "tmax", unit: "°C", color: "#e74c3c", axis: "y", value: (p) => p.tmax },
+      { id: "tmin", unit: "°C", color: "#3498db", axis: "y", value: (p) => p.tmin },
+    ],
+  },
+];
+
+// One chart per plot when the farm is split
+function plotCharts(plots) {
+  if (plots.length < 2) return [];
+  return plots.map((plot, i) => ({
+    id: `plot${i}`,
+    title: `${getCrop(plot.cropType).emoji} ${t("plot.label", { n: i + 1 })} · ${cropName(getCrop(plot.cropType))}`,
+    plot: i,
+    axes: { y: { unit: "%" } },
+    series: [
+      { id: "soilMoisture", unit: "%", color: "#2ecc71", axis: "y", value: (p) => p.plots?.[i]?.soilMoisture },
+      { id: "cropHealth", color: "#e67e22", axis: "y", value: (p) => p.plots?.[i]?.cropHealth },
+    ],
+  }));
+}
+
+function chartTitle(spec) {
+  return spec.title ?? t(`chart.${spec.id}`);
+}
+
+function seriesLabel(series) {
+  return t(`chart.series.${series.id}`, { unit: displayUnit(series.unit) });
+}
+
+function axisTitle(axis) {
+  return axis.key ? t(axis.key, { unit: displayUnit(axis.unit) }) : displayUnit(axis.unit);
+}
+
+function markerLabel(marker) {
+  return t(`marker.${marker.action}`);
+}
+
+function loadSettings() {
+  try {
+    return { charts: [], series: [], markers: true, ...JSON.parse(localStorage.getItem(SETTINGS_KEY)) };
+  } catch {
+    return { charts: [], series: [], markers: true };
+  }
+}
+
+function toggled(list, id) {
+  return list.includes(id) ? list.filter((x) => x !== id) : [...list, id];
+}
+
+// Actions of one kind taken on a history point, limited to one plot if given
+function actionsAt(point, action, plot) {
+  return (point.actions || []).filter((a) => a.action === action && (plot === undefined || a.plot === plot));
+}
+
+function chartData(spec, history, settings, multi) {
+  const datasets = spec.series.map((s) => ({
+    label: seriesLabel(s),
+    data: history.map((p) => toDisplay(s.value(p) ?? null, s.unit)),
+    borderColor: s.color,
+    backgroundColor: s.color,
+    yAxisID: s.axis,
+    hidden: settings.series.includes(`${spec.id}.${s.id}`),
+    pointRadius: 0,
+    spanGaps: true,
+    fill: false,
+  }));
+  if (settings.markers) {
+    ACTION_MARKERS.forEach((m, row) => {
+      const data = history.map((p) => (actionsAt(p, m.action, spec.plot).length ? 0.5 + row * 0.6 : null));
+      if (!data.some((v) => v !== null)) return;
+      datasets.push({
+        label: markerLabel(m),
+        marker: m,
+        data,
+        yAxisID: "markers",
+        showLine: false,
+        pointStyle: m.pointStyle,
+        pointRadius: 5,
+        borderColor: m.color,
+        backgroundColor: m.color,
+        // Tooltip detail: which plots the action was taken on
+        plots: history.map((p) =>
+          multi && spec.plot === undefined ? actionsAt(p, m.action).map((a) => `P${a.plot + 1}`).join(", ") : ""
+        ),
+      });
+    });
+  }
+  return { labels: history.map((p) => p.day), datasets };
+}
+
+function chartOptions(spec, onToggle) {
+  const scales = {
+    y: { position: "left", title: { display: true, text: axisTitle(spec.axes.y) } },
+    markers: { display: false, min: 0, max: MARKER_AXIS_MAX },
+  };
+  if (spec.axes.y1) {
+    scales.y1 = { position: "right", title: { display: true, text: axisTitle(spec.axes.y1) }, grid: { drawOnChartArea: false } };
+  }
+  return {
+    responsive: true,
+    animation: false,
+    interaction: { mode: "index", intersect: false },
+    scales,
+    plugins: {
+      title: { display: true, text: chartTitle(spec) },
+      legend: {
+        position: "top",
+        labels: { boxWidth: 10, font: { size: 10 }, filter: (item, data) => !data.datasets[item.datasetIndex].marker },
+        onClick: (_, item) => onToggle(spec.id, spec.series[item.datasetIndex].id),
+      },
+      tooltip: {
+        filter: (item) => item.raw !== null,
+        callbacks: {
+          label: (item) => {
+            if (item.dataset.marker) {
+              const plots = item.dataset.plots[item.dataIndex];
+              return `${item.dataset.label}${plots ? ` (${plots})` : ""}`;
+            }
+            return `${item.dataset.label}: ${formatNumber(item.parsed.y, 1)}`;
+          },
+        },
+      },
+    },
+  };
+}
+
+// React-managed dashboard charts of the history points (see saves.js historyPoint),
+// with per-chart and per-series toggles remembered between games
+export default function FarmDashboard({ history, plots }) {
+  const [settings, setSettings] = useState(loadSettings);
+  const charts = [...CHARTS, ...plotCharts(plots)];
+  const multi = plots.length > 1;
+
+  const update = (change) => {
+    setSettings((current) => {
+      const next = { ...current, ...change(current) };
+      localStorage.setItem(SETTINGS_KEY, JSON.stringify(next));
+      return next;
+    });
+  };
+  const toggleChart = (id) => update((s) => ({ charts: toggled(s.charts, id) }));
+  const toggleSeries = (chartId, seriesId) => update((s) => ({ series: toggled(s.series, `${chartId}.${seriesId}`) }));
+
+  if (!history.length) return null;
+
+  return (
+    <div>
+      <details className="mb-2 border border-gray-300 p-2 bg-white text-xs">
+        <summary className="cursor-pointer font-semibold text-sm">{t("chart.choose")}</summary>
+        <label className="block mt-1">
+          <input type="checkbox" checked={settings.markers} onChange={() => update((s) => ({ markers: !s.markers }))} />{" "}
+          {t("chart.markers")}
+        </label>
+        {charts.map((spec) => (
+          <div key={spec.id} className="mt-1">
+            <label className="font-semibold">
+              <input type="checkbox" checked={!settings.charts.includes(spec.id)} onChange={() => toggleChart(spec.id)} />{" "}
+              {chartTitle(spec)}
+            </label>
+            <div className="ml-4 flex flex-wrap gap-x-3">
+              {spec.series.map((s) => (
+                <label key={s.id} style={{ color: s.color }}>
+                  <input
+                    type="checkbox"
+                    checked={!settings.series.includes(`${spec.id}.${s.id}`)}
+                    disabled={settings.charts.includes(spec.id)}
+                    onChange={() => toggleSeries(spec.id, s.id)}
+                  />{" "}
+                  {seriesLabel(s)}
+                </label>
+              ))}
+            </div>
+          </div>
+        ))}
+      </details>
+      {charts
+        .filter((spec) => !settings.charts.includes(spec.id))
+        .map((spec) => (
+          <div key={spec.id} className="bg-white border border-gray-300 mb-2 p-1">
+            <Line data={chartData(spec, history, settings, multi)} options={chartOptions(spec, toggleSeries)} />
+          </div>
+        ))}
+      {settings.markers && (
+        <p className="text-xs text-gray-500 mb-2">
+          {t("chart.markersKey")}{" "}
+          {ACTION_MARKERS.map((m) => (
+            <span key={m.action} className="mr-2" style={{ color: m.color }}>
+              {m.symbol} {markerLabel(m)}
+            </span>
+          ))}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,143 @@
+// src/game/advisor.js
+// The Navigator Drone: reads a plot's state plus this step's and the next
+// step's weather and recommends one action with a plain-language reason. In
+// play it is given the forecast (see forecastView), never the real weather.
+// Rules are checked in priority order; the first that fires wins. Advice is
+// a hint only and never changes the state.
+
+import { getCrop, stageForDay } from "./crops.js";
+import { INSTALL_DRIP, daysAfterPlanting } from "./engine.js";
+import { cropName, formatQuantity, stageName, stepLabel, t } from "./i18n.js";
+import { irrigationMethod } from "./infrastructure.js";
+import { DISEASE_RISK_THRESHOLD } from "./pests.js";
+
+// Scouting results older than this many days are stale
+const SCOUT_EVERY_DAYS = 7;
+// Scouted levels worth spraying for. Each spray costs sustainability, so the
+// bar is high and sprays are spaced out and capped over the season.
+const TREAT_PESTS = 60;
+const TREAT_DISEASE = 45;
+const SPRAY_INTERVAL_DAYS = 21;
+const MAX_SPRAYS = 4;
+// Mean daily rain (mm) that makes irrigating pointless or fertilizing risky
+const SOAKING_RAIN_MM = 8;
+const LEACHING_RAIN_MM = 8;
+// Top nitrogen up only once the crop has drawn it below this share of its need,
+// so less stands in the soil for rain to wash out
+const FERTILIZE_BELOW = 0.85;
+
+function rainMm(weather) {
+  return Math.max(0, weather?.precip ?? 0);
+}
+
+function perDay(weather) {
+  return rainMm(weather) / (weather?.days || 1);
+}
+
+// { action, plot, reason } for one plot
+export function advise(state, weatherSeries, plotIndex = 0) {
+  const plot = state.plots[plotIndex];
+  const crop = getCrop(plot.cropType);
+  const stepDays = state.stepDays || 1;
+  const now = weatherSeries[state.day - 1];
+  const next = weatherSeries[state.day];
+  const nowLabel = t(stepDays === 1 ? "advice.today" : "advice.thisWeek");
+  const nextLabel = t(stepDays === 1 ? "advice.tomorrow" : "advice.nextWeek");
+  const [low] = crop.moistureRange;
+  const stage = stageForDay(crop, daysAfterPlanting(state)).name;
+  const daysSinceScout = plot.scouted ? (state.day - plot.scouted.day) * stepDays : Infinity;
+  const recommend = (action, reason) => ({ action, plot: plotIndex, reason });
+
+  // 1. Act on a fresh scouting report, unless it has been sprayed since or
+  // too recently, or the season's sprays are used up
+  const sprayedSince = plot.lastTreated !== null && plot.lastTreated >= plot.scouted?.day;
+  const daysSinceSpray = plot.lastTreated === null ? Infinity : (state.day - plot.lastTreated) * stepDays;
+  const canSpray = !sprayedSince && daysSinceSpray >= SPRAY_INTERVAL_DAYS && plot.treatments < MAX_SPRAYS;
+  if (plot.scouted && daysSinceScout < SCOUT_EVERY_DAYS && canSpray) {
+    if (plot.scouted.pests >= TREAT_PESTS) {
+      return recommend("Treat", t("advice.treatPests", { pests: plot.scouted.pests }));
+    }
+    if (plot.scouted.disease >= TREAT_DISEASE) {
+      return recommend("Treat", t("advice.treatDisease", { disease: plot.scouted.disease }));
+    }
+  }
+
+  // 2. Water
+  if (plot.soilMoisture < low) {
+    const comingMm = perDay(now) >= SOAKING_RAIN_MM ? rainMm(now) : perDay(next) >= SOAKING_RAIN_MM ? rainMm(next) : 0;
+    if (comingMm > 0) {
+      const when = perDay(now) >= SOAKING_RAIN_MM ? nowLabel : nextLabel;
+      return recommend("Wait", t("advice.rainComing", { rain: formatQuantity(comingMm, "mm", 0), when }));
+    }
+    if (state.tank.storedM3 <= 0) {
+      return recommend("Wait", t("advice.tankEmpty"));
+    }
+    return recommend(
+      "Irrigate",
+      t("advice.irrigate", {
+        moisture: plot.soilMoisture.toFixed(0),
+        low,
+        crop: cropName(crop).toLocaleLowerCase(),
+        method: t(`irrigation.${irrigationMethod(plot).id}`).toLocaleLowerCase(),
+      })
+    );
+  }
+
+  // 3. Nitrogen, while the crop can still use it
+  if (plot.nitrogen < crop.nitrogenNeed * FERTILIZE_BELOW && stage !== "late") {
+    if (perDay(now) >= LEACHING_RAIN_MM || perDay(next) >= LEACHING_RAIN_MM) {
+      const mm = perDay(now) >= LEACHING_RAIN_MM ? rainMm(now) : rainMm(next);
+      return recommend("Wait", t("advice.leaching", { rain: formatQuantity(mm, "mm", 0) }));
+    }
+    return recommend(
+      "Fertilize",
+      t("advice.fertilize", {
+        nitrogen: formatQuantity(plot.nitrogen, "kg/ha", 0),
+        crop: cropName(crop).toLocaleLowerCase(),
+        need: formatQuantity(crop.nitrogenNeed, "kg/ha", 0),
+        stage: stageName(stage),
+      })
+    );
+  }
+
+  // 4. Keep an eye on pests and disease
+  if (plot.diseaseRisk >= DISEASE_RISK_THRESHOLD && daysSinceScout >= stepDays) {
+    return recommend("Scout", t("advice.diseaseRisk", { risk: plot.diseaseRisk.toFixed(0) }));
+  }
+  if (daysSinceScout >= SCOUT_EVERY_DAYS) {
+    return recommend(
+      "Scout",
+      plot.scouted
+        ? t("advice.scoutAgain", { step: stepLabel(plot.scouted.day, stepDays) })
+        : t("advice.scoutFirst")
+    );
+  }
+
+  return recommend("Wait", t("advice.allFine"));
+}
+
+// Did the actions taken on the advised plot this step follow the advice?
+// "Wait" is followed by not spending anything on that plot. Installing drip is
+// infrastructure, not a field intervention, so it doesn't count either way.
+export function adviceFollowed(advice, actions) {
+  const onPlot = actions.filter((a) => a.plot === advice.plot && a.action !== INSTALL_DRIP).map((a) => a.action);
+  if (advice.action === "Wait") return onPlot.every((a) => a === "Wait");
+  return onPlot.includes(advice.action);
+}
+
+// Summary of advice records ({ day, action, plot, followed }) for the end screen
+export function adherenceReport(records) {
+  const byAction = {};
+  for (const r of records) {
+    byAction[r.action] = byAction[r.action] || { given: 0, followed: 0 };
+    byAction[r.action].given += 1;
+    if (r.followed) byAction[r.action].followed += 1;
+  }
+  const followed = records.filter((r) => r.followed).length;
+  return {
+    given: records.length,
+    followed,
+    rate: records.length ? followed / records.length : 0,
+    byAction,
+  };
+}
@@ -0,0 +1,160 @@
+// src/game/crops.js
+// Crop profile registry. Stage lengths and Kc values follow FAO-56 (Tables 11
+// and 12); the demand and susceptibility numbers are game-scale indices.
+//
+//   stages          - growth stages in order, `days` long each
+//   kc              - FAO-56 crop coefficients { ini, mid, end }
+//   moistureRange   - soil moisture % band with no water stress
+//   nitrogenNeed    - soil mineral N (kg/ha) that fully meets demand
+//   nitrogenUptake  - kg N/ha the crop takes up per day at peak uptake
+//   pestSusceptibility - multiplier on daily pest growth
+//   potentialYield  - t/ha harvested with no stress at all
+//   yieldResponse   - FAO-33 water Ky: yield lost per unit of water stress
+//                     (tabulated values; rice and cassava are estimates)
+//   pricePerTonne   - farm-gate price (₦/t) at a market price of 1
+
+export const CROPS = {
+  maize: {
+    id: "maize",
+    label: "Maize",
+    emoji: "🌽",
+    stages: [
+      { name: "initial", days: 20 },
+      { name: "development", days: 35 },
+      { name: "mid", days: 40 },
+      { name: "late", days: 30 },
+    ],
+    kc: { ini: 0.3, mid: 1.2, end: 0.35 },
+    moistureRange: [45, 80],
+    nitrogenNeed: 60,
+    nitrogenUptake: 2.5,
+    pestSusceptibility: 1.0,
+    potentialYield: 6,
+    yieldResponse: 1.25,
+    pricePerTonne: 50,
+  },
+  rice: {
+    id: "rice",
+    label: "Rice",
+    emoji: "🌾",
+    stages: [
+      { name: "initial", days: 30 },
+      { name: "development", days: 30 },
+      { name: "mid", days: 60 },
+      { name: "late", days: 30 },
+    ],
+    kc: { ini: 1.05, mid: 1.2, end: 0.75 },
+    moistureRange: [70, 100],
+    nitrogenNeed: 50,
+    nitrogenUptake: 1.5,
+    pestSusceptibility: 1.2,
+    potentialYield: 5,
+    yieldResponse: 1.1,
+    pricePerTonne: 60,
+  },
+  wheat: {
+    id: "wheat",
+    label: "Wheat",
+    emoji: "🌾",
+    stages: [
+      { name: "initial", days: 20 },
+      { name: "development", days: 25 },
+      { name: "mid", days: 60 },
+      { name: "late", days: 30 },
+    ],
+    kc: { ini: 0.3, mid: 1.15, end: 0.3 },
+    moistureRange: [40, 75],
+    nitrogenNeed: 55,
+    nitrogenUptake: 1.8,
+    pestSusceptibility: 0.9,
+    potentialYield: 4,
+    yieldResponse: 1.15,
+    pricePerTonne: 75,
+  },
+  soybean: {
+    id: "soybean",
+    label: "Soybean",
+    emoji: "🌱",
+    stages: [
+      { name: "initial", days: 15 },
+      { name: "development", days: 15 },
+      { name: "mid", days: 40 },
+      { name: "late", days: 15 },
+    ],
+    kc: { ini: 0.4, mid: 1.15, end: 0.5 },
+    moistureRange: [45, 80],
+    // Legume: fixes most of its own nitrogen
+    nitrogenNeed: 25,
+    nitrogenUptake: 1.0,
+    pestSusceptibility: 1.1,
+    potentialYield: 2.5,
+    yieldResponse: 0.85,
+    pricePerTonne: 120,
+  },
+  cassava: {
+    id: "cassava",
+    label: "Cassava",
+    emoji: "🥔",
+    stages: [
+      { name: "initial", days: 20 },
+      { name: "development", days: 40 },
+      { name: "mid", days: 90 },
+      { name: "late", days: 60 },
+    ],
+    kc: { ini: 0.3, mid: 0.8, end: 0.3 },
+    // Drought tolerant, dislikes waterlogging
+    moistureRange: [25, 70],
+    nitrogenNeed: 35,
+    nitrogenUptake: 0.8,
+    pestSusceptibility: 0.7,
+    potentialYield: 20,
+    yieldResponse: 0.7,
+    pricePerTonne: 15,
+  },
+};
+
+export const DEFAULT_CROP = "maize";
+
+export function getCrop(id) {
+  return CROPS[id] || CROPS[DEFAULT_CROP];
+}
+
+export function seasonLength(crop) {
+  return crop.stages.reduce((sum, s) => sum + s.days, 0);
+}
+
+// Growth stage for a 1-based day after planting, with progress (0-1) through it
+export function stageForDay(crop, day) {
+  let start = 0;
+  for (const stage of crop.stages) {
+    if (day <= start + stage.days) {
+      return { ...stage, progress: Math.max(0, day - start - 1) / stage.days };
+    }
+    start += stage.days;
+  }
+  const last = crop.stages[crop.stages.length - 1];
+  return { ...last, progress: 1 };
+}
+
+// FAO-56 piecewise-linear Kc curve: flat Kc ini, ramp to Kc mid during
+// development, flat through mid-season, then down to Kc end.
+export function kcForDay(crop, day) {
+  const { kc } = crop;
+  const stage = stageForDay(crop, day);
+  switch (stage.name) {
+    case "initial":
+      return kc.ini;
+    case "development":
+      return kc.ini + (kc.mid - kc.ini) * stage.progress;
+    case "mid":
+      return kc.mid;
+    default:
+      return kc.mid + (kc.end - kc.mid) * stage.progress;
+  }
+}
+
+// Share of peak nitrogen uptake for the current stage
+export function nitrogenUptakeFactor(crop, day) {
+  const factors = { initial: 0.3, development: 1.0, mid: 0.8, late: 0.2 };
+  return factors[stageForDay(crop, day).name] ?? 0.5;
+}
@@ -0,0 +1,738 @@
+// src/game/engine.js
+// Headless farm rules. No Phaser, React or DOM in here: every function takes a
+// state object and returns a new one plus a list of events for the UI to render.
+// Randomness comes from a seeded generator carried in the state, so the same
+// setup, weather and action log always produce the same season.
+
+import { getCrop, kcForDay } from "./crops.js";
+import { DRIP_COST, createTank, drawFromTank, irrigationMethod, refillTank } from "./infrastructure.js";
+import { FERTILIZER_DOSE_KG, STARTING_N_KG, emptyNitrogenFlows, leachedN, nitrogenDay } from "./nitrogen.js";
+import { DISEASE_RISK_THRESHOLD, TREATMENT_EFFECT, pestDay } from "./pests.js";
+import { makeRandom, randomSeed, seedToState } from "./rng.js";
+import { DEFAULT_SOIL, availableCapacity, getSoil } from "./soils.js";
+import { sustainabilityBreakdown, sustainabilityScore } from "./sustainability.js";
+import { DEFAULT_ETO_MM, moisturePercent, waterBalanceStep } from "./water.js";
+import { addStress, emptyStress, harvestValue, projectedYield } from "./yield.js";
+
+// Bump whenever a rule change would give a different outcome for the same
+// setup, weather and log. Saved seasons from older rules get replayed.
+export const RULES_VERSION = 15;
+
+export const ACTIONS = ["Irrigate", "Fertilize", "Scout", "Treat", "Wait"];
+export const NEXT_DAY = "NextDay";
+// One-off investment on a plot rather than a field action: no weather tick
+export const INSTALL_DRIP = "InstallDrip";
+
+// Per hectare; everything money- and volume-related scales with field area
+export const COSTS = { Irrigate: 3, Fertilize: 2, Scout: 1, Treat: 4, Wait: 0 };
+export const STARTING_MONEY = 20;
+
+// Irrigation depth (mm) over an area (ha) as a volume in m³
+export function waterVolumeM3(mm, areaHa) {
+  return mm * areaHa * 10;
+}
+
+export function clamp(v, min, max) {
+  return Math.max(min, Math.min(max, v));
+}
+
+// Integer in [min, max], same contract as Phaser.Math.Between
+function between(random, min, max) {
+  return Math.floor(random() * (max - min + 1)) + min;
+}
+
+function floatBetween(random, min, max) {
+  return random() * (max - min) + min;
+}
+
+// Bucket daily precipitation (mm) into the levels the rules are written against
+export function rainLevel(mm) {
+  if (mm === null || mm === undefined) return "medium";
+  if (mm === 0) return "none";
+  if (mm < 3) return "low";
+  if (mm < 10) return "medium";
+  return "high";
+}
+
+// Rain level of a (possibly multi-day) weather record, from its mean daily rain
+export function stepRainLevel(weather = {}) {
+  if (weather.precip === null || weather.precip === undefined) return rainLevel(weather.precip);
+  return rainLevel(weather.precip / (weather.days || 1));
+}
+
+// One plot's own soil and crop state. `share` is not stored: income and costs
+// scale with each plot's own areaHa.
+export function createPlot({
+  cropType = "maize",
+  areaHa = 1,
+  soilType = DEFAULT_SOIL,
+  availableWater = availableCapacity(getSoil(soilType)) * 0.5,
+} = {}) {
+  return {
+    cropType,
+    areaHa,
+    soilType,
+    // Pest and disease pressure (0-100) are hidden from the player until
+    // scouted; `scouted` is the last estimate, { day, pests, disease }
+    pests: 15,
+    diseaseRisk: 0,
+    disease: 0,
+    scouted: null,
+    treatments: 0,
+    lastTreated: null,
+    drip: false,
+    // Soil mineral N pool, kg/ha, and where it came from and went this season
+    nitrogen: STARTING_N_KG,
+    nitrogenFlows: emptyNitrogenFlows(),
+    cropHealth: 70,
+    // Stress-days so far ({ water, nitrogen, pests }) and the yield (t/ha)
+    // they leave if the rest of the season goes unstressed
+    stress: emptyStress(),
+    projectedYield: getCrop(cropType).potentialYield,
+    // Root-zone water above wilting point in mm; soilMoisture is the same
+    // thing as % of the soil's available capacity
+    availableWater,
+    soilMoisture: moisturePercent(availableWater, getSoil(soilType)),
+    // Season water totals in mm
+    // wastedIrrigation: irrigation that left the root zone instead of being used
+    water: { rain: 0, irrigation: 0, et: 0, drainage: 0, runoff: 0, wastedIrrigation: 0 },
+    actionsToday: [],
+  };
+}
+
+// Farm-level totals over the plots: areas add up, soil and crop figures are
+// area-weighted means, water and nitrogen totals are area-weighted per ha over
+// the whole farm. Sustainability is scored from those totals. Written onto the
+// top level of the state so single-plot code can ignore plots.
+export function farmTotals(plots) {
+  const areaHa = plots.reduce((sum, p) => sum + p.areaHa, 0) || 1;
+  const mean = (key) => plots.reduce((sum, p) => sum + p[key] * p.areaHa, 0) / areaHa;
+  const meanOf = (group, key) => plots.reduce((sum, p) => sum + (p[group][key] || 0) * p.areaHa, 0) / areaHa;
+  const water = Object.fromEntries(Object.keys(plots[0].water).map((key) => [key, meanOf("water", key)]));
+  const nitrogenFlows = Object.fromEntries(
+    Object.keys(plots[0].nitrogenFlows).map((key) => [key, meanOf("nitrogenFlows", key)])
+  );
+  return {
+    areaHa,
+    pests: mean("pests"),
+    diseaseRisk: mean("diseaseRisk"),
+    disease: mean("disease"),
+    treatments: mean("treatments"),
+    nitrogen: mean("nitrogen"),
+    cropHealth: mean("cropHealth"),
+    availableWater: mean("availableWater"),
+    soilMoisture: mean("soilMoisture"),
+    // Whole-farm tonnes, since plots may grow different crops
+    projectedTonnes: plots.reduce((sum, p) => sum + p.projectedYield * p.areaHa, 0),
+    water,
+    nitrogenFlows,
+    sustainability: sustainabilityScore(
+      sustainabilityBreakdown({ water, nitrogenFlows, treatments: mean("treatments") })
+    ),
+  };
+}
+
+function withPlots(state, plots) {
+  return { ...state, plots, ...farmTotals(plots) };
+}
+
+// `plots` is a list of { cropType, areaHa, soilType? }; without it the farm is
+// a single plot of `cropType` over `areaHa`. Plots without their own soil get
+// the farm's `soilType`; `availableWater` defaults to half the soil's capacity.
+// `seasonDays` is the real number of days, which can end on a short last step
+// (see seasonDaysOf).
+export function createInitialState({
+  cropType = "maize",
+  locationName = "Unknown",
+  seasonLength = 10,
+  stepDays = 1,
+  seasonDays = seasonLength * stepDays,
+  areaHa = 1,
+  plots = [{ cropType, areaHa }],
+  soilType = DEFAULT_SOIL,
+  availableWater,
+  seed = randomSeed(),
+} = {}) {
+  const plotStates = plots.map((p) => createPlot({ soilType, ...p, availableWater }));
+  return withPlots(
+    {
+      // Everything needed to rebuild this state from scratch
+      setup: { cropType, locationName, seasonLength, stepDays, seasonDays, plots, soilType, availableWater, seed },
+      seed,
+      rngState: seedToState(seed),
+      // Every step applied so far, in order: { day, action, plot }
+      log: [],
+      // Set once the player undoes a finished step or rewinds; kept off the leaderboard
+      practice: false,
+      cropType: plots[0].cropType,
+      locationName,
+      soilType,
+      // `day` counts game steps of `stepDays` days each (1 = daily, 7 = weekly)
+      seasonLength,
+      stepDays,
+      seasonDays,
+      day: 1,
+      money: STARTING_MONEY * plots.reduce((sum, p) => sum + p.areaHa, 0),
+      marketPrice: 1.0,
+      // Rainwater tank shared by all plots, sized by farm area
+      tank: createTank(plots.reduce((sum, p) => sum + p.areaHa, 0)),
+      // Actions taken this step across the farm: { action, plot }
+      actionsToday: [],
+    },
+    plotStates
+  );
+}
+
+// Days since planting at the start of step `day`
+export function daysAfterPlanting({ day, stepDays = 1 }) {
+  return (day - 1) * stepDays + 1;
+}
+
+export function isSeasonOver(state) {
+  return state.day > state.seasonLength;
+}
+
+// 100 inside the crop's comfortable moisture band, falling 3 points per % outside
+export function moistureScore(crop, soilMoisture) {
+  const [low, high] = crop.moistureRange;
+  const gap = soilMoisture < low ? low - soilMoisture : soilMoisture > high ? soilMoisture - high : 0;
+  return clamp(100 - gap * 3, 0, 100);
+}
+
+export function nitrogenScore(crop, nitrogen) {
+  return clamp((nitrogen / crop.nitrogenNeed) * 100, 0, 100);
+}
+
+// Daily health from water, nitrogen and the worse of pest or disease stress,
+// judged against the crop profile
+export function cropHealthFrom({ cropType, soilMoisture, nitrogen, pests, disease = 0 }) {
+  const crop = getCrop(cropType);
+  return clamp(
+    moistureScore(crop, soilMoisture) * 0.4 +
+      nitrogenScore(crop, nitrogen) * 0.4 +
+      (100 - Math.max(pests, disease)) * 0.2,
+    0,
+    100
+  );
+}
+
+// Labour hours per hectare each action takes, and the hours the farm has per
+// hectare each day. Both scale with area, so a farm of any size can take
+// every action and the trade-off is the same on a garden or a drawn field.
+export const LABOUR_HOURS = { Irrigate: 3, Fertilize: 2, Scout: 1, Treat: 3, Wait: 0 };
+export const LABOUR_HOURS_PER_HA_DAY = 8;
+
+export function labourBudget(state) {
+  return LABOUR_HOURS_PER_HA_DAY * state.areaHa * (state.stepDays || 1);
+}
+
+export function labourNeeded(state, action, plotIndex = 0) {
+  return (LABOUR_HOURS[action] ?? 0) * state.plots[plotIndex].areaHa;
+}
+
+// Hours already planned this step
+export function labourUsed(state) {
+  return state.actionsToday.reduce((sum, a) => sum + (a.action === INSTALL_DRIP ? 0 : labourNeeded(state, a.action, a.plot)), 0);
+}
+
+export function labourLeft(state) {
+  return labourBudget(state) - labourUsed(state);
+}
+
+function withActionsToday(state, actionsToday, log) {
+  const plots = state.plots.map((p, i) => ({
+    ...p,
+    actionsToday: actionsToday.filter((a) => a.plot === i).map((a) => a.action),
+  }));
+  return withPlots({ ...state, actionsToday, log }, plots);
+}
+
+// Queue one field action on one plot for the current step, if there is
+// labour left for it. Nothing happens to the farm until the step is resolved.
+export function planAction(state, action, plotIndex = 0) {
+  if (isSeasonOver(state)) return { state, events: [] };
+  if (!state.plots[plotIndex]) throw new Error(`Unknown plot: ${plotIndex}`);
+  if (!ACTIONS.includes(action)) throw new Error(`Unknown action: ${action}`);
+
+  const hours = labourNeeded(state, action, plotIndex);
+  const left = labourLeft(state);
+  if (hours > left) {
+    return { state, events: [{ type: "noLabour", action, hours, left, plot: plotIndex }] };
+  }
+  const entry = { action, plot: plotIndex };
+  return {
+    state: withActionsToday(state, [...state.actionsToday, entry], [
+      ...state.log,
+      { day: state.day, action, plot: plotIndex },
+    ]),
+    events: [{ type: "planned", action, hours, left: left - hours, plot: plotIndex }],
+  };
+}
+
+// Take the `index`-th planned action back off this step's queue. Planning
+// changes nothing else, so the log simply forgets it.
+export function cancelAction(state, index) {
+  const entry = state.actionsToday[index];
+  if (!entry || entry.action === INSTALL_DRIP) return { state, events: [] };
+  // This step's log entries line up one-to-one with actionsToday
+  const start = state.log.length - state.actionsToday.length;
+  return {
+    state: withActionsToday(
+      state,
+      state.actionsToday.filter((_, i) => i !== index),
+      state.log.filter((_, i) => i !== start + index)
+    ),
+    events: [{ type: "cancelled", action: entry.action, plot: entry.plot }],
+  };
+}
+
+// Carry out one planned action at the start of the step: { plot, tank,
+// money, work, events }. `work` collects what the weather pass needs.
+function carryOut(action, plot, plotIndex, { tank, money, work, day }) {
+  const area = plot.areaHa;
+  const events = [];
+  switch (action) {
+    case "Irrigate": {
+      const method = irrigationMethod(plot);
+      const wantedM3 = waterVolumeM3(method.mm, area);
+      const draw = drawFromTank(tank, wantedM3);
+      if (draw.drawnM3 <= 0) {
+        events.push({ type: "tankEmpty", plot: plotIndex });
+        break;
+      }
+      tank = draw.tank;
+      const drawnMm = draw.drawnM3 / waterVolumeM3(1, area);
+      work = {
+        ...work,
+        irrigationDrawn: work.irrigationDrawn + drawnMm,
+        irrigation: work.irrigation + drawnMm * method.efficiency,
+      };
+      // Pumping cost scales with the water actually delivered
+      const cost = COSTS.Irrigate * area * (draw.drawnM3 / wantedM3);
+      money -= cost;
+      events.push({
+        type: "irrigated",
+        mm: drawnMm,
+        rootZoneMm: drawnMm * method.efficiency,
+        volumeM3: draw.drawnM3,
+        method: method.id,
+        short: draw.drawnM3 < wantedM3,
+        cost,
+        plot: plotIndex,
+      });
+      break;
+    }
+    case "Fertilize": {
+      plot = { ...plot, nitrogen: plot.nitrogen + FERTILIZER_DOSE_KG };
+      work = { ...work, applied: work.applied + FERTILIZER_DOSE_KG };
+      money -= COSTS.Fertilize * area;
+      events.push({ type: "fertilized", kg: FERTILIZER_DOSE_KG, cost: COSTS.Fertilize * area, plot: plotIndex });
+      break;
+    }
+    case "Scout": {
+      // The field walk reports at the end of the step, on what it found then
+      work = { ...work, scout: true };
+      money -= COSTS.Scout * area;
+      break;
+    }
+    case "Treat": {
+      const pestsKilled = plot.pests * TREATMENT_EFFECT.pests;
+      const diseaseCleared = plot.disease * TREATMENT_EFFECT.disease;
+      plot = {
+        ...plot,
+        pests: plot.pests - pestsKilled,
+        disease: plot.disease - diseaseCleared,
+        treatments: plot.treatments + 1,
+        lastTreated: day,
+      };
+      money -= COSTS.Treat * area;
+      events.push({ type: "treated", pestsKilled, diseaseCleared, cost: COSTS.Treat * area, plot: plotIndex });
+      break;
+    }
+    case "Wait":
+      events.push({ type: "waited", plot: plotIndex });
+      break;
+    default:
+      throw new Error(`Unknown action: ${action}`);
+  }
+  return { plot, tank, money, work, events };
+}
+
+// One plot through the step's weather: water balance (irrigation in at the
+// start), nitrate leaching, the nitrogen pool, pests and disease, then the
+// scouting report, crop health, stress and the step's crop income.
+function resolvePlot(state, plot, plotIndex, work, weather, random) {
+  const crop = getCrop(plot.cropType);
+  const dap = daysAfterPlanting(state);
+  const daily = weather.daily || [weather];
+  // The last step of a season can be short: count the days it really has
+  const stepDays = weather.days || daily.length;
+  const events = [];
+
+  // Water balance, day by day through the step: crop ET is ETo x stage Kc
+  const days = daily.map((d, i) => ({
+    precip: Math.max(0, d.precip ?? 0),
+    etc: (d.eto ?? DEFAULT_ETO_MM) * kcForDay(crop, dap + i),
+  }));
+  const soil = getSoil(plot.soilType);
+  const balance = waterBalanceStep({ availableWater: plot.availableWater, soil, days, irrigation: work.irrigation });
+  // Irrigation the crop didn't get: losses on the way to the roots, plus
+  // whatever then left with drainage or runoff
+  const wastedIrrigation =
+    work.irrigationDrawn - work.irrigation + Math.min(work.irrigation, balance.drainage + balance.runoff);
+  const water = {
+    rain: plot.water.rain + Math.max(0, weather.precip ?? 0),
+    irrigation: plot.water.irrigation + work.irrigationDrawn,
+    et: plot.water.et + balance.actualEt,
+    drainage: plot.water.drainage + balance.drainage,
+    runoff: plot.water.runoff + balance.runoff,
+    wastedIrrigation: plot.water.wastedIrrigation + wastedIrrigation,
+  };
+
+  // Nitrate leaves with the drainage, then mineralization in and stage-based uptake out
+  const leached = leachedN(plot.nitrogen, balance.drainage, soil);
+  let nitrogen = Math.max(0, plot.nitrogen - leached);
+  const nitrogenFlows = {
+    ...plot.nitrogenFlows,
+    applied: plot.nitrogenFlows.applied + work.applied,
+    leached: plot.nitrogenFlows.leached + leached,
+  };
+  for (let i = 0; i < stepDays; i++) {
+    const day = nitrogenDay(nitrogen, crop, dap + i);
+    nitrogen = day.nitrogen;
+    nitrogenFlows.uptake += day.uptake;
+    nitrogenFlows.mineralized += day.mineralized;
+  }
+  events.push({
+    type: "waterBalance",
+    etc: balance.actualEt,
+    drainage: balance.drainage,
+    runoff: balance.runoff,
+    leached,
+    plot: plotIndex,
+  });
+
+  // Pests and disease, day by day from the step's temperatures, humidity and rain
+  let { pests, diseaseRisk, disease, scouted } = plot;
+  for (const d of daily) {
+    ({ pests, diseaseRisk, disease } = pestDay({ pests, diseaseRisk, disease }, d, crop));
+  }
+  if (diseaseRisk >= DISEASE_RISK_THRESHOLD && plot.diseaseRisk < DISEASE_RISK_THRESHOLD) {
+    events.push({ type: "diseaseRisk", risk: diseaseRisk, plot: plotIndex });
+  }
+
+  if (work.scout) {
+    // A field walk samples the plot: a good estimate, not the exact figure
+    scouted = {
+      day: state.day,
+      pests: clamp(Math.round(pests + between(random, -5, 5)), 0, 100),
+      disease: clamp(Math.round(disease + between(random, -5, 5)), 0, 100),
+    };
+    events.push({
+      type: "scouted",
+      pests: scouted.pests,
+      disease: scouted.disease,
+      cost: COSTS.Scout * plot.areaHa,
+      plot: plotIndex,
+    });
+  }
+
+  const soilMoisture = moisturePercent(balance.availableWater, soil);
+  const cropHealth = cropHealthFrom({ cropType: plot.cropType, soilMoisture, nitrogen, pests, disease });
+  const stress = addStress(
+    plot.stress,
+    {
+      water: 1 - moistureScore(crop, soilMoisture) / 100,
+      nitrogen: 1 - nitrogenScore(crop, nitrogen) / 100,
+      pests: Math.max(pests, disease) / 100,
+    },
+    stepDays
+  );
+
+  const rate = cropHealth > 70 ? 4 : cropHealth > 40 ? 2 : 0;
+  const income = rate * state.marketPrice * stepDays * plot.areaHa;
+  if (income > 0) events.push({ type: "income", amount: income, plot: plotIndex });
+
+  return {
+    plot: {
+      ...plot,
+      availableWater: balance.availableWater,
+      soilMoisture,
+      water,
+      nitrogen,
+      nitrogenFlows,
+      pests,
+      diseaseRisk,
+      disease,
+      scouted,
+      cropHealth,
+      stress,
+      projectedYield: projectedYield(stress, crop, state.seasonDays),
+      actionsToday: [],
+    },
+    income,
+    events,
+  };
+}
+
+// Resolve the step: the planned actions in order, then the step's weather
+// once on every plot (water, nitrogen, pests, health, income), the market
+// price walk and the tank refill, and move on. After the last step the crop
+// is harvested and sold.
+export function endDay(state, weather = {}) {
+  if (isSeasonOver(state)) return { state, events: [] };
+
+  const random = makeRandom(state.rngState);
+  const precip = Math.max(0, weather.precip ?? 0);
+  const planned = state.actionsToday;
+  const events = [{ type: "rain", level: stepRainLevel({ ...weather, precip }), mm: precip }];
+  let { tank, money } = state;
+  let plots = state.plots;
+  const work = plots.map(() => ({ irrigationDrawn: 0, irrigation: 0, applied: 0, scout: false }));
+
+  for (const { action, plot: i } of planned) {
+    if (action === INSTALL_DRIP) continue;
+    const done = carryOut(action, plots[i], i, { tank, money, work: work[i], day: state.day });
+    ({ tank, money } = done);
+    work[i] = done.work;
+    plots = plots.map((p, j) => (j === i ? done.plot : p));
+    events.push(...done.events);
+  }
+
+  plots = plots.map((plot, i) => {
+    const resolved = resolvePlot(state, plot, i, work[i], weather, random);
+    money += resolved.income;
+    events.push(...resolved.events);
+    return resolved.plot;
+  });
+
+  const marketPrice = clamp(state.marketPrice + floatBetween(random, -0.05, 0.05), 0.8, 1.5);
+
+  // The step's rain on the catchment refills the tank
+  const refilled = refillTank(tank, precip, state.areaHa);
+  events.push({
+    type: "dayEnded",
+    day: state.day,
+    actions: planned,
+    rain: stepRainLevel({ ...weather, precip }),
+    precip,
+    harvestedM3: refilled.harvestedM3 - tank.harvestedM3,
+  });
+  let next = withPlots(
+    {
+      ...state,
+      money,
+      tank: refilled,
+      marketPrice,
+      rngState: random.state(),
+      day: state.day + 1,
+      actionsToday: [],
+      log: [...state.log, { day: state.day, action: NEXT_DAY }],
+    },
+    plots
+  );
+
+  if (isSeasonOver(next)) {
+    const harvests = plots.map((plot, i) => {
+      const tonnes = plot.projectedYield * plot.areaHa;
+      return {
+        type: "harvested",
+        cropType: plot.cropType,
+        yieldTHa: plot.projectedYield,
+        tonnes,
+        income: harvestValue(tonnes, getCrop(plot.cropType), next.marketPrice),
+        plot: i,
+      };
+    });
+    next = { ...next, money: next.money + harvests.reduce((sum, h) => sum + h.income, 0) };
+    events.push(...harvests, {
+      type: "seasonEnded",
+      money: next.money,
+      sustainability: next.sustainability,
+      cropHealth: next.cropHealth,
+      tonnes: next.projectedTonnes,
+    });
+  }
+  return { state: next, events };
+}
+
+// Lay drip lines on a plot: paid once per hectare, then every irrigation of
+// that plot uses the drip method
+export function installDrip(state, plotIndex = 0) {
+  if (isSeasonOver(state)) return { state, events: [] };
+  const plot = state.plots[plotIndex];
+  if (!plot) throw new Error(`Unknown plot: ${plotIndex}`);
+  if (plot.drip) return { state, events: [{ type: "dripAlreadyInstalled", plot: plotIndex }] };
+
+  const cost = DRIP_COST * plot.areaHa;
+  if (state.money < cost) return { state, events: [{ type: "cannotAfford", cost, plot: plotIndex }] };
+
+  const plots = state.plots.map((p, i) => (i === plotIndex ? { ...p, drip: true } : p));
+  return {
+    state: withPlots(
+      {
+        ...state,
+        money: state.money - cost,
+        actionsToday: [...state.actionsToday, { action: INSTALL_DRIP, plot: plotIndex }],
+        log: [...state.log, { day: state.day, action: INSTALL_DRIP, plot: plotIndex }],
+      },
+      plots
+    ),
+    events: [{ type: "dripInstalled", cost, plot: plotIndex }],
+  };
+}
+
+// Single entry point: an action name to plan, INSTALL_DRIP or NEXT_DAY, plus
+// that day's weather (only NEXT_DAY uses it) and the plot acted on (first plot
+// by default)
+export function step(state, action, weather, plot = 0) {
+  if (action === NEXT_DAY) return endDay(state, weather);
+  if (action === INSTALL_DRIP) return installDrip(state, plot);
+  return planAction(state, action, plot);
+}
+
+// Play a whole season without a UI. `policy(state, weather)` returns the list
+// of actions for the day, each an action name (first plot) or { action, plot };
+// `weatherSeries` is one { precip, ... } per day.
+export function runSeason(initial, weatherSeries, policy) {
+  let state = initial;
+  const events = [];
+  while (!isSeasonOver(state)) {
+    const weather = weatherSeries[state.day - 1] || {};
+    for (const entry of policy(state, weather)) {
+      const { action, plot = 0 } = typeof entry === "string" ? { action: entry } : entry;
+      const result = step(state, action, weather, plot);
+      state = result.state;
+      events.push(...result.events);
+    }
+    const result = step(state, NEXT_DAY, weather);
+    state = result.state;
+    events.push(...result.events);
+  }
+  return { state, events };
+}
+
+// Re-run a recorded season ({ setup, log }, e.g. a finished state) one day at
+// a time. Yields after each completed day so a UI can animate the replay; a
+// trailing frame marked `partial` carries actions from a day still in progress.
+export function* replaySeason(record, weatherSeries) {
+  let state = createInitialState(record.setup);
+  let events = [];
+  for (const entry of record.log) {
+    const result = step(state, entry.action, weatherSeries[entry.day - 1] || {}, entry.plot);
+    state = result.state;
+    events.push(...result.events);
+    if (entry.action === NEXT_DAY) {
+      yield { day: entry.day, state, events };
+      events = [];
+    }
+  }
+  if (events.length) yield { day: state.day, state, events, partial: true };
+  return state;
+}
+
+// Replay a record to the end and return the final state
+export function replayToEnd(record, weatherSeries) {
+  let state = createInitialState(record.setup);
+  for (const frame of replaySeason(record, weatherSeries)) state = frame.state;
+  return state;
+}
+
+// The record rebuilt from its setup with only the first `length` log entries
+export function replayLog(record, weatherSeries, length) {
+  return replayToEnd({ ...record, log: record.log.slice(0, length) }, weatherSeries);
+}
+
+// Take back the last logged action. A planned action just comes off the
+// queue; a finished step or drip install is undone by replaying the season
+// without it, which turns the run into practice.
+export function undoLast(state, weatherSeries) {
+  const last = state.log[state.log.length - 1];
+  if (!last) return { state, events: [] };
+  if (last.action !== NEXT_DAY && last.action !== INSTALL_DRIP) {
+    return cancelAction(state, state.actionsToday.length - 1);
+  }
+  const rebuilt = replayLog(state, weatherSeries, state.log.length - 1);
+  return {
+    state: { ...rebuilt, practice: true },
+    events: [{ type: "undone", action: last.action, day: last.day, plot: last.plot }],
+  };
+}
+
+// Whether rewinding to step `day` takes back finished steps (or a drip
+// install, as undoLast would) rather than just this step's plan
+export function rewindBranches(state, day) {
+  return state.log.some((entry) => entry.day >= day && (entry.action === NEXT_DAY || entry.action === INSTALL_DRIP));
+}
+
+// Go back to the start of step `day` (this step or an earlier one) with an
+// empty plan. Playing on from there branches off the old timeline, which
+// turns the run into practice when finished steps were taken back.
+export function rewindToDay(state, weatherSeries, day) {
+  if (!Number.isInteger(day) || day < 1 || day > state.day) throw new Error(`Cannot rewind to step ${day}`);
+  const kept = state.log.filter((entry) => entry.day < day).length;
+  const rebuilt = replayLog(state, weatherSeries, kept);
+  const practice = state.practice || rewindBranches(state, day);
+  return { state: { ...rebuilt, practice }, events: [{ type: "rewound", day, practice }] };
+}
+
+// True when two states ended with identical scores
+export function sameOutcome(a, b) {
+  return (
+    a.money === b.money &&
+    a.sustainability === b.sustainability &&
+    a.cropHealth === b.cropHealth
+  );
+}
+
+// Days covered by a step series; the last step may be shorter than the rest
+export function seasonDaysOf(weatherSeries) {
+  return weatherSeries.reduce((total, weather) => total + (weather.days || 1), 0);
+}
+
+// Daily weather records from the MapScreen payload, grouped into game steps
+export function weatherSeriesFrom(data, stepDays = 1) {
+  const daily = (data?.precip || []).map((precip, i) => ({
+    precip,
+    tmax: data.tmax?.[i] ?? null,
+    tmin: data.tmin?.[i] ?? null,
+    rh: data.rh?.[i] ?? null,
+    eto: data.eto?.[i] ?? null,
+    etoMethod: data.eto_methods?.[i] ?? null,
+    date: data.dates?.[i],
+  }));
+  return aggregateWeather(daily, stepDays);
+}
+
+function sum(values) {
+  return values.reduce((a, b) => a + b, 0);
+}
+
+function meanOrNull(values) {
+  const nums = values.filter((v) => v !== null && v !== undefined);
+  return nums.length ? sum(nums) / nums.length : null;
+}
+
+// Group daily records into steps: rain and ETo are totals over the step,
+// temperatures are means, and the days themselves are kept in `daily` so
+// the water balance can still run day by day.
+export function aggregateWeather(daily, stepDays = 1) {
+  if (stepDays <= 1) return daily;
+  const steps = [];
+  for (let i = 0; i < daily.length; i += stepDays) {
+    const days = daily.slice(i, i + stepDays);
+    const etos = days.map((d) => d.eto);
+    steps.push({
+      date: days[0].date,
+      days: days.length,
+      precip: sum(days.map((d) => d.precip ?? 0)),
+      eto: etos.every((e) => e === null || e === undefined) ? null : sum(etos.map((e) => e ?? DEFAULT_ETO_MM)),
+      tmax: meanOrNull(days.map((d) => d.tmax)),
+      tmin: meanOrNull(days.map((d) => d.tmin)),
+      rh: meanOrNull(days.map((d) => d.rh)),
+      etoMethod: days[0].etoMethod ?? null,
+      daily: days,
+    });
+  }
+  return steps;
+}
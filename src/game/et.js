@@ -0,0 +1,86 @@
+// src/game/et.js
+// Reference evapotranspiration (ETo, mm/day) from NASA POWER daily data.
+// FAO-56 Penman-Monteith when humidity, wind and radiation are available,
+// Hargreaves from temperature alone otherwise.
+
+export const ETO_METHODS = {
+  "penman-monteith": "FAO-56 Penman-Monteith",
+  hargreaves: "Hargreaves",
+};
+
+// NASA POWER marks missing values with -999
+export function validValue(v) {
+  return v !== null && v !== undefined && v !== -999 && Number.isFinite(Number(v));
+}
+
+export function deg2rad(d) { return d * Math.PI / 180; }
+
+export function dayOfYear(d) {
+  const start = new Date(Date.UTC(d.getUTCFullYear(), 0, 0));
+  const diff = d - start;
+  return Math.floor(diff / (1000 * 60 * 60 * 24));
+}
+
+// Extraterrestrial radiation Ra (MJ/m²/day), FAO-56 eq. 21
+export function computeRa(latDeg, doy) {
+  const Gsc = 0.0820;
+  const lat = deg2rad(latDeg);
+  const dr = 1 + 0.033 * Math.cos((2 * Math.PI * doy) / 365);
+  const delta = 0.409 * Math.sin((2 * Math.PI * doy) / 365 - 1.39);
+  const omega_s = Math.acos(-Math.tan(lat) * Math.tan(delta));
+  return (24 * 60 / Math.PI) * Gsc * dr * (omega_s * Math.sin(lat) * Math.sin(delta) + Math.cos(lat) * Math.cos(delta) * Math.sin(omega_s));
+}
+
+// FAO-56 eq. 52; 0.408 converts Ra from MJ/m²/day to mm/day of evaporation
+export function hargreavesETo(tmin, tmax, Ra) {
+  const tmean = (tmin + tmax) / 2;
+  const deltaT = Math.max(0, tmax - tmin);
+  return 0.0023 * (tmean + 17.8) * Math.sqrt(deltaT) * 0.408 * Ra;
+}
+
+// Saturation vapour pressure (kPa) at T °C, FAO-56 eq. 11
+function satVapour(t) {
+  return 0.6108 * Math.exp((17.27 * t) / (t + 237.3));
+}
+
+// FAO-56 eq. 6 for a daily step with G = 0.
+// rh: mean relative humidity %, u2: wind at 2 m (m/s), rs: solar radiation
+// (MJ/m²/day), elevation in m.
+export function penmanMonteithETo({ tmin, tmax, rh, u2, rs, Ra, elevation = 0 }) {
+  const tmean = (tmin + tmax) / 2;
+  const pressure = 101.3 * Math.pow((293 - 0.0065 * elevation) / 293, 5.26);
+  const gamma = 0.000665 * pressure;
+  const delta = (4098 * satVapour(tmean)) / Math.pow(tmean + 237.3, 2);
+  const es = (satVapour(tmax) + satVapour(tmin)) / 2;
+  const ea = (rh / 100) * es;
+
+  const rso = (0.75 + 2e-5 * elevation) * Ra;
+  const rns = 0.77 * rs;
+  const sigma = 4.903e-9;
+  const rsRatio = rso > 0 ? Math.min(1, rs / rso) : 1;
+  const rnl =
+    sigma *
+    ((Math.pow(tmax + 273.16, 4) + Math.pow(tmin + 273.16, 4)) / 2) *
+    (0.34 - 0.14 * Math.sqrt(Math.max(0, ea))) *
+    (1.35 * rsRatio - 0.35);
+  const rn = rns - rnl;
+
+  const eto =
+    (0.408 * delta * rn + gamma * (900 / (tmean + 273)) * u2 * (es - ea)) /
+    (delta + gamma * (1 + 0.34 * u2));
+  return Math.max(0, eto);
+}
+
+// Best available ETo for one day: { eto, method } or { eto: 0, method: null }
+// when even the temperatures are missing.
+export function referenceET({ lat, doy, tmin, tmax, rh, u2, rs, elevation }) {
+  if (!validValue(tmin) || !validValue(tmax)) return { eto: 0, method: null };
+  const Ra = computeRa(lat, doy);
+  if (validValue(rh) && validValue(u2) && validValue(rs)) {
+    return {
+      eto: penmanMonteithETo({ tmin, tmax, rh, u2, rs, Ra, elevation: validValue(elevation) ? elevation : 0 }),
+      method: "penman-monteith",
+    };
+  }
+  return { eto: hargreavesETo(tmin, tmax, Ra), method: "hargreaves" };
+}
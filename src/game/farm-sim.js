@@ -1,7 +1,29 @@
 // src/game/farm-sim.js
 import Phaser from "phaser";
-
-export function createFarmSim({ lat = 12, lon = 8.5, crop = "maize", days = 10 }) {
+import {
+  aggregateWeather,
+  createInitialState,
+  step,
+  stepRainLevel,
+  INSTALL_DRIP,
+  NEXT_DAY,
+  weatherSeriesFrom,
+} from "./engine.js";
+import { advise } from "./advisor.js";
+import { forecastView } from "./forecast.js";
+import { actionName, formatMoney, formatNumber, formatQuantity, t } from "./i18n.js";
+import { randomSeed } from "./rng.js";
+import { seasonScore } from "./score.js";
+import { cachedProvider, loadWeather, nasaPowerProvider, recentRange } from "./weather.js";
+
+export function createFarmSim({
+  lat = 12,
+  lon = 8.5,
+  crop = "maize",
+  days = 10,
+  seed = randomSeed(),
+  provider = cachedProvider(nasaPowerProvider),
+}) {
   const WIDTH = 900,
     HEIGHT = 600;
   const config = {
@@ -13,42 +35,16 @@ export function createFarmSim({ lat = 12, lon = 8.5, crop = "maize", days = 10 }
     scene: { preload, create, update },
   };
 
-  // --- GAME STATE ---
-  let week = 1;
-  let cropHealth = 80;
-  let sustainability = 100;
-  let profit = 10;
-  let yieldScore = 0;
-  let soilMoisture = 55;
-  let nitrogen = 40;
-  let pestPressure = 10;
-  let waterTank = 180;
-  const TANK_CAP = 200;
-  let dripInstalled = false;
-  let marketPrice = 1.1;
+  const STEP_DAYS = 7;
+
+  // --- GAME STATE (rules live in ./engine) ---
+  let state = createInitialState({ cropType: crop, seasonLength: days, stepDays: STEP_DAYS, seed });
   let lastSummary = "";
-  let rainfallLevels = Array(days).fill("medium");
+  // One turn is a week; `days` counts weeks. Mock "medium" rain until live data is loaded
+  let weatherSeries = aggregateWeather(Array(days * STEP_DAYS).fill({ precip: 5 }), STEP_DAYS);
 
   const hud = {};
-  let cropCircle, drone;
-
-  // Constants
-  const COST_IRRIGATE = 3,
-    COST_FERTILIZE = 2,
-    COST_SCOUT = 1,
-    COST_DRIP = 15,
-    REVENUE_HEALTHY_WEEK = 4;
-  const EVAPO_BASE = 6,
-    IRR_VOL = 30,
-    IRR_VOL_DRIP = 18,
-    IRR_SM_GAIN = 10,
-    IRR_SM_GAIN_DRIP = 14;
-
-  function rainfallToLevel(mm) {
-    if (mm < 2) return "low";
-    if (mm < 10) return "medium";
-    return "high";
-  }
+  let cropCircle;
 
   function preload() {}
 
@@ -60,18 +56,19 @@ export function createFarmSim({ lat = 12, lon = 8.5, crop = "maize", days = 10 }
     for (let x = 0; x < WIDTH; x += 40) g.strokeRect(x, 120, 40, HEIGHT - 160);
 
     cropCircle = this.add.circle(WIDTH / 2, HEIGHT / 2 + 40, 40, 0x2ecc71);
-    drone = this.add
+    this.add
       .rectangle(WIDTH - 160, 90, 120, 40, 0x222222)
       .setStrokeStyle(2, 0xffffff, 0.4);
-    this.add.text(WIDTH - 210, 70, "Navigator Drone", {
+    this.add.text(WIDTH - 210, 70, t("sim.drone"), {
       fontSize: "12px",
       color: "#e0e0e0",
     });
-    hud.hint = this.add.text(WIDTH - 260, 84, "Analyzing...", {
+    hud.hint = this.add.text(WIDTH - 260, 84, t("sim.analyzing"), {
       fontSize: "14px",
       color: "#031926",
       backgroundColor: "#5bc0be",
       padding: { left: 6, right: 6, top: 2, bottom: 2 },
+      wordWrap: { width: 250 },
     });
 
     hud.week = this.add.text(20, 20, "", { fontSize: "20px", color: "#fff" });
@@ -86,7 +83,7 @@ export function createFarmSim({ lat = 12, lon = 8.5, crop = "maize", days = 10 }
     hud.tank = this.add.text(20, 226, "", { fontSize: "16px", color: "#fff" });
     hud.price = this.add.text(20, 250, "", { fontSize: "16px", color: "#fff" });
 
-    hud.summaryTitle = this.add.text(20, HEIGHT - 150, "Last Week", {
+    hud.summaryTitle = this.add.text(20, HEIGHT - 150, t("sim.lastWeek"), {
       fontSize: "16px",
       color: "#5bc0be",
     });
@@ -96,15 +93,16 @@ export function createFarmSim({ lat = 12, lon = 8.5, crop = "maize", days = 10 }
       wordWrap: { width: 520 },
     });
 
-    createButton(this, 40, HEIGHT - 60, "💧 Irrigate", () => act("irrigate"));
-    createButton(this, 200, HEIGHT - 60, "🌱 Fertilize", () => act("fertilize"));
-    createButton(this, 360, HEIGHT - 60, "🐛 Scout", () => act("scout"));
-    createButton(this, 520, HEIGHT - 60, "⏳ Wait", () => act("wait"));
+    createButton(this, 40, HEIGHT - 60, `💧 ${actionName("Irrigate")}`, () => act("Irrigate"));
+    createButton(this, 200, HEIGHT - 60, `🌱 ${actionName("Fertilize")}`, () => act("Fertilize"));
+    createButton(this, 360, HEIGHT - 60, `🐛 ${actionName("Scout")}`, () => act("Scout"));
+    createButton(this, 520, HEIGHT - 60, `🧴 ${actionName("Treat")}`, () => act("Treat"));
+    createButton(this, 680, HEIGHT - 60, `⏳ ${actionName("Wait")}`, () => act("Wait"));
 
-    createButton(this, 40, HEIGHT - 20, "🔧 Install Drip", installDrip);
-    createButton(this, 200, HEIGHT - 20, "↻ Reset", resetGame);
-    createButton(this, 360, HEIGHT - 20, "🛰️ Use Live Data", () =>
-      fetchNasaPower(lat, lon)
+    createButton(this, 40, HEIGHT - 20, t("sim.installDrip"), installDrip);
+    createButton(this, 200, HEIGHT - 20, t("sim.reset"), resetGame);
+    createButton(this, 360, HEIGHT - 20, t("sim.liveData"), () =>
+      loadLiveWeather()
     );
 
     updateHud();
@@ -112,14 +110,14 @@ export function createFarmSim({ lat = 12, lon = 8.5, crop = "maize", days = 10 }
   }
 
   function update() {
-    const radius = Phaser.Math.Linear(18, 60, cropHealth / 100);
+    const radius = Phaser.Math.Linear(18, 60, state.cropHealth / 100);
     cropCircle.setRadius(radius);
     cropCircle.setFillStyle(healthColor());
   }
 
   function healthColor() {
-    if (cropHealth > 70) return 0x2ecc71;
-    if (cropHealth > 40) return 0xf1c40f;
+    if (state.cropHealth > 70) return 0x2ecc71;
+    if (state.cropHealth > 40) return 0xf1c40f;
     return 0xe74c3c;
   }
 
@@ -139,52 +137,116 @@ export function createFarmSim({ lat = 12, lon = 8.5, crop = "maize", days = 10 }
     btn.on("pointerout", () => btn.setFillStyle(0x5bc0be));
   }
 
-  // 🔹 NASA POWER fetch (with your dynamic lat/lon)
-  async function fetchNasaPower(lat, lon) {
+  // 🔹 Live weather through the shared provider (with your dynamic lat/lon)
+  async function loadLiveWeather() {
     try {
-      const end = new Date();
-      const start = new Date(end.getTime() - 9 * 24 * 3600 * 1000);
-      const fmt = (d) => d.toISOString().slice(0, 10).replace(/-/g, "");
-      const url = `https://power.larc.nasa.gov/api/temporal/daily/point?parameters=PRECTOT&start=${fmt(
-        start
-      )}&end=${fmt(end)}&latitude=${lat}&longitude=${lon}&format=JSON`;
-      const res = await fetch(url);
-      const data = await res.json();
-      const vals = Object.values(data?.properties?.parameter?.PRECTOT || {});
-      if (vals.length) {
-        const mapped = vals.map((v) => rainfallToLevel(Number(v)));
-        rainfallLevels = mapped.slice(0, days);
-        alert(`Loaded NASA rainfall data for ${crop} field!`);
+      const data = await loadWeather(provider, { lat, lon, ...recentRange(days * STEP_DAYS), crop });
+      if (data.precip.length) {
+        weatherSeries = weatherSeriesFrom(data, STEP_DAYS);
+        alert(t("sim.liveLoaded", { provider: t(`provider.${provider.id}`), crop }));
       }
-    } catch (e) {
-      alert("NASA POWER data failed. Using mock rainfall.");
+    } catch {
+      alert(t("sim.liveFailed"));
     }
   }
 
   function updateHud() {
-    hud.week.setText(`Week ${week}`);
-    hud.health.setText(`Crop Health: ${Math.round(cropHealth)}`);
-    hud.sustain.setText(`Sustainability: ${Math.round(sustainability)}`);
-    hud.profit.setText(`Profit: $${Math.round(profit)}`);
-    hud.yield.setText(`Yield: ${Math.round(yieldScore)}`);
-    hud.soil.setText(`Soil Moisture: ${Math.round(soilMoisture)}`);
-    hud.nitro.setText(`Nitrogen: ${Math.round(nitrogen)}`);
-    hud.pest.setText(`Pest Pressure: ${Math.round(pestPressure)}`);
-    hud.tank.setText(`Water Tank: ${Math.round(waterTank)}/${TANK_CAP} L`);
-    hud.price.setText(`Market Price: x${marketPrice.toFixed(2)}`);
+    hud.week.setText(t("step.week", { n: Math.min(state.day, days) }));
+    hud.health.setText(t("sim.health", { health: Math.round(state.cropHealth) }));
+    hud.sustain.setText(t("sim.sustainability", { score: Math.round(state.sustainability) }));
+    hud.profit.setText(t("sim.profit", { money: formatMoney(state.money, 0) }));
+    const { score, components } = seasonScore(state);
+    hud.yield.setText(
+      t("sim.yield", {
+        yield: formatQuantity(state.plots[0].projectedYield, "t/ha", 1),
+        percent: Math.round(components.yield),
+        score: Math.round(score),
+      })
+    );
+    hud.soil.setText(
+      t("sim.moisture", { moisture: Math.round(state.soilMoisture), water: formatQuantity(state.availableWater, "mm", 0) })
+    );
+    hud.nitro.setText(t("sim.nitrogen", { nitrogen: formatQuantity(state.nitrogen, "kg/ha", 0) }));
+    const { scouted } = state.plots[0];
+    hud.pest.setText(t("sim.pests", { pests: scouted ? `~${scouted.pests}` : "?", risk: Math.round(state.diseaseRisk) }));
+    hud.tank.setText(
+      t("sim.tank", { stored: Math.round(state.tank.storedM3), capacity: Math.round(state.tank.capacityM3) }) +
+        (state.plots[0].drip ? ` · ${t("irrigation.drip")}` : "")
+    );
+    hud.price.setText(t("sim.price", { price: formatNumber(state.marketPrice, 2) }));
+    hud.summary.setText(lastSummary);
   }
 
   // Utility helpers (trimmed)
-  function clamp(min, max, v) {
-    return Math.max(min, Math.min(max, v));
+  function currentWeather() {
+    return weatherSeries[(state.day - 1) % weatherSeries.length];
   }
   function currentRainLevel() {
-    return rainfallLevels[(week - 1) % rainfallLevels.length];
+    return stepRainLevel(currentWeather());
+  }
+  function sayHint() {
+    if (state.day > days) {
+      hud.hint.setText(t("sim.seasonOver"));
+      return;
+    }
+    const advice = advise(state, forecastView(weatherSeries, state.day, state.seed));
+    hud.hint.setText(`${actionName(advice.action)}: ${advice.reason}`);
+  }
+
+  // One button press plays a full turn: the action, then the end of the week
+  function act(action) {
+    const weather = currentWeather();
+    const acted = step(state, action, weather);
+    const ended = step(acted.state, NEXT_DAY, weather);
+    state = ended.state;
+    lastSummary = [...acted.events, ...ended.events].map(summarize).filter(Boolean).join(" · ");
+    updateHud();
+    sayHint(currentRainLevel());
+  }
+
+  function summarize(event) {
+    switch (event.type) {
+      case "rain":
+        return t("sim.rain", { level: t(`rain.${event.level}`) });
+      case "scouted":
+        return t("sim.scouted", { pests: event.pests, disease: event.disease });
+      case "treated":
+        return t("sim.treated", { killed: Math.round(event.pestsKilled) });
+      case "irrigated":
+        return event.short ? t("sim.irrigatedShort", { water: formatQuantity(event.mm, "mm", 0) }) : t("sim.irrigated");
+      case "tankEmpty":
+        return t("sim.tankEmpty");
+      case "dripInstalled":
+        return t("sim.dripInstalled");
+      case "cannotAfford":
+        return t("sim.cannotAfford", { cost: formatMoney(event.cost, 0) });
+      case "fertilized":
+        return t("sim.fertilized", { dose: formatQuantity(event.kg, "kg N/ha", 0) });
+      case "waited":
+        return t("sim.waited");
+      case "harvested":
+        return t("sim.harvested", { tonnes: formatNumber(event.tonnes, 1), income: formatMoney(event.income, 0) });
+      case "seasonEnded":
+        return t("sim.seasonComplete");
+      default:
+        return "";
+    }
+  }
+
+  // An investment, not a turn: the week doesn't advance
+  function installDrip() {
+    const result = step(state, INSTALL_DRIP, currentWeather());
+    state = result.state;
+    lastSummary = result.events.map(summarize).filter(Boolean).join(" · ") || t("sim.dripAlready");
+    updateHud();
+  }
+
+  function resetGame() {
+    state = createInitialState({ cropType: crop, seasonLength: days, stepDays: STEP_DAYS, seed });
+    lastSummary = "";
+    updateHud();
+    sayHint(currentRainLevel());
   }
-  function sayHint() {}
-  function act() {}
-  function installDrip() {}
-  function resetGame() {}
 
   // Expose config
   return new Phaser.Game(config);
@@ -0,0 +1,80 @@
+// src/game/fields.js
+// Field boundaries drawn on the map: a polygon of { lat, lng } vertices.
+// Area, centre and a small outline for the setup panel, plus saved fields in
+// localStorage so they can be picked again without redrawing.
+
+const STORAGE_KEY = "farmFields";
+const EARTH_RADIUS_M = 6378137;
+
+function toRad(d) {
+  return (d * Math.PI) / 180;
+}
+
+// Geodesic polygon area in m² (same spherical approximation as Leaflet.draw)
+export function polygonAreaM2(points) {
+  if (points.length < 3) return 0;
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const p1 = points[i];
+    const p2 = points[(i + 1) % points.length];
+    area += toRad(p2.lng - p1.lng) * (2 + Math.sin(toRad(p1.lat)) + Math.sin(toRad(p2.lat)));
+  }
+  return Math.abs((area * EARTH_RADIUS_M * EARTH_RADIUS_M) / 2);
+}
+
+export function polygonAreaHa(points) {
+  return polygonAreaM2(points) / 10000;
+}
+
+// Vertex average; good enough for picking the weather grid cell
+export function polygonCenter(points) {
+  const n = points.length;
+  return {
+    lat: points.reduce((s, p) => s + p.lat, 0) / n,
+    lng: points.reduce((s, p) => s + p.lng, 0) / n,
+  };
+}
+
+// SVG path for the outline, fitted into a width x height box
+export function outlinePath(points, width, height, pad = 4) {
+  if (points.length < 2) return "";
+  const { lat: midLat } = polygonCenter(points);
+  const xs = points.map((p) => p.lng * Math.cos(toRad(midLat)));
+  const ys = points.map((p) => -p.lat);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const span = Math.max(Math.max(...xs) - minX, Math.max(...ys) - minY) || 1;
+  const scale = Math.min(width - 2 * pad, height - 2 * pad) / span;
+  return (
+    points
+      .map((_, i) => `${i ? "L" : "M"}${(pad + (xs[i] - minX) * scale).toFixed(1)},${(pad + (ys[i] - minY) * scale).toFixed(1)}`)
+      .join(" ") + " Z"
+  );
+}
+
+// A field record: { id, name, points, areaHa }
+export function makeField(points, name = "") {
+  return {
+    id: `field-${Date.now().toString(36)}`,
+    name,
+    points,
+    areaHa: +polygonAreaHa(points).toFixed(3),
+  };
+}
+
+export function listFields() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveField(field) {
+  const fields = listFields().filter((f) => f.id !== field.id);
+  localStorage.setItem(STORAGE_KEY, JSON.stringify([...fields, field]));
+}
+
+export function deleteField(id) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(listFields().filter((f) => f.id !== id)));
+}
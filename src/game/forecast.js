@@ -0,0 +1,84 @@
+// src/game/forecast.js
+// Weather forecasts made from the true series. A forecast for step `target`
+// issued on step `day` is the real weather with noise that grows with the
+// lead time, so tomorrow is fairly reliable and five steps out is a guess.
+// The noise is seeded from the season seed, issue step and target step: the
+// same forecast comes back on reload, and it sharpens as the day gets closer.
+// Forecasts never touch the engine state; only the real weather does.
+
+import { makeRandom, seedToState } from "./rng.js";
+
+// How many steps ahead the forecast panel looks, today included
+export const FORECAST_HORIZON = 5;
+// Spread of the rain error (log scale) for today and its growth per step of lead
+const RAIN_SPREAD = { base: 0.3, perLead: 0.2 };
+// mm per day of rain that can appear or vanish at spread 1
+const RAIN_SHIFT_MM = 4;
+// °C standard deviation for today and growth per step of lead
+const TEMP_SPREAD = { base: 0.8, perLead: 0.6 };
+// z for the 80% ranges shown to the player
+const Z80 = 1.28;
+
+function gaussian(random) {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+function round(value, decimals = 1) {
+  if (value === null || value === undefined) return null;
+  const f = 10 ** decimals;
+  return Math.round(value * f) / f;
+}
+
+// Forecast of one step: { day, lead, date, days, precip, precipLow, precipHigh,
+// rainChance, tmax, tmin, tempRange, eto }. Rain figures are totals over the step.
+export function forecastStep(weather, { seed, day, target }) {
+  const lead = target - day;
+  const random = makeRandom(seedToState(`${seed}|forecast|${day}|${target}`));
+  const days = weather.days || 1;
+  const spread = RAIN_SPREAD.base + RAIN_SPREAD.perLead * lead;
+  const tempSpread = TEMP_SPREAD.base + TEMP_SPREAD.perLead * lead;
+
+  const actual = Math.max(0, weather.precip ?? 0);
+  const scaled = actual * Math.exp(spread * gaussian(random) - (spread * spread) / 2);
+  const precip = Math.max(0, scaled + spread * RAIN_SHIFT_MM * days * gaussian(random));
+  const range = Z80 * spread * (precip + RAIN_SHIFT_MM * days);
+  // Chance of a wet step, pulled towards 50% the less certain the forecast is
+  const wetness = 1 - Math.exp(-precip / (2 * days));
+  const rainChance = Math.round((0.5 + (wetness - 0.5) / (1 + spread)) * 10) * 10;
+
+  const shiftTemp = (t) => (t === null || t === undefined ? null : t + tempSpread * gaussian(random));
+  const eto = weather.eto === null || weather.eto === undefined ? null : weather.eto * Math.exp((spread / 3) * gaussian(random));
+
+  return {
+    day: target,
+    lead,
+    date: weather.date,
+    days,
+    precip: round(precip),
+    precipLow: round(Math.max(0, precip - range)),
+    precipHigh: round(precip + range),
+    rainChance,
+    tmax: round(shiftTemp(weather.tmax)),
+    tmin: round(shiftTemp(weather.tmin)),
+    tempRange: round(Z80 * tempSpread),
+    eto: round(eto),
+  };
+}
+
+// The forecast issued on step `day` for it and the next steps in the season
+export function forecastFor(weatherSeries, day, seed, horizon = FORECAST_HORIZON) {
+  const forecasts = [];
+  for (let target = day; target < day + horizon && target <= weatherSeries.length; target++) {
+    forecasts.push(forecastStep(weatherSeries[target - 1], { seed, day, target }));
+  }
+  return forecasts;
+}
+
+// What a player can know on step `day`: the real weather of the steps already
+// played, then the forecast. Same indexing as the weather series, so it can
+// stand in for it wherever a decision is made (the drone, strategies).
+export function forecastView(weatherSeries, day, seed, horizon = FORECAST_HORIZON) {
+  return [...weatherSeries.slice(0, day - 1), ...forecastFor(weatherSeries, day, seed, horizon)];
+}
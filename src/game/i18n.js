@@ -0,0 +1,200 @@
+// src/game/i18n.js
+// Player-facing language and display settings. Text is looked up by key in
+// the locale files, falling back to English; dates, numbers and money go
+// through Intl for the chosen language. The rules themselves stay metric
+// and count play money: the unit and currency settings only change how
+// values are shown, converting units but never applying an exchange rate.
+
+import { ETO_METHODS } from "./et.js";
+import en from "./locales/en.js";
+import fr from "./locales/fr.js";
+import ha from "./locales/ha.js";
+import yo from "./locales/yo.js";
+
+const SETTINGS_KEY = "displaySettings";
+
+// `intl` is the locale handed to Intl, with en-NG as the fallback
+export const LANGUAGES = [
+  { id: "en", label: "English", intl: "en-NG", messages: en },
+  { id: "fr", label: "Français", intl: "fr-SN", messages: fr },
+  { id: "ha", label: "Hausa", intl: "ha-NG", messages: ha },
+  { id: "yo", label: "Yorùbá", intl: "yo-NG", messages: yo },
+];
+
+export const CURRENCIES = [
+  { id: "NGN", label: "₦ Naira" },
+  { id: "XOF", label: "CFA franc (XOF)" },
+  { id: "GHS", label: "₵ Cedi" },
+  { id: "USD", label: "$ US dollar" },
+];
+
+export const DEPTH_UNITS = [
+  { id: "mm", label: "mm" },
+  { id: "in", label: "inches" },
+];
+
+export const AREA_UNITS = [
+  { id: "ha", label: "hectares" },
+  { id: "ac", label: "acres" },
+];
+
+export const DEFAULT_SETTINGS = { language: "en", currency: "NGN", depthUnit: "mm", areaUnit: "ha" };
+
+const ACRES_PER_HA = 2.47105;
+
+// Metric unit → what it becomes when the player picks inches or acres:
+// the setting that switches it, the shown unit, the factor and extra decimals
+const CONVERSIONS = {
+  mm: { setting: "depthUnit", when: "in", unit: "in", factor: 1 / 25.4, decimals: 1 },
+  "mm/day": { setting: "depthUnit", when: "in", unit: "in/day", factor: 1 / 25.4, decimals: 1 },
+  ha: { setting: "areaUnit", when: "ac", unit: "ac", factor: ACRES_PER_HA, decimals: 0 },
+  "kg/ha": { setting: "areaUnit", when: "ac", unit: "kg/ac", factor: 1 / ACRES_PER_HA, decimals: 0 },
+  "kg N/ha": { setting: "areaUnit", when: "ac", unit: "kg N/ac", factor: 1 / ACRES_PER_HA, decimals: 0 },
+  "t/ha": { setting: "areaUnit", when: "ac", unit: "t/ac", factor: 1 / ACRES_PER_HA, decimals: 1 },
+  "h/ha": { setting: "areaUnit", when: "ac", unit: "h/ac", factor: 1 / ACRES_PER_HA, decimals: 1 },
+};
+
+let current = null;
+
+function load() {
+  try {
+    return { ...DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY)) };
+  } catch {
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+export function getSettings() {
+  if (!current) current = load();
+  return current;
+}
+
+export function saveSettings(changes) {
+  current = { ...getSettings(), ...changes };
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(current));
+  if (typeof document !== "undefined") document.documentElement.lang = current.language;
+  return current;
+}
+
+function language() {
+  return LANGUAGES.find((l) => l.id === getSettings().language) || LANGUAGES[0];
+}
+
+function locales() {
+  return [language().intl, "en-NG"];
+}
+
+// The message for `key` with {name} placeholders filled from `vars`
+export function t(key, vars = {}) {
+  const message = language().messages[key] ?? en[key];
+  if (message === undefined) return key;
+  return message.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? String(vars[name]) : match));
+}
+
+// Display names of game ids: crops, soils, actions, growth stages
+export function cropName(crop) {
+  return t(`crop.${crop.id}`);
+}
+
+export function soilName(soil) {
+  return t(`soil.${soil.id}`);
+}
+
+export function actionName(action) {
+  return t(`action.${action}`);
+}
+
+export function stageName(stage) {
+  return t(`stage.${stage}`);
+}
+
+// "Day 4" for daily play, "Week 4 (days 22-28)" for weekly
+export function stepLabel(day, stepDays = 1) {
+  if (stepDays === 1) return t("step.day", { n: day });
+  const first = (day - 1) * stepDays + 1;
+  return t(stepDays === 7 ? "step.weekRange" : "step.stepRange", { n: day, first, last: first + stepDays - 1 });
+}
+
+// ETo method for a series of per-day methods, e.g. "Hargreaves" or
+// "FAO-56 Penman-Monteith (28 of 30 days, rest Hargreaves)"
+export function etoMethodName(methods) {
+  const used = methods.filter(Boolean);
+  const pm = used.filter((m) => m === "penman-monteith").length;
+  if (!used.length) return t("eto.unavailable");
+  if (pm === used.length) return ETO_METHODS["penman-monteith"];
+  if (pm === 0) return ETO_METHODS.hargreaves;
+  return t("eto.mixed", {
+    method: ETO_METHODS["penman-monteith"], n: pm, total: used.length, rest: ETO_METHODS.hargreaves,
+  });
+}
+
+export function formatNumber(value, decimals = 0) {
+  return new Intl.NumberFormat(locales(), {
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals,
+  }).format(value);
+}
+
+export function formatMoney(amount, decimals = 1) {
+  return new Intl.NumberFormat(locales(), {
+    style: "currency",
+    currency: getSettings().currency,
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals,
+  }).format(amount);
+}
+
+// "₦", "F CFA", ... for column headings
+export function currencySymbol() {
+  const parts = new Intl.NumberFormat(locales(), { style: "currency", currency: getSettings().currency }).formatToParts(0);
+  return parts.find((p) => p.type === "currency")?.value || getSettings().currency;
+}
+
+// Accepts a Date, "YYYY-MM-DD" or NASA POWER's "YYYYMMDD"
+function toDate(value) {
+  if (value instanceof Date) return value;
+  const text = String(value);
+  const [, y, m, d] = text.match(/^(\d{4})-?(\d{2})-?(\d{2})/) || [];
+  return y ? new Date(Number(y), Number(m) - 1, Number(d)) : new Date(value);
+}
+
+// e.g. 3 October 2025 / 3 octobre 2025
+export function formatDate(value, options = { day: "numeric", month: "long", year: "numeric" }) {
+  if (!value || value === -999) return "";
+  return new Intl.DateTimeFormat(locales(), options).format(toDate(value));
+}
+
+export function formatDateTime(timestamp) {
+  return new Intl.DateTimeFormat(locales(), { dateStyle: "medium", timeStyle: "short" }).format(new Date(timestamp));
+}
+
+function conversion(unit) {
+  const c = CONVERSIONS[unit];
+  return c && getSettings()[c.setting] === c.when ? c : null;
+}
+
+// The unit a metric quantity is shown in; "₦" becomes the chosen currency
+export function displayUnit(unit) {
+  if (unit === "₦") return currencySymbol();
+  return conversion(unit)?.unit ?? unit;
+}
+
+// A metric value in the unit the player chose
+export function toDisplay(value, unit) {
+  if (value === null || value === undefined) return value;
+  const c = conversion(unit);
+  return c ? value * c.factor : value;
+}
+
+// Back from the player's unit to metric, for inputs
+export function fromDisplay(value, unit) {
+  const c = conversion(unit);
+  return c ? value / c.factor : value;
+}
+
+// "12.5 mm" / "0.49 in"; money goes through formatMoney
+export function formatQuantity(value, unit, decimals = 1) {
+  if (unit === "₦") return formatMoney(value, decimals);
+  const c = conversion(unit);
+  return `${formatNumber(toDisplay(value, unit), decimals + (c?.decimals ?? 0))} ${displayUnit(unit)}`;
+}
@@ -0,0 +1,46 @@
+// src/game/infrastructure.js
+// Farm water infrastructure. Irrigation water comes out of a storage tank
+// that a rainwater catchment (roofs, a lined pond) refills; drip lines on a
+// plot draw less per irrigation and lose less of it on the way to the roots.
+// Volumes are m³, depths mm over a plot.
+
+export const IRRIGATION_METHODS = {
+  surface: { id: "surface", label: "Surface", mm: 25, efficiency: 0.75 },
+  drip: { id: "drip", label: "Drip", mm: 18, efficiency: 0.95 },
+};
+
+// Per hectare of farm. A full tank holds four surface irrigations (1 mm over a
+// hectare is 10 m³); 10 mm of rain on the catchment brings back 16 m³.
+export const DRIP_COST = 15;
+export const TANK_M3_PER_HA = 1000;
+export const CATCHMENT_M2_PER_HA = 2000;
+// Share of the rain on the catchment that reaches the tank
+export const CATCHMENT_COEFFICIENT = 0.8;
+
+export function irrigationMethod(plot) {
+  return plot.drip ? IRRIGATION_METHODS.drip : IRRIGATION_METHODS.surface;
+}
+
+// The tank starts full from the season before; harvested and used are season totals
+export function createTank(areaHa) {
+  const capacityM3 = TANK_M3_PER_HA * areaHa;
+  return { capacityM3, storedM3: capacityM3, harvestedM3: 0, usedM3: 0, overflowM3: 0 };
+}
+
+// Rain (mm) on the farm's catchment into the tank; what doesn't fit overflows
+export function refillTank(tank, precipMm, areaHa) {
+  const inflow = (Math.max(0, precipMm) / 1000) * CATCHMENT_M2_PER_HA * areaHa * CATCHMENT_COEFFICIENT;
+  const harvested = Math.min(inflow, tank.capacityM3 - tank.storedM3);
+  return {
+    ...tank,
+    storedM3: tank.storedM3 + harvested,
+    harvestedM3: tank.harvestedM3 + harvested,
+    overflowM3: tank.overflowM3 + inflow - harvested,
+  };
+}
+
+// Take up to `wantedM3` out of the tank: { tank, drawnM3 }
+export function drawFromTank(tank, wantedM3) {
+  const drawnM3 = Math.min(wantedM3, tank.storedM3);
+  return { tank: { ...tank, storedM3: tank.storedM3 - drawnM3, usedM3: tank.usedM3 + drawnM3 }, drawnM3 };
+}
@@ -0,0 +1,27 @@
+// src/game/infrastructure.test.js
+// Headless checks that irrigation from the tank does something for the crop.
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { NEXT_DAY, createInitialState, step } from "./engine.js";
+import { IRRIGATION_METHODS, createTank } from "./infrastructure.js";
+
+const DRY_DAY = { precip: 0, eto: 6, tmax: 36, tmin: 24 };
+
+function playDay(state, actions) {
+  for (const action of actions) state = step(state, action, DRY_DAY).state;
+  return step(state, NEXT_DAY, DRY_DAY);
+}
+
+test("the starting tank holds a full surface irrigation", () => {
+  assert.ok(createTank(1).storedM3 >= IRRIGATION_METHODS.surface.mm * 10);
+});
+
+test("irrigating a dry plot from the starting tank raises its moisture", () => {
+  const dry = createInitialState({ cropType: "maize", seasonLength: 10, availableWater: 5, seed: "dry" });
+  const waited = playDay(dry, ["Wait"]).state;
+  const { state: irrigated, events } = playDay(dry, ["Irrigate"]);
+  assert.ok(!events.some((e) => e.type === "tankEmpty" || e.short));
+  assert.ok(irrigated.plots[0].soilMoisture > waited.plots[0].soilMoisture + 10);
+  assert.ok(irrigated.tank.storedM3 < dry.tank.storedM3);
+});
@@ -0,0 +1,111 @@
+// src/game/leaderboard.js
+// Local leaderboard of finished seasons, kept in localStorage under one key.
+// Runs are grouped by scenario (location, plots, weather dates, time step and
+// rules) so only seasons played on the same farm and weather are ranked
+// against each other.
+
+import { RULES_VERSION } from "./engine.js";
+import { seasonScore } from "./score.js";
+
+const STORAGE_KEY = "leaderboard";
+export const PLAYER_NAME_KEY = "playerName";
+
+function readAll() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch {
+    return [];
+  }
+}
+
+function writeAll(entries) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+}
+
+// { key, label } identifying the scenario a season was played on. Runs only
+// compare on the same rules, time step, plots (crop, soil, area) and weather.
+export function scenarioOf(state, weatherSeries) {
+  const crops = state.plots.map((p) => p.cropType).join("+");
+  const plots = state.plots.map((p) => `${p.cropType}:${p.soilType}:${p.areaHa.toFixed(2)}`).join("+");
+  const areaHa = +state.plots.reduce((sum, p) => sum + p.areaHa, 0).toFixed(2);
+  const stepDays = state.stepDays || 1;
+  const first = weatherSeries[0]?.date ?? "?";
+  const last = weatherSeries[weatherSeries.length - 1];
+  const end = last?.daily ? last.daily[last.daily.length - 1].date : last?.date ?? "?";
+  const place = (state.locationName || "Unknown").split(",")[0];
+  return {
+    key: `${state.locationName}|${plots}|${first}-${end}|${stepDays}d|v${RULES_VERSION}`,
+    label: `${place} · ${crops} · ${areaHa} ha · ${first}–${end} · ${stepDays}d · v${RULES_VERSION}`,
+  };
+}
+
+export function makeEntry(state, weatherSeries, player) {
+  const { score, components } = seasonScore(state);
+  const scenario = scenarioOf(state, weatherSeries);
+  return {
+    id: `run-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    player,
+    scenarioKey: scenario.key,
+    scenarioLabel: scenario.label,
+    score,
+    components,
+    money: state.money,
+    sustainability: state.sustainability,
+    cropHealth: state.cropHealth,
+    seed: state.seed,
+    practice: !!state.practice,
+    rulesVersion: RULES_VERSION,
+    playedAt: Date.now(),
+  };
+}
+
+// Practice runs (undo or rewind used) never go on the board
+export function addEntry(entry) {
+  if (entry.practice) throw new Error("Practice seasons can't go on the leaderboard");
+  writeAll([...readAll(), entry]);
+  return entry;
+}
+
+// Entries matching the filters, best score first
+export function listEntries({ scenarioKey, player } = {}) {
+  return readAll()
+    .filter((e) => !scenarioKey || e.scenarioKey === scenarioKey)
+    .filter((e) => !player || e.player === player)
+    .sort((a, b) => b.score - a.score);
+}
+
+// Distinct scenarios, for the filter, most recently played first
+export function listScenarios() {
+  const byKey = new Map();
+  for (const e of readAll().sort((a, b) => b.playedAt - a.playedAt)) {
+    if (!byKey.has(e.scenarioKey)) byKey.set(e.scenarioKey, { key: e.scenarioKey, label: e.scenarioLabel });
+  }
+  return [...byKey.values()];
+}
+
+export function listPlayers() {
+  return [...new Set(readAll().map((e) => e.player))].sort();
+}
+
+// A player's runs on one scenario in the order played, each flagged `best`
+// when it beat every earlier run
+export function personalBestHistory(player, scenarioKey) {
+  let best = -Infinity;
+  return readAll()
+    .filter((e) => e.player === player && e.scenarioKey === scenarioKey)
+    .sort((a, b) => a.playedAt - b.playedAt)
+    .map((e) => {
+      const isBest = e.score > best;
+      if (isBest) best = e.score;
+      return { ...e, best: isBest };
+    });
+}
+
+// Where a score would place on a scenario's board (1 = top)
+export function rankOf(entry) {
+  return listEntries({ scenarioKey: entry.scenarioKey }).findIndex((e) => e.id === entry.id) + 1;
+}
+
+export function clearLeaderboard() {
+  localStorage.removeItem(STORAGE_KEY);
+}
@@ -0,0 +1,489 @@
+// src/game/locales/en.js
+// English text, and the fallback for keys missing from other languages.
+// {name} placeholders are filled in by t(); amounts arrive already
+// formatted with their unit or currency.
+
+export default {
+  // Game names
+  "action.Irrigate": "Irrigate",
+  "action.Fertilize": "Fertilize",
+  "action.Scout": "Scout",
+  "action.Treat": "Treat",
+  "action.Wait": "Wait",
+  "action.InstallDrip": "Install drip",
+  "crop.maize": "Maize",
+  "crop.rice": "Rice",
+  "crop.wheat": "Wheat",
+  "crop.soybean": "Soybean",
+  "crop.cassava": "Cassava",
+  "soil.sand": "Sand",
+  "soil.sandyLoam": "Sandy loam",
+  "soil.loam": "Loam",
+  "soil.clayLoam": "Clay loam",
+  "soil.clay": "Clay",
+  "stage.initial": "initial",
+  "stage.development": "development",
+  "stage.mid": "mid-season",
+  "stage.late": "late",
+  "rain.none": "No rain",
+  "rain.low": "Low",
+  "rain.medium": "Medium",
+  "rain.high": "High",
+  "irrigation.surface": "Surface",
+  "irrigation.drip": "Drip",
+  "provider.nasa-power": "🛰️ NASA POWER (online)",
+  "provider.sample": "🧪 Sample weather (offline)",
+  "provider.csv": "📁 CSV file (offline)",
+  "plot.label": "Plot {n}",
+  "step.day": "Day {n}",
+  "step.week": "Week {n}",
+  "step.weekRange": "Week {n} (days {first}–{last})",
+  "step.stepRange": "Step {n} (days {first}–{last})",
+  "unit.mm": "millimetres",
+  "unit.in": "inches",
+  "unit.ha": "hectares",
+  "unit.ac": "acres",
+  "unit.ha.one": "hectare",
+  "unit.ac.one": "acre",
+  "unit.sprays": "{n} sprays",
+
+  // Settings
+  "settings.title": "🌐 Language, currency & units",
+  "settings.language": "Language",
+  "settings.currency": "Currency symbol",
+  "settings.depthUnit": "Rain & water",
+  "settings.areaUnit": "Area",
+  "settings.note": "Money is play money: the currency only changes the symbol, not the amounts.",
+
+  // Map screen
+  "map.title": "🌾 NASA Smart Farm Setup",
+  "map.intro": "Choose your crop and season, then click anywhere on the map to select your farm location.",
+  "map.leaderboard": "🏆 Leaderboard",
+  "map.crop": "🪴 Crop Type:",
+  "map.fullSeason": "Full season: {days} days",
+  "map.stageDays": "{stage} {days}d",
+  "map.plots": "🧩 Plots:",
+  "map.addPlot": "➕ Add plot",
+  "map.removePlot": "Remove plot",
+  "map.weatherSource": "🌦️ Weather Source:",
+  "map.csvHelp": "NASA POWER daily CSV export, or any CSV with DATE, T2M_MAX, T2M_MIN, PRECTOTCORR columns",
+  "map.season": "🗓️ Season:",
+  "map.recent": "Recent days",
+  "map.historical": "Historical full season",
+  "map.simDays": "📅 Simulation Days:",
+  "map.plantingDate": "🌱 Planting Date:",
+  "map.plantingHelp": "Simulates {days} days of historical daily weather from {date}",
+  "map.soil": "🟫 Soil Type:",
+  "map.soilSuggested": "Suggested for this location",
+  "map.soilInfo": "Field capacity {fc} · wilting point {wp} · {usable} usable · soaks up {infiltration}",
+  "map.timeStep": "⏱️ Time Step:",
+  "map.daily": "Daily",
+  "map.weekly": "Weekly",
+  "map.continue": "▶️ Continue",
+  "map.saveLine": "{crop} · {step}/{length} · saved {when}",
+  "map.resume": "Resume",
+  "map.rename": "Rename",
+  "map.delete": "Delete",
+  "map.renameFarm": "Rename farm",
+  "map.deleteSaveConfirm": "Delete \"{name}\"? This cannot be undone.",
+  "map.fieldBoundary": "📐 Field Boundary:",
+  "map.drawHelp": "Click the map to add corners ({count} so far)",
+  "map.finish": "✅ Finish",
+  "map.undoPoint": "↩️ Undo point",
+  "map.cancel": "✖ Cancel",
+  "map.drawField": "✏️ Draw field",
+  "map.savedFields": "Saved fields:",
+  "map.deleteField": "Delete field",
+  "map.nameField": "Name this field",
+  "map.defaultFieldName": "Field {n}",
+  "map.deleteFieldConfirm": "Delete saved field \"{name}\"?",
+  "map.location": "Location:",
+  "map.latLon": "Lat: {lat}, Lon: {lon}",
+  "map.unknownPlace": "Unknown",
+  "map.pointFarm": "Point farm: costs and revenue are per {area}",
+  "map.etoMethod": "ETo method:",
+  "eto.unavailable": "Unavailable",
+  "eto.mixed": "{method} ({n} of {total} days, rest {rest})",
+  "map.etoMean": "Mean ETo {eto} · Hargreaves {hargreaves}",
+  "map.noIrrigation": "💧 Without irrigation the {soil} ends the period at {left} of {usable} usable water",
+  "map.loadingData": "⏳ Loading NASA data...",
+  "map.loadingShort": "Loading...",
+  "map.export": "📤 Export",
+  "map.share": "🔗 Share link",
+  "map.import": "📥 Import",
+  "map.start": "Start Simulation",
+  "map.linkCopied": "🔗 Link copied. Everyone who opens it plays the same weather, farm and seed.",
+  "map.copyLink": "Copy this link to share the scenario",
+  "map.rulesMismatch": "This scenario was made with a different game version, so results may not match. Play it anyway?",
+  "map.csvError": "❌ Could not read {file}: {error}",
+  "map.importError": "❌ Could not import {file}: {error}",
+  "map.seasonNotOver": "❌ That season hasn't finished yet. Pick an earlier planting date.",
+  "map.weatherFailed": "❌ Failed to load weather data",
+
+  // Farm scene
+  "farm.rulesMismatch": "⚠️ This scenario was made with a different game version, so results may not match your classmates'.",
+  "farm.noData": "No NASA data found. Please select a farm on the map first.",
+  "farm.saveFailed": "⚠️ Storage is full, so this farm is no longer being saved. Delete old farms from the Continue list on the map to free space.",
+  "farm.titleMixed": "🧩 MIXED FARM ({count} plots)",
+  "farm.title": "{crop} FARM",
+  "farm.seed": "🎲 Seed: {seed}",
+  "farm.nextDay": "➡️ Next Day",
+  "farm.nextWeek": "➡️ Next Week",
+  "farm.installDrip": "🔧 Install Drip ({cost}/{area})",
+  "farm.clearPlan": "🗑️ Clear Plan",
+  "farm.undo": "↩️ Undo",
+  "farm.rewind": "⏪ Rewind",
+  "farm.howToPlay": "❓ How to Play",
+  "farm.exit": "⬅️ Exit",
+  "farm.advisorOn": "🛸 Advisor: ON",
+  "farm.advisorOff": "🛸 Advisor: OFF",
+  "farm.drone": "🛸 Navigator Drone",
+  "farm.planCleared": "🗑️ Plan cleared.",
+  "farm.nothingToUndo": "↩️ Nothing to undo yet.",
+  "farm.unitDay": "day",
+  "farm.unitWeek": "week",
+  "farm.unitStep": "step",
+  "farm.rewindPrompt": "⏪ Rewind to the start of which {unit}? (1–{last})",
+  "farm.rewindInvalid": "⚠️ Pick a {unit} from 1 to {last}.",
+  "farm.practiceConfirm":
+    "🧪 Going back in time makes this a practice season: you can keep playing, but it can't go on the leaderboard. Continue?",
+  "farm.resolved": "✅ Resolved: {resolved}",
+  "farm.replaying": "🔁 Replaying {step}:",
+  "farm.replayMatched": "✅ Replay matched the original season exactly.",
+  "farm.replayDiverged": "⚠️ Replay diverged from the original season.",
+
+  "hud.practice": "🧪 Practice",
+  "hud.plot": "🧩 Plot {n}/{count}: {crop} · {area}",
+  "hud.stage": "🌱 Stage: {stage} (Kc {kc})",
+  "hud.eto": "☀️ ETo: {eto}",
+  "hud.etoForecast": "{eto} forecast, {method}",
+  "hud.moisture": "💧 Moisture: {moisture}% ({water})",
+  "hud.soil": "{emoji} Soil: {soil} (FC {fc} / WP {wp})",
+  "hud.nitrogen": "🌿 Soil N: {nitrogen}",
+  "hud.pests": "🐛 Pests: {pests}",
+  "hud.pestsScouted": "{pests} · disease {disease} (scouted {step})",
+  "hud.pestsUnknown": "unknown, scout to check",
+  "hud.diseaseRisk": "🍄 Disease risk: {risk}",
+  "hud.yield": "🌽 Projected yield: {yield} of {potential} ({tonnes} t)",
+  "hud.money": "💰 Money: {money}",
+  "hud.sustainability": "🌍 Sustainability: {score}",
+  "hud.farm": "📐 Farm: {area} · 🚿 {irrigated} m³ irrigated",
+  "hud.tank": "🛢️ Tank: {stored} / {capacity} m³ · {method} irrigation",
+  "hud.labour": "👷 Labour: {used} / {budget} h · Plan: {plan}",
+  "hud.planEmpty": "nothing yet",
+
+  // Feedback and log
+  "event.planned": "📝 Planned {action} ({hours} h of labour, {left} h left).",
+  "event.noLabour": "👷 Not enough labour left for {action}: it needs {hours} h, {left} h remain.",
+  "event.cancelled": "🗑️ Took {action} off the plan.",
+  "event.undone": "↩️ Undid {action}. 🧪 This is now a practice season.",
+  "event.stepEnd": "the end of the step",
+  "event.rewound": "⏪ Back to the start of step {step}. 🧪 This is now a practice season.",
+  "event.rewoundPlan": "⏪ Back to the start of step {step} with an empty plan.",
+  "event.income": "💰 The crop earned {amount}.",
+  "event.rain": "🌧️ Rain: {level} ({rain})",
+  "event.irrigated": "🚿 You irrigated {water} ({volume} m³ from the tank), {roots} reached the roots.",
+  "event.irrigatedDrip": "💧 Drip irrigated {water} ({volume} m³ from the tank), {roots} reached the roots.",
+  "event.tankRanDry": "⚠️ The tank ran dry partway.",
+  "event.tankEmpty": "🛢️ The tank is empty: no water to irrigate with. Wait for rain.",
+  "event.dripInstalled": "🔧 Drip lines installed for {cost}.",
+  "event.dripAlreadyInstalled": "🔧 This plot already has drip lines.",
+  "event.cannotAfford": "💸 Not enough money: that costs {cost}.",
+  "event.cropUsed": "Crop used {water}",
+  "event.drained": "{water} drained past the roots",
+  "event.runoff": "{water} ran off the surface",
+  "event.leached": "{nitrogen} leached",
+  "event.fertilized": "🌱 You applied {dose} of fertilizer.",
+  "event.scouted": "🔍 You scouted: pests about {pests}, disease about {disease}.",
+  "event.treated": "🧴 You sprayed: killed {pests} pest points, cleared {disease} disease.",
+  "event.diseaseRisk": "🍄 Disease risk is high ({risk}) after wet days.",
+  "event.waited": "⏳ You waited.",
+  "event.harvested": "🌾 Harvested {tonnes} t of {crop} ({yield}), sold for {income}.",
+
+  "summary.tankShort": "(tank ran short)",
+  "summary.tankEmpty": "🛢️ tank empty, no irrigation",
+  "summary.scouted": "🔍 pests ~{pests}, disease ~{disease}",
+  "summary.treated": "🧴 sprayed",
+  "summary.diseaseRisk": "🍄 disease risk {risk}",
+  "summary.nothing": "nothing",
+
+  "log.title": "Action Log",
+  "log.noAction": "No action",
+  "log.weather": "Rain: {level} {rain}, forecast {low}–{high}",
+  "log.tank": "tank +{volume} m³",
+  "log.line": "{step}: 📝 planned {planned} → ✅ {resolved} ({weather})",
+
+  // Navigator Drone
+  "advice.today": "today",
+  "advice.thisWeek": "this week",
+  "advice.tomorrow": "tomorrow",
+  "advice.nextWeek": "next week",
+  "advice.treatPests": "Scouting found pests at {pests}: spray before they spread further.",
+  "advice.treatDisease": "Scouting found disease at {disease}: spray to slow it down.",
+  "advice.rainComing": "Rain of {rain} expected {when}, so skip irrigation.",
+  "advice.tankEmpty": "The soil is dry but the tank is empty. Hold on until rain refills it.",
+  "advice.irrigate":
+    "Soil moisture is {moisture}%, below the {low}% {crop} needs, and little rain is due. Irrigate ({method}).",
+  "advice.leaching": "Soil N is low, but {rain} of rain would leach fertilizer. Hold off for now.",
+  "advice.fertilize": "Soil N is {nitrogen} and {crop} wants {need} in the {stage} stage. Apply a split dose.",
+  "advice.diseaseRisk": "Disease risk is {risk} after wet days. Scout to see if it has taken hold.",
+  "advice.scoutAgain": "Pests were last checked on {step}. Time to scout again.",
+  "advice.scoutFirst": "Pests haven't been checked yet. Scout to see what you're dealing with.",
+  "advice.allFine": "Soil water, nitrogen and pests all look fine. Nothing to do this step.",
+
+  // Dashboard
+  "dashboard.title": "📊 Farm Dashboard",
+  "forecast.title": "🌦️ Forecast",
+  "forecast.day": "Day",
+  "forecast.step": "Step",
+  "forecast.rain": "Rain ({unit})",
+  "forecast.chance": "Chance",
+  "forecast.temp": "Temp (°C)",
+  "forecast.eto": "ETo ({unit})",
+  "forecast.today": "Today",
+  "forecast.thisStep": "This step",
+  "forecast.note": "Ranges are 80% likely. The further ahead, the less certain; the real weather shows once you act.",
+
+  "chart.choose": "⚙️ Choose charts",
+  "chart.markers": "📌 Action markers",
+  "chart.markersKey": "📌 Markers along the bottom show the actions taken each step:",
+  "chart.water": "💧 Water",
+  "chart.crop": "🌿 Crop",
+  "chart.market": "💰 Money & Market",
+  "chart.temperature": "🌡️ Temperature",
+  "chart.index": "Index (0–100)",
+  "chart.nitrogenAxis": "N ({unit})",
+  "chart.priceAxis": "Price (× base)",
+  "chart.series.soilMoisture": "Soil Moisture ({unit})",
+  "chart.series.tank": "Tank ({unit})",
+  "chart.series.precip": "Precipitation ({unit})",
+  "chart.series.eto": "ETo ({unit})",
+  "chart.series.cropHealth": "Crop Health",
+  "chart.series.yieldPercent": "Projected Yield (% of potential)",
+  "chart.series.sustainability": "Sustainability",
+  "chart.series.pests": "Pests (last scouted)",
+  "chart.series.diseaseRisk": "Disease Risk",
+  "chart.series.nitrogen": "Soil Nitrogen ({unit})",
+  "chart.series.money": "Money ({unit})",
+  "chart.series.marketPrice": "Market Price (×)",
+  "chart.series.tmax": "Tmax ({unit})",
+  "chart.series.tmin": "Tmin ({unit})",
+  "marker.Irrigate": "💧 Irrigate",
+  "marker.Fertilize": "🌱 Fertilize",
+  "marker.Scout": "🔍 Scout",
+  "marker.Treat": "🧪 Treat",
+  "marker.InstallDrip": "🚿 Drip installed",
+
+  "sustainability.title": "🌍 Sustainability: {score} / 100",
+  "sustainability.factor": "Factor",
+  "sustainability.season": "Season",
+  "sustainability.points": "Points",
+  "sustainability.lastStep": "Last step",
+  "sustainability.leached": "Nitrogen leached",
+  "sustainability.wastedIrrigation": "Irrigation beyond crop need",
+  "sustainability.runoff": "Runoff",
+  "sustainability.treatments": "Pesticide treatments",
+
+  // End of season
+  "end.title": "🌾 Season Complete!",
+  "end.totals": "Final Profit: {money}\nSustainability: {sustainability}\nCrop Health: {health}",
+  "end.score": "🏆 Season score: {score} / 100 = {weights}",
+  "end.advice": "🛸 You followed the drone's advice {followed} of {given} times ({percent}%)",
+  "end.seed": "Seed: {seed} ({steps} recorded steps)",
+  "end.practice": "🧪 Practice season: undo or rewind was used, so it can't go on the leaderboard.",
+  "end.added": "🏆 Added for {player}: #{rank} on this scenario.",
+  "end.viewLeaderboard": "View leaderboard",
+  "end.yourName": "Your name",
+  "end.addToLeaderboard": "🏆 Add to leaderboard",
+  "end.report": "📄 Season Report",
+  "end.replay": "🔁 Replay Season",
+  "end.toMap": "⬅️ Go to Map",
+
+  "compare.title": "📋 Same weather, other strategies",
+  "compare.strategy": "Strategy",
+  "compare.profit": "Money ({currency})",
+  "compare.sustainability": "Sustainability",
+  "compare.health": "Crop Health",
+  "compare.irrigation": "Irrigation (m³)",
+  "compare.nitrogen": "N applied ({unit})",
+  "compare.harvest": "Harvest (t)",
+  "compare.score": "Score",
+  "compare.note":
+    "Score = {weights}. The look-ahead search knows the weather in advance, so treat it as a ceiling rather than a fair opponent.",
+  "compare.running": "⏳ Running reference strategies…",
+  "compare.moneyChart": "💰 Money ({currency})",
+  "compare.healthChart": "🌿 Crop Health",
+
+  "strategy.player": "🧑‍🌾 You",
+  "strategy.wait": "⏳ Always wait",
+  "strategy.irrigate": "🚿 Irrigate when dry",
+  "strategy.fertilize": "🌱 Fertilize on schedule",
+  "strategy.drone": "🛸 Follow the drone",
+  "strategy.search": "🔎 Look-ahead search",
+
+  "score.profit": "Profit",
+  "score.profit.explain": "100 = {income} per {area} every day plus a full-potential harvest, with no costs",
+  "score.sustainability": "Sustainability",
+  "score.sustainability.explain": "the sustainability score",
+  "score.yield": "Yield",
+  "score.yield.explain": "harvest as % of the crops' potential",
+
+  // How to Play
+  "help.title": "❓ How to Play",
+  "help.close": "Close",
+  "help.planning":
+    "📝 Each day you plan actions, then press Next Day. Every action takes labour hours per hectare (shown on its button) and the farm has {hours} hours a day for every hectare, so choose what matters most. Nothing happens until the day resolves: then your plan is carried out, the day's weather falls once, pests grow, and the crop earns its income. The log shows what you planned and what actually happened. 🗑️ Clear Plan takes your choices back",
+  "help.undo":
+    "↩️ Undo takes back your last action. ⏪ Rewind returns to the start of an earlier day so you can try something else; the chart and log go back with it. Undoing a finished day or rewinding makes the season 🧪 practice, which can't go on the leaderboard",
+  "help.water":
+    "💧 Soil moisture is a daily water balance:\n- Rain and irrigation fill the root zone\n- The crop uses water every day (ETo × crop Kc)\n- Heavy rain beyond what the soil can soak up in a day runs off\n- Water above field capacity drains away and is lost\n- Moisture % = usable water (above wilting point) ÷ the soil's usable capacity\n- Sand holds little and drains fast; clay holds more but soaks up rain slowly",
+  "help.irrigate":
+    "🚿 Irrigate: draws {surface} of water from the tank (three quarters reaches the roots) and costs money. Water the soil can't hold drains or runs off and counts against sustainability",
+  "help.fertilize":
+    "🌱 Fertilize: applies a split dose of {dose} and costs money. Soil nitrogen is a pool: the crop takes it up fastest in development and mid-season, and heavy rain that drains through the soil leaches some away, so several small doses when the crop needs them beat one big one",
+  "help.scout":
+    "🔍 Scout: walks the plot and reports pest and disease levels (within about ±5) at the end of the day, costs a little. Pests stay hidden until you scout",
+  "help.tank":
+    "🛢️ Irrigation water comes from the farm tank, which rain refills through the catchment. When the tank is empty you cannot irrigate, so save water for dry spells",
+  "help.drip":
+    "🔧 Install Drip: a one-off cost per {area} for the selected plot. Drip draws {drip} instead of {surface} and 95% of it reaches the roots (75% for surface irrigation)",
+  "help.treat":
+    "🧴 Treat: sprays the plot, killing 70% of pests and clearing half the disease. Costs money and every spray lowers sustainability, so scout first",
+  "help.pests":
+    "🐛 Pests breed faster in warm (more degree-days above 10 °C) and humid weather. 🍄 Disease risk builds over runs of wet days; once it passes 60 disease spreads until it dries out",
+  "help.wait": "⏳ Wait: do nothing",
+  "help.health": "🌿 Crop health depends on soil moisture, nitrogen, and the worse of pests or disease",
+  "help.crops":
+    "🪴 Each crop has its own growth stages: thirstier stages (higher Kc) dry the soil faster, and crops differ in the moisture range they like, the nitrogen they need and how prone they are to pests",
+  "help.plots":
+    "🧩 Mixed farms: click a plot to select it; actions apply to the selected plot only. Each plot keeps its own soil water, nitrogen and pests, and money is shared across the farm",
+  "help.forecast":
+    "🌦️ Forecast: the dashboard shows the coming days' rain, temperature and ETo with 80% ranges that widen the further ahead you look. The real weather is only revealed when you act, so plan irrigation and fertilizer around the forecast and keep some slack",
+  "help.drone":
+    "🛸 Navigator Drone: recommends an action for the selected plot from its soil, nitrogen, scouting results and the coming weather, and says why. Switch it on or off at the top right; at the end of the season you'll see how often you followed it",
+  "help.sustainability":
+    "🌍 Sustainability starts at 100 and drops for nitrogen leached, irrigation beyond what the crop could use, runoff and pesticide sprays. The dashboard shows which of these moved it",
+  "help.money": "💰 Money increases if crop health is good, market price fluctuates",
+  "help.harvest":
+    "🌽 Harvest: every day of dry soil, missing nitrogen or pest and disease pressure cuts into the crop's potential yield. The HUD and chart show the projected yield; at the end of the season it is harvested and sold at the market price of the day",
+  "help.charts":
+    "📈 The dashboard charts water, crop, money and temperature over the season. Pick charts and series under ⚙️ Choose charts (or click a legend entry); the markers along the bottom show what you did each step",
+  "help.goal": "✅ Take actions wisely each day to maximize profit & crop health",
+
+  // Leaderboard
+  "leaderboard.title": "🏆 Leaderboard",
+  "leaderboard.scoreHelp": "Season score (0–100) = {weights}. Each part is scaled to 0–100 first:",
+  "leaderboard.scenario": "🗺️ Scenario:",
+  "leaderboard.allScenarios": "All scenarios",
+  "leaderboard.player": "🧑‍🌾 Player:",
+  "leaderboard.everyone": "Everyone",
+  "leaderboard.playerColumn": "Player",
+  "leaderboard.scenarioColumn": "Scenario",
+  "leaderboard.money": "Money ({currency})",
+  "leaderboard.played": "Played",
+  "leaderboard.empty": "No finished seasons yet. Finish a season and add it from the end screen.",
+  "leaderboard.history": "📈 {player}'s seasons on {scenario}",
+  "leaderboard.best": "🏅 personal best",
+  "leaderboard.clear": "🗑️ Clear leaderboard",
+  "leaderboard.clearConfirm": "Clear every leaderboard entry on this device? This cannot be undone.",
+
+  // Season report
+  "report.title": "🌾 Season Report",
+  "report.none": "No season report yet. Finish a season to generate one.",
+  "report.csv": "📥 Download CSV",
+  "report.json": "📥 Download JSON",
+  "report.print": "🖨️ Print",
+  "report.setup": "📍 {place} · {length} · {area} · Seed {seed}",
+  "report.days": "{n} days",
+  "report.weeks": "{n} weeks",
+  "report.steps": "{n} steps",
+  "report.practice": "🧪 Practice season",
+  "report.plot": "Plot {n}: {crop}, {area}, {soil}",
+  "report.drip": "drip",
+  "report.generated": "Generated {when}",
+  "report.totals": "📊 Season totals",
+  "report.season": "🌿 Crop health {health} · 🌍 Sustainability {sustainability} · 🧴 Treatments {treatments}",
+  "report.charts": "📈 Charts",
+  "report.by.day": "📋 Day by day",
+  "report.by.week": "📋 Week by week",
+  "report.by.step": "📋 Step by step",
+  "report.section.water": "💧 Water",
+  "report.section.fertilizer": "🌱 Fertilizer",
+  "report.section.harvest": "🌾 Harvest",
+  "report.section.costs": "💸 Costs",
+  "report.section.money": "💰 Money",
+  "report.column.step": "Step",
+  "report.column.date": "Date",
+  "report.column.precip": "Rain ({unit})",
+  "report.column.eto": "ETo ({unit})",
+  "report.column.tmax": "Tmax ({unit})",
+  "report.column.tmin": "Tmin ({unit})",
+  "report.column.actions": "Actions",
+  "report.column.soilMoisture": "Moisture ({unit})",
+  "report.column.nitrogen": "Soil N ({unit})",
+  "report.column.pests": "Pests",
+  "report.column.disease": "Disease",
+  "report.column.cropHealth": "Health",
+  "report.column.projectedTonnes": "Projected yield ({unit})",
+  "report.column.money": "Money ({unit})",
+  "report.column.marketPrice": "Price",
+  "report.column.tank": "Tank ({unit})",
+  "report.total.water.rainMm": "Rain ({unit})",
+  "report.total.water.irrigationMm": "Irrigation ({unit})",
+  "report.total.water.etMm": "Crop ET ({unit})",
+  "report.total.water.drainageMm": "Drainage ({unit})",
+  "report.total.water.runoffMm": "Runoff ({unit})",
+  "report.total.water.wastedIrrigationMm": "Wasted irrigation ({unit})",
+  "report.total.water.irrigationM3": "Irrigation water ({unit})",
+  "report.total.water.harvestedM3": "Rain harvested ({unit})",
+  "report.total.fertilizer.appliedKgHa": "N applied ({unit})",
+  "report.total.fertilizer.appliedKg": "N applied ({unit})",
+  "report.total.fertilizer.uptakeKgHa": "N taken up ({unit})",
+  "report.total.fertilizer.leachedKgHa": "N leached ({unit})",
+  "report.total.harvest.tonnes": "Harvest ({unit})",
+  "report.total.harvest.yieldTHa": "Yield ({unit})",
+  "report.total.harvest.income": "Harvest sales ({unit})",
+  "report.total.costs.Irrigate": "Irrigation ({unit})",
+  "report.total.costs.Fertilize": "Fertilizer ({unit})",
+  "report.total.costs.Scout": "Scouting ({unit})",
+  "report.total.costs.Treat": "Treatments ({unit})",
+  "report.total.costs.InstallDrip": "Drip installation ({unit})",
+  "report.total.costs.total": "Total costs ({unit})",
+  "report.total.money.start": "Starting money ({unit})",
+  "report.total.money.income": "Daily crop income ({unit})",
+  "report.total.money.harvest": "Harvest sales ({unit})",
+  "report.total.money.final": "Final money ({unit})",
+
+  // Demo farm
+  "sim.drone": "Navigator Drone",
+  "sim.analyzing": "Analyzing...",
+  "sim.lastWeek": "Last Week",
+  "sim.installDrip": "🔧 Install Drip",
+  "sim.reset": "↻ Reset",
+  "sim.liveData": "🛰️ Use Live Data",
+  "sim.liveLoaded": "Loaded {provider} weather for {crop} field!",
+  "sim.liveFailed": "Live weather failed. Using mock rainfall.",
+  "sim.health": "Crop Health: {health}",
+  "sim.sustainability": "Sustainability: {score}",
+  "sim.profit": "Profit: {money}",
+  "sim.yield": "Projected Yield: {yield} ({percent}%) · Score: {score}",
+  "sim.moisture": "Soil Moisture: {moisture}% ({water})",
+  "sim.nitrogen": "Soil N: {nitrogen}",
+  "sim.pests": "Pest Pressure: {pests} · Disease risk: {risk}",
+  "sim.tank": "Water Tank: {stored}/{capacity} m³",
+  "sim.price": "Market Price: x{price}",
+  "sim.seasonOver": "Season over",
+  "sim.rain": "Rain: {level}",
+  "sim.scouted": "Pests ~{pests}, disease ~{disease}",
+  "sim.treated": "Sprayed, pests -{killed}",
+  "sim.irrigated": "Irrigated",
+  "sim.irrigatedShort": "Tank ran low, irrigated {water}",
+  "sim.tankEmpty": "Tank empty, no irrigation",
+  "sim.dripInstalled": "Drip installed",
+  "sim.dripAlready": "Drip already installed",
+  "sim.cannotAfford": "Need {cost}",
+  "sim.fertilized": "Fertilized {dose}",
+  "sim.waited": "Waited",
+  "sim.harvested": "Harvested {tonnes} t for {income}",
+  "sim.seasonComplete": "Season complete!",
+};
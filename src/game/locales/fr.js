@@ -0,0 +1,491 @@
+// src/game/locales/fr.js
+// Français (Afrique de l'Ouest). Same keys as en.js; missing keys fall back to English.
+
+export default {
+  // Game names
+  "action.Irrigate": "Irriguer",
+  "action.Fertilize": "Fertiliser",
+  "action.Scout": "Inspecter",
+  "action.Treat": "Traiter",
+  "action.Wait": "Attendre",
+  "action.InstallDrip": "Installer le goutte-à-goutte",
+  "crop.maize": "Maïs",
+  "crop.rice": "Riz",
+  "crop.wheat": "Blé",
+  "crop.soybean": "Soja",
+  "crop.cassava": "Manioc",
+  "soil.sand": "Sable",
+  "soil.sandyLoam": "Limon sableux",
+  "soil.loam": "Limon",
+  "soil.clayLoam": "Limon argileux",
+  "soil.clay": "Argile",
+  "stage.initial": "initial",
+  "stage.development": "développement",
+  "stage.mid": "mi-saison",
+  "stage.late": "fin de cycle",
+  "rain.none": "Pas de pluie",
+  "rain.low": "Faible",
+  "rain.medium": "Moyenne",
+  "rain.high": "Forte",
+  "irrigation.surface": "Gravitaire",
+  "irrigation.drip": "Goutte-à-goutte",
+  "provider.nasa-power": "🛰️ NASA POWER (en ligne)",
+  "provider.sample": "🧪 Météo d'exemple (hors ligne)",
+  "provider.csv": "📁 Fichier CSV (hors ligne)",
+  "plot.label": "Parcelle {n}",
+  "step.day": "Jour {n}",
+  "step.week": "Semaine {n}",
+  "step.weekRange": "Semaine {n} (jours {first}–{last})",
+  "step.stepRange": "Étape {n} (jours {first}–{last})",
+  "unit.mm": "millimètres",
+  "unit.in": "pouces",
+  "unit.ha": "hectares",
+  "unit.ac": "acres",
+  "unit.ha.one": "hectare",
+  "unit.ac.one": "acre",
+  "unit.sprays": "{n} pulvérisations",
+
+  // Settings
+  "settings.title": "🌐 Langue, monnaie et unités",
+  "settings.language": "Langue",
+  "settings.currency": "Symbole monétaire",
+  "settings.depthUnit": "Pluie et eau",
+  "settings.areaUnit": "Surface",
+  "settings.note": "L'argent est fictif : la monnaie change seulement le symbole, pas les montants.",
+
+  // Map screen
+  "map.title": "🌾 Configuration de la ferme NASA",
+  "map.intro": "Choisissez votre culture et votre saison, puis cliquez sur la carte pour placer votre ferme.",
+  "map.leaderboard": "🏆 Classement",
+  "map.crop": "🪴 Culture :",
+  "map.fullSeason": "Saison complète : {days} jours",
+  "map.stageDays": "{stage} {days} j",
+  "map.plots": "🧩 Parcelles :",
+  "map.addPlot": "➕ Ajouter une parcelle",
+  "map.removePlot": "Retirer la parcelle",
+  "map.weatherSource": "🌦️ Source météo :",
+  "map.csvHelp": "Export CSV journalier de NASA POWER, ou tout CSV avec les colonnes DATE, T2M_MAX, T2M_MIN, PRECTOTCORR",
+  "map.season": "🗓️ Saison :",
+  "map.recent": "Derniers jours",
+  "map.historical": "Saison historique complète",
+  "map.simDays": "📅 Jours simulés :",
+  "map.plantingDate": "🌱 Date de semis :",
+  "map.plantingHelp": "Simule {days} jours de météo historique à partir du {date}",
+  "map.soil": "🟫 Type de sol :",
+  "map.soilSuggested": "Conseillé pour ce lieu",
+  "map.soilInfo": "Capacité au champ {fc} · point de flétrissement {wp} · {usable} utiles · absorbe {infiltration}",
+  "map.timeStep": "⏱️ Pas de temps :",
+  "map.daily": "Quotidien",
+  "map.weekly": "Hebdomadaire",
+  "map.continue": "▶️ Continuer",
+  "map.saveLine": "{crop} · {step}/{length} · enregistré le {when}",
+  "map.resume": "Reprendre",
+  "map.rename": "Renommer",
+  "map.delete": "Supprimer",
+  "map.renameFarm": "Renommer la ferme",
+  "map.deleteSaveConfirm": "Supprimer « {name} » ? Cette action est définitive.",
+  "map.fieldBoundary": "📐 Limites du champ :",
+  "map.drawHelp": "Cliquez sur la carte pour ajouter des sommets ({count} pour l'instant)",
+  "map.finish": "✅ Terminer",
+  "map.undoPoint": "↩️ Annuler le point",
+  "map.cancel": "✖ Annuler",
+  "map.drawField": "✏️ Tracer le champ",
+  "map.savedFields": "Champs enregistrés :",
+  "map.deleteField": "Supprimer le champ",
+  "map.nameField": "Nommez ce champ",
+  "map.defaultFieldName": "Champ {n}",
+  "map.deleteFieldConfirm": "Supprimer le champ enregistré « {name} » ?",
+  "map.location": "Lieu :",
+  "map.latLon": "Lat : {lat}, Lon : {lon}",
+  "map.unknownPlace": "Inconnu",
+  "map.pointFarm": "Ferme ponctuelle : coûts et revenus pour 1 {area}",
+  "map.etoMethod": "Méthode ETo :",
+  "eto.unavailable": "Indisponible",
+  "eto.mixed": "{method} ({n} jours sur {total}, le reste {rest})",
+  "map.etoMean": "ETo moyenne {eto} · Hargreaves {hargreaves}",
+  "map.noIrrigation": "💧 Sans irrigation, le sol ({soil}) finit la période avec {left} sur {usable} d'eau utile",
+  "map.loadingData": "⏳ Chargement des données NASA...",
+  "map.loadingShort": "Chargement...",
+  "map.export": "📤 Exporter",
+  "map.share": "🔗 Partager le lien",
+  "map.import": "📥 Importer",
+  "map.start": "Lancer la simulation",
+  "map.linkCopied": "🔗 Lien copié. Tous ceux qui l'ouvrent jouent la même météo, la même ferme et la même graine.",
+  "map.copyLink": "Copiez ce lien pour partager le scénario",
+  "map.rulesMismatch":
+    "Ce scénario a été créé avec une autre version du jeu, les résultats peuvent donc différer. Jouer quand même ?",
+  "map.csvError": "❌ Impossible de lire {file} : {error}",
+  "map.importError": "❌ Impossible d'importer {file} : {error}",
+  "map.seasonNotOver": "❌ Cette saison n'est pas encore terminée. Choisissez une date de semis plus ancienne.",
+  "map.weatherFailed": "❌ Échec du chargement des données météo",
+
+  // Farm scene
+  "farm.rulesMismatch":
+    "⚠️ Ce scénario a été créé avec une autre version du jeu, vos résultats peuvent donc différer de ceux de vos camarades.",
+  "farm.noData": "Aucune donnée NASA. Choisissez d'abord une ferme sur la carte.",
+  "farm.saveFailed": "⚠️ Le stockage est plein : cette ferme n'est plus sauvegardée. Supprimez d'anciennes fermes de la liste Continuer sur la carte pour libérer de la place.",
+  "farm.titleMixed": "🧩 FERME MIXTE ({count} parcelles)",
+  "farm.title": "FERME DE {crop}",
+  "farm.seed": "🎲 Graine : {seed}",
+  "farm.nextDay": "➡️ Jour suivant",
+  "farm.nextWeek": "➡️ Semaine suivante",
+  "farm.installDrip": "🔧 Goutte-à-goutte ({cost}/{area})",
+  "farm.clearPlan": "🗑️ Vider le plan",
+  "farm.undo": "↩️ Annuler",
+  "farm.rewind": "⏪ Revenir",
+  "farm.howToPlay": "❓ Comment jouer",
+  "farm.exit": "⬅️ Quitter",
+  "farm.advisorOn": "🛸 Conseiller : ACTIVÉ",
+  "farm.advisorOff": "🛸 Conseiller : DÉSACTIVÉ",
+  "farm.drone": "🛸 Drone navigateur",
+  "farm.planCleared": "🗑️ Plan vidé.",
+  "farm.nothingToUndo": "↩️ Rien à annuler pour l'instant.",
+  "farm.unitDay": "jour",
+  "farm.unitWeek": "semaine",
+  "farm.unitStep": "étape",
+  "farm.rewindPrompt": "⏪ Revenir au début de quel(le) {unit} ? (1–{last})",
+  "farm.rewindInvalid": "⚠️ Choisissez un(e) {unit} entre 1 et {last}.",
+  "farm.practiceConfirm":
+    "🧪 Revenir en arrière fait de cette saison un entraînement : vous pouvez continuer à jouer, mais elle n'ira pas au classement. Continuer ?",
+  "farm.resolved": "✅ Résultat : {resolved}",
+  "farm.replaying": "🔁 Relecture de {step} :",
+  "farm.replayMatched": "✅ La relecture correspond exactement à la saison d'origine.",
+  "farm.replayDiverged": "⚠️ La relecture s'écarte de la saison d'origine.",
+
+  "hud.practice": "🧪 Entraînement",
+  "hud.plot": "🧩 Parcelle {n}/{count} : {crop} · {area}",
+  "hud.stage": "🌱 Stade : {stage} (Kc {kc})",
+  "hud.eto": "☀️ ETo : {eto}",
+  "hud.etoForecast": "{eto} prévus, {method}",
+  "hud.moisture": "💧 Humidité : {moisture} % ({water})",
+  "hud.soil": "{emoji} Sol : {soil} (CC {fc} / PF {wp})",
+  "hud.nitrogen": "🌿 N du sol : {nitrogen}",
+  "hud.pests": "🐛 Ravageurs : {pests}",
+  "hud.pestsScouted": "{pests} · maladie {disease} (inspecté {step})",
+  "hud.pestsUnknown": "inconnu, inspectez pour savoir",
+  "hud.diseaseRisk": "🍄 Risque de maladie : {risk}",
+  "hud.yield": "🌽 Rendement prévu : {yield} sur {potential} ({tonnes} t)",
+  "hud.money": "💰 Argent : {money}",
+  "hud.sustainability": "🌍 Durabilité : {score}",
+  "hud.farm": "📐 Ferme : {area} · 🚿 {irrigated} m³ irrigués",
+  "hud.tank": "🛢️ Réservoir : {stored} / {capacity} m³ · irrigation {method}",
+  "hud.labour": "👷 Main-d'œuvre : {used} / {budget} h · Plan : {plan}",
+  "hud.planEmpty": "rien pour l'instant",
+
+  // Feedback and log
+  "event.planned": "📝 Prévu : {action} ({hours} h de travail, {left} h restantes).",
+  "event.noLabour": "👷 Pas assez de main-d'œuvre pour {action} : il faut {hours} h, il reste {left} h.",
+  "event.cancelled": "🗑️ {action} retiré du plan.",
+  "event.undone": "↩️ Annulé : {action}. 🧪 Cette saison est maintenant un entraînement.",
+  "event.stepEnd": "la fin de l'étape",
+  "event.rewound": "⏪ Retour au début de l'étape {step}. 🧪 Cette saison est maintenant un entraînement.",
+  "event.rewoundPlan": "⏪ Retour au début de l'étape {step}, sans actions prévues.",
+  "event.income": "💰 La culture a rapporté {amount}.",
+  "event.rain": "🌧️ Pluie : {level} ({rain})",
+  "event.irrigated": "🚿 Vous avez irrigué {water} ({volume} m³ du réservoir), {roots} ont atteint les racines.",
+  "event.irrigatedDrip": "💧 Le goutte-à-goutte a apporté {water} ({volume} m³ du réservoir), {roots} ont atteint les racines.",
+  "event.tankRanDry": "⚠️ Le réservoir s'est vidé en cours de route.",
+  "event.tankEmpty": "🛢️ Le réservoir est vide : pas d'eau pour irriguer. Attendez la pluie.",
+  "event.dripInstalled": "🔧 Goutte-à-goutte installé pour {cost}.",
+  "event.dripAlreadyInstalled": "🔧 Cette parcelle a déjà le goutte-à-goutte.",
+  "event.cannotAfford": "💸 Pas assez d'argent : cela coûte {cost}.",
+  "event.cropUsed": "La culture a consommé {water}",
+  "event.drained": "{water} drainés sous les racines",
+  "event.runoff": "{water} ruisselés en surface",
+  "event.leached": "{nitrogen} lessivés",
+  "event.fertilized": "🌱 Vous avez apporté {dose} d'engrais.",
+  "event.scouted": "🔍 Inspection : ravageurs environ {pests}, maladie environ {disease}.",
+  "event.treated": "🧴 Traitement : {pests} points de ravageurs éliminés, {disease} de maladie enrayés.",
+  "event.diseaseRisk": "🍄 Risque de maladie élevé ({risk}) après des jours humides.",
+  "event.waited": "⏳ Vous avez attendu.",
+  "event.harvested": "🌾 Récolte : {tonnes} t de {crop} ({yield}), vendues {income}.",
+
+  "summary.tankShort": "(réservoir insuffisant)",
+  "summary.tankEmpty": "🛢️ réservoir vide, pas d'irrigation",
+  "summary.scouted": "🔍 ravageurs ~{pests}, maladie ~{disease}",
+  "summary.treated": "🧴 traité",
+  "summary.diseaseRisk": "🍄 risque de maladie {risk}",
+  "summary.nothing": "rien",
+
+  "log.title": "Journal des actions",
+  "log.noAction": "Aucune action",
+  "log.weather": "Pluie : {level} {rain}, prévision {low}–{high}",
+  "log.tank": "réservoir +{volume} m³",
+  "log.line": "{step} : 📝 prévu {planned} → ✅ {resolved} ({weather})",
+
+  // Navigator Drone
+  "advice.today": "aujourd'hui",
+  "advice.thisWeek": "cette semaine",
+  "advice.tomorrow": "demain",
+  "advice.nextWeek": "la semaine prochaine",
+  "advice.treatPests": "L'inspection a trouvé des ravageurs à {pests} : traitez avant qu'ils ne se propagent.",
+  "advice.treatDisease": "L'inspection a trouvé une maladie à {disease} : traitez pour la freiner.",
+  "advice.rainComing": "{rain} de pluie attendus {when}, inutile d'irriguer.",
+  "advice.tankEmpty": "Le sol est sec mais le réservoir est vide. Patientez jusqu'à ce que la pluie le remplisse.",
+  "advice.irrigate":
+    "L'humidité du sol est de {moisture} %, sous les {low} % qu'il faut au {crop}, et peu de pluie est prévue. Irriguez ({method}).",
+  "advice.leaching": "L'azote du sol est bas, mais {rain} de pluie lessiveraient l'engrais. Attendez un peu.",
+  "advice.fertilize":
+    "L'azote du sol est de {nitrogen} et le {crop} en demande {need} au stade {stage}. Apportez une dose fractionnée.",
+  "advice.diseaseRisk": "Le risque de maladie est de {risk} après des jours humides. Inspectez pour voir si elle s'installe.",
+  "advice.scoutAgain": "Les ravageurs ont été vérifiés pour la dernière fois au {step}. Il est temps d'inspecter à nouveau.",
+  "advice.scoutFirst": "Les ravageurs n'ont pas encore été vérifiés. Inspectez pour savoir à quoi vous avez affaire.",
+  "advice.allFine": "Eau du sol, azote et ravageurs vont bien. Rien à faire à cette étape.",
+
+  // Dashboard
+  "dashboard.title": "📊 Tableau de bord",
+  "forecast.title": "🌦️ Prévisions",
+  "forecast.day": "Jour",
+  "forecast.step": "Étape",
+  "forecast.rain": "Pluie ({unit})",
+  "forecast.chance": "Probabilité",
+  "forecast.temp": "Temp. (°C)",
+  "forecast.eto": "ETo ({unit})",
+  "forecast.today": "Aujourd'hui",
+  "forecast.thisStep": "Cette étape",
+  "forecast.note":
+    "Les fourchettes sont sûres à 80 %. Plus on regarde loin, moins c'est certain ; la vraie météo apparaît quand vous agissez.",
+
+  "chart.choose": "⚙️ Choisir les graphiques",
+  "chart.markers": "📌 Repères d'actions",
+  "chart.markersKey": "📌 Les repères en bas montrent les actions de chaque étape :",
+  "chart.water": "💧 Eau",
+  "chart.crop": "🌿 Culture",
+  "chart.market": "💰 Argent et marché",
+  "chart.temperature": "🌡️ Température",
+  "chart.index": "Indice (0–100)",
+  "chart.nitrogenAxis": "N ({unit})",
+  "chart.priceAxis": "Prix (× base)",
+  "chart.series.soilMoisture": "Humidité du sol ({unit})",
+  "chart.series.tank": "Réservoir ({unit})",
+  "chart.series.precip": "Précipitations ({unit})",
+  "chart.series.eto": "ETo ({unit})",
+  "chart.series.cropHealth": "Santé de la culture",
+  "chart.series.yieldPercent": "Rendement prévu (% du potentiel)",
+  "chart.series.sustainability": "Durabilité",
+  "chart.series.pests": "Ravageurs (dernière inspection)",
+  "chart.series.diseaseRisk": "Risque de maladie",
+  "chart.series.nitrogen": "Azote du sol ({unit})",
+  "chart.series.money": "Argent ({unit})",
+  "chart.series.marketPrice": "Prix du marché (×)",
+  "chart.series.tmax": "Tmax ({unit})",
+  "chart.series.tmin": "Tmin ({unit})",
+  "marker.Irrigate": "💧 Irrigation",
+  "marker.Fertilize": "🌱 Engrais",
+  "marker.Scout": "🔍 Inspection",
+  "marker.Treat": "🧪 Traitement",
+  "marker.InstallDrip": "🚿 Goutte-à-goutte installé",
+
+  "sustainability.title": "🌍 Durabilité : {score} / 100",
+  "sustainability.factor": "Facteur",
+  "sustainability.season": "Saison",
+  "sustainability.points": "Points",
+  "sustainability.lastStep": "Dernière étape",
+  "sustainability.leached": "Azote lessivé",
+  "sustainability.wastedIrrigation": "Irrigation au-delà des besoins",
+  "sustainability.runoff": "Ruissellement",
+  "sustainability.treatments": "Traitements pesticides",
+
+  // End of season
+  "end.title": "🌾 Saison terminée !",
+  "end.totals": "Bénéfice final : {money}\nDurabilité : {sustainability}\nSanté de la culture : {health}",
+  "end.score": "🏆 Score de la saison : {score} / 100 = {weights}",
+  "end.advice": "🛸 Vous avez suivi le conseil du drone {followed} fois sur {given} ({percent} %)",
+  "end.seed": "Graine : {seed} ({steps} étapes enregistrées)",
+  "end.practice": "🧪 Saison d'entraînement : annuler ou revenir a été utilisé, elle ne peut pas aller au classement.",
+  "end.added": "🏆 Ajouté pour {player} : n° {rank} sur ce scénario.",
+  "end.viewLeaderboard": "Voir le classement",
+  "end.yourName": "Votre nom",
+  "end.addToLeaderboard": "🏆 Ajouter au classement",
+  "end.report": "📄 Rapport de saison",
+  "end.replay": "🔁 Rejouer la saison",
+  "end.toMap": "⬅️ Retour à la carte",
+
+  "compare.title": "📋 Même météo, autres stratégies",
+  "compare.strategy": "Stratégie",
+  "compare.profit": "Argent ({currency})",
+  "compare.sustainability": "Durabilité",
+  "compare.health": "Santé de la culture",
+  "compare.irrigation": "Irrigation (m³)",
+  "compare.nitrogen": "N apporté ({unit})",
+  "compare.harvest": "Récolte (t)",
+  "compare.score": "Score",
+  "compare.note":
+    "Score = {weights}. La recherche anticipée connaît la météo à l'avance : voyez-la comme un plafond plutôt qu'un adversaire loyal.",
+  "compare.running": "⏳ Calcul des stratégies de référence…",
+  "compare.moneyChart": "💰 Argent ({currency})",
+  "compare.healthChart": "🌿 Santé de la culture",
+
+  "strategy.player": "🧑‍🌾 Vous",
+  "strategy.wait": "⏳ Toujours attendre",
+  "strategy.irrigate": "🚿 Irriguer quand c'est sec",
+  "strategy.fertilize": "🌱 Fertiliser selon le calendrier",
+  "strategy.drone": "🛸 Suivre le drone",
+  "strategy.search": "🔎 Recherche anticipée",
+
+  "score.profit": "Bénéfice",
+  "score.profit.explain": "100 = {income} par {area} chaque jour plus une récolte au potentiel, sans aucun coût",
+  "score.sustainability": "Durabilité",
+  "score.sustainability.explain": "le score de durabilité",
+  "score.yield": "Rendement",
+  "score.yield.explain": "la récolte en % du potentiel des cultures",
+
+  // How to Play
+  "help.title": "❓ Comment jouer",
+  "help.close": "Fermer",
+  "help.planning":
+    "📝 Chaque jour, vous planifiez des actions puis appuyez sur Jour suivant. Chaque action demande des heures de travail par hectare (indiquées sur son bouton) et la ferme dispose de {hours} heures par jour et par hectare : choisissez l'essentiel. Rien ne se passe avant la fin du jour : votre plan est alors exécuté, la météo du jour tombe une fois, les ravageurs se multiplient et la culture rapporte son revenu. Le journal montre ce que vous aviez prévu et ce qui s'est réellement passé. 🗑️ Vider le plan annule vos choix",
+  "help.undo":
+    "↩️ Annuler reprend votre dernière action. ⏪ Revenir ramène au début d'un jour précédent pour essayer autre chose ; le graphique et le journal reviennent aussi. Annuler un jour terminé ou revenir en arrière fait de la saison un 🧪 entraînement, qui ne va pas au classement",
+  "help.water":
+    "💧 L'humidité du sol est un bilan hydrique quotidien :\n- La pluie et l'irrigation remplissent la zone racinaire\n- La culture consomme de l'eau chaque jour (ETo × Kc de la culture)\n- La forte pluie au-delà de ce que le sol absorbe en un jour ruisselle\n- L'eau au-dessus de la capacité au champ est drainée et perdue\n- Humidité % = eau utile (au-dessus du point de flétrissement) ÷ réserve utile du sol\n- Le sable retient peu et draine vite ; l'argile retient plus mais absorbe la pluie lentement",
+  "help.irrigate":
+    "🚿 Irriguer : prélève {surface} d'eau dans le réservoir (les trois quarts atteignent les racines) et coûte de l'argent. L'eau que le sol ne peut retenir est drainée ou ruisselle et compte contre la durabilité",
+  "help.fertilize":
+    "🌱 Fertiliser : apporte une dose fractionnée de {dose} et coûte de l'argent. L'azote du sol est un stock : la culture l'absorbe surtout en développement et à mi-saison, et la forte pluie qui traverse le sol en lessive une partie ; plusieurs petites doses au bon moment valent mieux qu'une grosse",
+  "help.scout":
+    "🔍 Inspecter : parcourt la parcelle et indique les niveaux de ravageurs et de maladie (à ±5 près) en fin de journée, pour un petit coût. Les ravageurs restent cachés tant que vous n'inspectez pas",
+  "help.tank":
+    "🛢️ L'eau d'irrigation vient du réservoir de la ferme, que la pluie remplit par le bassin de captage. Quand il est vide, vous ne pouvez pas irriguer : gardez de l'eau pour les périodes sèches",
+  "help.drip":
+    "🔧 Installer le goutte-à-goutte : un coût unique par {area} pour la parcelle choisie. Le goutte-à-goutte prélève {drip} au lieu de {surface} et 95 % atteignent les racines (75 % en irrigation gravitaire)",
+  "help.treat":
+    "🧴 Traiter : pulvérise la parcelle, élimine 70 % des ravageurs et la moitié de la maladie. Cela coûte de l'argent et chaque traitement baisse la durabilité : inspectez d'abord",
+  "help.pests":
+    "🐛 Les ravageurs se multiplient plus vite par temps chaud (plus de degrés-jours au-dessus de 10 °C) et humide. 🍄 Le risque de maladie monte au fil des jours humides ; au-delà de 60, la maladie s'étend jusqu'à ce que le temps sèche",
+  "help.wait": "⏳ Attendre : ne rien faire",
+  "help.health": "🌿 La santé de la culture dépend de l'humidité du sol, de l'azote et du pire entre ravageurs et maladie",
+  "help.crops":
+    "🪴 Chaque culture a ses propres stades : les stades plus gourmands (Kc plus élevé) assèchent le sol plus vite, et les cultures diffèrent par l'humidité qu'elles aiment, l'azote qu'il leur faut et leur sensibilité aux ravageurs",
+  "help.plots":
+    "🧩 Fermes mixtes : cliquez sur une parcelle pour la choisir ; les actions ne s'appliquent qu'à elle. Chaque parcelle garde son eau, son azote et ses ravageurs, et l'argent est commun à toute la ferme",
+  "help.forecast":
+    "🌦️ Prévisions : le tableau de bord montre la pluie, la température et l'ETo des prochains jours avec des fourchettes à 80 % qui s'élargissent avec l'échéance. La vraie météo n'apparaît que quand vous agissez : planifiez l'irrigation et l'engrais d'après les prévisions en gardant une marge",
+  "help.drone":
+    "🛸 Drone navigateur : recommande une action pour la parcelle choisie d'après son sol, son azote, les inspections et la météo à venir, et explique pourquoi. Activez-le ou désactivez-le en haut à droite ; en fin de saison vous verrez combien de fois vous l'avez suivi",
+  "help.sustainability":
+    "🌍 La durabilité part de 100 et baisse avec l'azote lessivé, l'irrigation au-delà des besoins, le ruissellement et les pulvérisations. Le tableau de bord montre lesquels l'ont fait bouger",
+  "help.money": "💰 L'argent augmente si la culture est en bonne santé ; le prix du marché fluctue",
+  "help.harvest":
+    "🌽 Récolte : chaque jour de sol sec, d'azote manquant ou de pression des ravageurs et maladies réduit le rendement potentiel. L'affichage et le graphique montrent le rendement prévu ; en fin de saison il est récolté et vendu au prix du marché du jour",
+  "help.charts":
+    "📈 Le tableau de bord suit l'eau, la culture, l'argent et la température sur la saison. Choisissez graphiques et séries dans ⚙️ Choisir les graphiques (ou cliquez sur la légende) ; les repères en bas montrent ce que vous avez fait à chaque étape",
+  "help.goal": "✅ Agissez avec sagesse chaque jour pour maximiser le bénéfice et la santé de la culture",
+
+  // Leaderboard
+  "leaderboard.title": "🏆 Classement",
+  "leaderboard.scoreHelp": "Score de la saison (0–100) = {weights}. Chaque partie est d'abord ramenée sur 0–100 :",
+  "leaderboard.scenario": "🗺️ Scénario :",
+  "leaderboard.allScenarios": "Tous les scénarios",
+  "leaderboard.player": "🧑‍🌾 Joueur :",
+  "leaderboard.everyone": "Tout le monde",
+  "leaderboard.playerColumn": "Joueur",
+  "leaderboard.scenarioColumn": "Scénario",
+  "leaderboard.money": "Argent ({currency})",
+  "leaderboard.played": "Joué le",
+  "leaderboard.empty": "Aucune saison terminée. Terminez une saison et ajoutez-la depuis l'écran de fin.",
+  "leaderboard.history": "📈 Saisons de {player} sur {scenario}",
+  "leaderboard.best": "🏅 record personnel",
+  "leaderboard.clear": "🗑️ Effacer le classement",
+  "leaderboard.clearConfirm": "Effacer toutes les entrées du classement sur cet appareil ? Cette action est définitive.",
+
+  // Season report
+  "report.title": "🌾 Rapport de saison",
+  "report.none": "Pas encore de rapport. Terminez une saison pour en générer un.",
+  "report.csv": "📥 Télécharger le CSV",
+  "report.json": "📥 Télécharger le JSON",
+  "report.print": "🖨️ Imprimer",
+  "report.setup": "📍 {place} · {length} · {area} · Graine {seed}",
+  "report.days": "{n} jours",
+  "report.weeks": "{n} semaines",
+  "report.steps": "{n} étapes",
+  "report.practice": "🧪 Saison d'entraînement",
+  "report.plot": "Parcelle {n} : {crop}, {area}, {soil}",
+  "report.drip": "goutte-à-goutte",
+  "report.generated": "Généré le {when}",
+  "report.totals": "📊 Totaux de la saison",
+  "report.season": "🌿 Santé de la culture {health} · 🌍 Durabilité {sustainability} · 🧴 Traitements {treatments}",
+  "report.charts": "📈 Graphiques",
+  "report.by.day": "📋 Jour par jour",
+  "report.by.week": "📋 Semaine par semaine",
+  "report.by.step": "📋 Étape par étape",
+  "report.section.water": "💧 Eau",
+  "report.section.fertilizer": "🌱 Engrais",
+  "report.section.harvest": "🌾 Récolte",
+  "report.section.costs": "💸 Coûts",
+  "report.section.money": "💰 Argent",
+  "report.column.step": "Étape",
+  "report.column.date": "Date",
+  "report.column.precip": "Pluie ({unit})",
+  "report.column.eto": "ETo ({unit})",
+  "report.column.tmax": "Tmax ({unit})",
+  "report.column.tmin": "Tmin ({unit})",
+  "report.column.actions": "Actions",
+  "report.column.soilMoisture": "Humidité ({unit})",
+  "report.column.nitrogen": "N du sol ({unit})",
+  "report.column.pests": "Ravageurs",
+  "report.column.disease": "Maladie",
+  "report.column.cropHealth": "Santé",
+  "report.column.projectedTonnes": "Rendement prévu ({unit})",
+  "report.column.money": "Argent ({unit})",
+  "report.column.marketPrice": "Prix",
+  "report.column.tank": "Réservoir ({unit})",
+  "report.total.water.rainMm": "Pluie ({unit})",
+  "report.total.water.irrigationMm": "Irrigation ({unit})",
+  "report.total.water.etMm": "ET de la culture ({unit})",
+  "report.total.water.drainageMm": "Drainage ({unit})",
+  "report.total.water.runoffMm": "Ruissellement ({unit})",
+  "report.total.water.wastedIrrigationMm": "Irrigation gaspillée ({unit})",
+  "report.total.water.irrigationM3": "Eau d'irrigation ({unit})",
+  "report.total.water.harvestedM3": "Pluie récupérée ({unit})",
+  "report.total.fertilizer.appliedKgHa": "N apporté ({unit})",
+  "report.total.fertilizer.appliedKg": "N apporté ({unit})",
+  "report.total.fertilizer.uptakeKgHa": "N absorbé ({unit})",
+  "report.total.fertilizer.leachedKgHa": "N lessivé ({unit})",
+  "report.total.harvest.tonnes": "Récolte ({unit})",
+  "report.total.harvest.yieldTHa": "Rendement ({unit})",
+  "report.total.harvest.income": "Ventes de la récolte ({unit})",
+  "report.total.costs.Irrigate": "Irrigation ({unit})",
+  "report.total.costs.Fertilize": "Engrais ({unit})",
+  "report.total.costs.Scout": "Inspections ({unit})",
+  "report.total.costs.Treat": "Traitements ({unit})",
+  "report.total.costs.InstallDrip": "Installation du goutte-à-goutte ({unit})",
+  "report.total.costs.total": "Coûts totaux ({unit})",
+  "report.total.money.start": "Argent de départ ({unit})",
+  "report.total.money.income": "Revenu quotidien de la culture ({unit})",
+  "report.total.money.harvest": "Ventes de la récolte ({unit})",
+  "report.total.money.final": "Argent final ({unit})",
+
+  // Demo farm
+  "sim.drone": "Drone navigateur",
+  "sim.analyzing": "Analyse...",
+  "sim.lastWeek": "Semaine passée",
+  "sim.installDrip": "🔧 Goutte-à-goutte",
+  "sim.reset": "↻ Recommencer",
+  "sim.liveData": "🛰️ Données en direct",
+  "sim.liveLoaded": "Météo {provider} chargée pour le champ de {crop} !",
+  "sim.liveFailed": "Échec de la météo en direct. Pluie simulée utilisée.",
+  "sim.health": "Santé de la culture : {health}",
+  "sim.sustainability": "Durabilité : {score}",
+  "sim.profit": "Bénéfice : {money}",
+  "sim.yield": "Rendement prévu : {yield} ({percent} %) · Score : {score}",
+  "sim.moisture": "Humidité du sol : {moisture} % ({water})",
+  "sim.nitrogen": "N du sol : {nitrogen}",
+  "sim.pests": "Pression des ravageurs : {pests} · Risque de maladie : {risk}",
+  "sim.tank": "Réservoir : {stored}/{capacity} m³",
+  "sim.price": "Prix du marché : x{price}",
+  "sim.seasonOver": "Saison terminée",
+  "sim.rain": "Pluie : {level}",
+  "sim.scouted": "Ravageurs ~{pests}, maladie ~{disease}",
+  "sim.treated": "Traité, ravageurs -{killed}",
+  "sim.irrigated": "Irrigué",
+  "sim.irrigatedShort": "Réservoir bas, {water} irrigués",
+  "sim.tankEmpty": "Réservoir vide, pas d'irrigation",
+  "sim.dripInstalled": "Goutte-à-goutte installé",
+  "sim.dripAlready": "Goutte-à-goutte déjà installé",
+  "sim.cannotAfford": "Il faut {cost}",
+  "sim.fertilized": "{dose} d'engrais apportés",
+  "sim.waited": "Attente",
+  "sim.harvested": "{tonnes} t récoltées pour {income}",
+  "sim.seasonComplete": "Saison terminée !",
+};
@@ -0,0 +1,491 @@
+// src/game/locales/ha.js
+// Hausa. Same keys as en.js; missing keys fall back to English.
+
+export default {
+  // Game names
+  "action.Irrigate": "Ban ruwa",
+  "action.Fertilize": "Zuba taki",
+  "action.Scout": "Duba gona",
+  "action.Treat": "Fesa magani",
+  "action.Wait": "Jira",
+  "action.InstallDrip": "Saka ban ruwa ɗigo-ɗigo",
+  "crop.maize": "Masara",
+  "crop.rice": "Shinkafa",
+  "crop.wheat": "Alkama",
+  "crop.soybean": "Waken soya",
+  "crop.cassava": "Rogo",
+  "soil.sand": "Yashi",
+  "soil.sandyLoam": "Ƙasa mai yashi",
+  "soil.loam": "Ƙasa mai laushi",
+  "soil.clayLoam": "Ƙasa mai yumɓu",
+  "soil.clay": "Yumɓu",
+  "stage.initial": "farko",
+  "stage.development": "girma",
+  "stage.mid": "tsakiya",
+  "stage.late": "ƙarshe",
+  "rain.none": "Babu ruwan sama",
+  "rain.low": "Kaɗan",
+  "rain.medium": "Matsakaici",
+  "rain.high": "Mai yawa",
+  "irrigation.surface": "Ban ruwa na ƙasa",
+  "irrigation.drip": "Ɗigo-ɗigo",
+  "provider.nasa-power": "🛰️ NASA POWER (ta intanet)",
+  "provider.sample": "🧪 Yanayin misali (ba intanet)",
+  "provider.csv": "📁 Fayil ɗin CSV (ba intanet)",
+  "plot.label": "Fili {n}",
+  "step.day": "Rana ta {n}",
+  "step.week": "Mako na {n}",
+  "step.weekRange": "Mako na {n} (ranaku {first}–{last})",
+  "step.stepRange": "Mataki na {n} (ranaku {first}–{last})",
+  "unit.mm": "milimita",
+  "unit.in": "inci",
+  "unit.ha": "hekta",
+  "unit.ac": "eka",
+  "unit.ha.one": "hekta",
+  "unit.ac.one": "eka",
+  "unit.sprays": "feshi {n}",
+
+  // Settings
+  "settings.title": "🌐 Harshe, kuɗi da ma'auni",
+  "settings.language": "Harshe",
+  "settings.currency": "Alamar kuɗi",
+  "settings.depthUnit": "Ruwan sama da ruwa",
+  "settings.areaUnit": "Faɗin ƙasa",
+  "settings.note": "Kuɗin wasa ne kawai: canza kuɗi yana canza alamar ne, ba adadin ba.",
+
+  // Map screen
+  "map.title": "🌾 Shirya gonar NASA",
+  "map.intro": "Zaɓi amfanin gona da lokacin noma, sannan ka danna taswira don sanya gonarka.",
+  "map.leaderboard": "🏆 Allon gwarzaye",
+  "map.crop": "🪴 Amfanin gona:",
+  "map.fullSeason": "Cikakken lokacin noma: kwana {days}",
+  "map.stageDays": "{stage} kwana {days}",
+  "map.plots": "🧩 Filaye:",
+  "map.addPlot": "➕ Ƙara fili",
+  "map.removePlot": "Cire fili",
+  "map.weatherSource": "🌦️ Tushen yanayi:",
+  "map.csvHelp": "Fitar CSV na kullum daga NASA POWER, ko duk CSV mai ginshiƙai DATE, T2M_MAX, T2M_MIN, PRECTOTCORR",
+  "map.season": "🗓️ Lokacin noma:",
+  "map.recent": "Kwanakin baya-bayan nan",
+  "map.historical": "Cikakken lokacin noma na baya",
+  "map.simDays": "📅 Kwanakin kwaikwayo:",
+  "map.plantingDate": "🌱 Ranar shuka:",
+  "map.plantingHelp": "Yana kwaikwayon kwana {days} na yanayin baya daga {date}",
+  "map.soil": "🟫 Irin ƙasa:",
+  "map.soilSuggested": "Shawara don wannan wuri",
+  "map.soilInfo": "Cikar ƙasa {fc} · bushewar shuka {wp} · {usable} mai amfani · tana shan {infiltration}",
+  "map.timeStep": "⏱️ Tazarar lokaci:",
+  "map.daily": "Kullum",
+  "map.weekly": "Kowane mako",
+  "map.continue": "▶️ Ci gaba",
+  "map.saveLine": "{crop} · {step}/{length} · an ajiye {when}",
+  "map.resume": "Ci gaba",
+  "map.rename": "Sake suna",
+  "map.delete": "Goge",
+  "map.renameFarm": "Sake sunan gona",
+  "map.deleteSaveConfirm": "A goge “{name}”? Ba za a iya dawo da shi ba.",
+  "map.fieldBoundary": "📐 Iyakar gona:",
+  "map.drawHelp": "Danna taswira don ƙara kusurwa ({count} zuwa yanzu)",
+  "map.finish": "✅ Gama",
+  "map.undoPoint": "↩️ Soke ɗigo",
+  "map.cancel": "✖ Soke",
+  "map.drawField": "✏️ Zana gona",
+  "map.savedFields": "Gonakin da aka ajiye:",
+  "map.deleteField": "Goge gona",
+  "map.nameField": "Sanya wa gonar suna",
+  "map.defaultFieldName": "Gona {n}",
+  "map.deleteFieldConfirm": "A goge gonar da aka ajiye “{name}”?",
+  "map.location": "Wuri:",
+  "map.latLon": "Lat: {lat}, Lon: {lon}",
+  "map.unknownPlace": "Ba a sani ba",
+  "map.pointFarm": "Gona a ɗigo: kuɗaɗe da riba na {area} 1",
+  "map.etoMethod": "Hanyar ETo:",
+  "eto.unavailable": "Babu",
+  "eto.mixed": "{method} (kwanaki {n} cikin {total}, sauran {rest})",
+  "map.etoMean": "Matsakaicin ETo {eto} · Hargreaves {hargreaves}",
+  "map.noIrrigation": "💧 Ba tare da ban ruwa ba, ƙasar {soil} za ta ƙare da {left} daga cikin {usable} na ruwa mai amfani",
+  "map.loadingData": "⏳ Ana loda bayanan NASA...",
+  "map.loadingShort": "Ana lodawa...",
+  "map.export": "📤 Fitar",
+  "map.share": "🔗 Raba hanyar haɗi",
+  "map.import": "📥 Shigo da",
+  "map.start": "Fara kwaikwayo",
+  "map.linkCopied": "🔗 An kwafi hanyar haɗi. Duk wanda ya buɗe ta zai yi wasa da yanayi, gona da lambar iri iri ɗaya.",
+  "map.copyLink": "Kwafi wannan hanyar haɗi don raba yanayin wasan",
+  "map.rulesMismatch":
+    "An ƙirƙiri wannan yanayin wasa da wani sigar wasan, don haka sakamako na iya bambanta. A yi wasa duk da haka?",
+  "map.csvError": "❌ Ba a iya karanta {file} ba: {error}",
+  "map.importError": "❌ Ba a iya shigo da {file} ba: {error}",
+  "map.seasonNotOver": "❌ Wannan lokacin noma bai ƙare ba tukuna. Zaɓi ranar shuka ta baya.",
+  "map.weatherFailed": "❌ Ba a iya loda bayanan yanayi ba",
+
+  // Farm scene
+  "farm.rulesMismatch":
+    "⚠️ An ƙirƙiri wannan yanayin wasa da wani sigar wasan, don haka sakamakonka na iya bambanta da na abokan ajinka.",
+  "farm.noData": "Babu bayanan NASA. Zaɓi gona a taswira da farko.",
+  "farm.saveFailed": "⚠️ Ma'ajiya ta cika, don haka ba a ajiye wannan gona. Goge tsofaffin gonaki daga jerin Ci gaba a taswira don samun wuri.",
+  "farm.titleMixed": "🧩 GONA MAI HAƊAKA (filaye {count})",
+  "farm.title": "GONAR {crop}",
+  "farm.seed": "🎲 Lambar iri: {seed}",
+  "farm.nextDay": "➡️ Rana ta gaba",
+  "farm.nextWeek": "➡️ Mako na gaba",
+  "farm.installDrip": "🔧 Ɗigo-ɗigo ({cost}/{area})",
+  "farm.clearPlan": "🗑️ Share shiri",
+  "farm.undo": "↩️ Soke",
+  "farm.rewind": "⏪ Koma baya",
+  "farm.howToPlay": "❓ Yadda ake wasa",
+  "farm.exit": "⬅️ Fita",
+  "farm.advisorOn": "🛸 Mai ba da shawara: A KUNNE",
+  "farm.advisorOff": "🛸 Mai ba da shawara: A KASHE",
+  "farm.drone": "🛸 Jirgin jagora",
+  "farm.planCleared": "🗑️ An share shiri.",
+  "farm.nothingToUndo": "↩️ Babu abin da za a soke tukuna.",
+  "farm.unitDay": "rana",
+  "farm.unitWeek": "mako",
+  "farm.unitStep": "mataki",
+  "farm.rewindPrompt": "⏪ A koma farkon wace {unit}? (1–{last})",
+  "farm.rewindInvalid": "⚠️ Zaɓi {unit} tsakanin 1 da {last}.",
+  "farm.practiceConfirm":
+    "🧪 Komawa baya zai mai da wannan lokacin noma na gwaji: za ka iya ci gaba da wasa, amma ba zai shiga allon gwarzaye ba. A ci gaba?",
+  "farm.resolved": "✅ Sakamako: {resolved}",
+  "farm.replaying": "🔁 Ana sake kunna {step}:",
+  "farm.replayMatched": "✅ Sake kunnawa ya yi daidai da asalin lokacin noma.",
+  "farm.replayDiverged": "⚠️ Sake kunnawa ya bambanta da asalin lokacin noma.",
+
+  "hud.practice": "🧪 Gwaji",
+  "hud.plot": "🧩 Fili {n}/{count}: {crop} · {area}",
+  "hud.stage": "🌱 Mataki: {stage} (Kc {kc})",
+  "hud.eto": "☀️ ETo: {eto}",
+  "hud.etoForecast": "{eto} ake hasashe, {method}",
+  "hud.moisture": "💧 Danshi: {moisture}% ({water})",
+  "hud.soil": "{emoji} Ƙasa: {soil} (FC {fc} / WP {wp})",
+  "hud.nitrogen": "🌿 Nitrogen na ƙasa: {nitrogen}",
+  "hud.pests": "🐛 Ƙwari: {pests}",
+  "hud.pestsScouted": "{pests} · cuta {disease} (an duba {step})",
+  "hud.pestsUnknown": "ba a sani ba, duba gona don sani",
+  "hud.diseaseRisk": "🍄 Haɗarin cuta: {risk}",
+  "hud.yield": "🌽 Hasashen amfani: {yield} daga {potential} (t {tonnes})",
+  "hud.money": "💰 Kuɗi: {money}",
+  "hud.sustainability": "🌍 Dorewa: {score}",
+  "hud.farm": "📐 Gona: {area} · 🚿 m³ {irrigated} an ba da ruwa",
+  "hud.tank": "🛢️ Tanki: {stored} / {capacity} m³ · ban ruwa na {method}",
+  "hud.labour": "👷 Aiki: {used} / {budget} h · Shiri: {plan}",
+  "hud.planEmpty": "babu komai tukuna",
+
+  // Feedback and log
+  "event.planned": "📝 An shirya: {action} (aiki h {hours}, saura h {left}).",
+  "event.noLabour": "👷 Babu isasshen aiki don {action}: ana buƙatar h {hours}, saura h {left}.",
+  "event.cancelled": "🗑️ An cire {action} daga shiri.",
+  "event.undone": "↩️ An soke: {action}. 🧪 Wannan lokacin noma yanzu na gwaji ne.",
+  "event.stepEnd": "ƙarshen mataki",
+  "event.rewound": "⏪ An koma farkon {step}. 🧪 Wannan lokacin noma yanzu na gwaji ne.",
+  "event.rewoundPlan": "⏪ An koma farkon mataki {step} ba tare da shirin aiki ba.",
+  "event.income": "💰 Amfanin gona ya samar da {amount}.",
+  "event.rain": "🌧️ Ruwan sama: {level} ({rain})",
+  "event.irrigated": "🚿 Ka ba da ruwa {water} (m³ {volume} daga tanki), {roots} sun kai ga saiwoyi.",
+  "event.irrigatedDrip": "💧 Ɗigo-ɗigo ya ba da {water} (m³ {volume} daga tanki), {roots} sun kai ga saiwoyi.",
+  "event.tankRanDry": "⚠️ Tanki ya ƙare a tsakiyar ban ruwa.",
+  "event.tankEmpty": "🛢️ Tanki babu ruwa: babu ruwan ban ruwa. Jira ruwan sama.",
+  "event.dripInstalled": "🔧 An saka ɗigo-ɗigo akan {cost}.",
+  "event.dripAlreadyInstalled": "🔧 Wannan fili yana da ɗigo-ɗigo tuni.",
+  "event.cannotAfford": "💸 Babu isasshen kuɗi: yana kashe {cost}.",
+  "event.cropUsed": "Amfanin gona ya yi amfani da {water}",
+  "event.drained": "{water} sun zube ƙasa da saiwoyi",
+  "event.runoff": "{water} sun gudu a saman ƙasa",
+  "event.leached": "{nitrogen} sun wanke",
+  "event.fertilized": "🌱 Ka zuba taki {dose}.",
+  "event.scouted": "🔍 Dubawa: ƙwari kusan {pests}, cuta kusan {disease}.",
+  "event.treated": "🧴 Feshi: an kashe ƙwari maki {pests}, an dakatar da cuta {disease}.",
+  "event.diseaseRisk": "🍄 Haɗarin cuta ya yi yawa ({risk}) bayan kwanaki masu danshi.",
+  "event.waited": "⏳ Ka jira.",
+  "event.harvested": "🌾 Girbi: t {tonnes} na {crop} ({yield}), an sayar da {income}.",
+
+  "summary.tankShort": "(tanki bai isa ba)",
+  "summary.tankEmpty": "🛢️ tanki babu ruwa, ba a ba da ruwa ba",
+  "summary.scouted": "🔍 ƙwari ~{pests}, cuta ~{disease}",
+  "summary.treated": "🧴 an fesa",
+  "summary.diseaseRisk": "🍄 haɗarin cuta {risk}",
+  "summary.nothing": "babu komai",
+
+  "log.title": "Tarihin ayyuka",
+  "log.noAction": "Babu aiki",
+  "log.weather": "Ruwan sama: {level} {rain}, hasashe {low}–{high}",
+  "log.tank": "tanki +{volume} m³",
+  "log.line": "{step}: 📝 an shirya {planned} → ✅ {resolved} ({weather})",
+
+  // Navigator Drone
+  "advice.today": "yau",
+  "advice.thisWeek": "wannan mako",
+  "advice.tomorrow": "gobe",
+  "advice.nextWeek": "mako mai zuwa",
+  "advice.treatPests": "Dubawa ta sami ƙwari a {pests}: fesa magani kafin su yaɗu.",
+  "advice.treatDisease": "Dubawa ta sami cuta a {disease}: fesa magani don rage ta.",
+  "advice.rainComing": "Ana sa ran ruwan sama {rain} {when}, babu buƙatar ban ruwa.",
+  "advice.tankEmpty": "Ƙasa ta bushe amma tanki babu ruwa. Jira har ruwan sama ya cika shi.",
+  "advice.irrigate":
+    "Danshin ƙasa {moisture}% ne, ƙasa da {low}% da {crop} ke buƙata, kuma ba a sa ran ruwan sama mai yawa ba. Ba da ruwa ({method}).",
+  "advice.leaching": "Nitrogen na ƙasa ya yi ƙasa, amma ruwan sama {rain} zai wanke taki. Jira kaɗan.",
+  "advice.fertilize":
+    "Nitrogen na ƙasa {nitrogen} ne kuma {crop} yana buƙatar {need} a matakin {stage}. Zuba taki kaɗan-kaɗan.",
+  "advice.diseaseRisk": "Haɗarin cuta {risk} ne bayan kwanaki masu danshi. Duba gona don ganin ko ta kama.",
+  "advice.scoutAgain": "An duba ƙwari na ƙarshe a {step}. Lokaci ya yi da za a sake dubawa.",
+  "advice.scoutFirst": "Ba a duba ƙwari ba tukuna. Duba gona don sanin abin da kake fuskanta.",
+  "advice.allFine": "Ruwan ƙasa, nitrogen da ƙwari duk lafiya. Babu abin yi a wannan mataki.",
+
+  // Dashboard
+  "dashboard.title": "📊 Allon bayanai",
+  "forecast.title": "🌦️ Hasashen yanayi",
+  "forecast.day": "Rana",
+  "forecast.step": "Mataki",
+  "forecast.rain": "Ruwan sama ({unit})",
+  "forecast.chance": "Yiwuwa",
+  "forecast.temp": "Zafi (°C)",
+  "forecast.eto": "ETo ({unit})",
+  "forecast.today": "Yau",
+  "forecast.thisStep": "Wannan mataki",
+  "forecast.note":
+    "Iyakokin suna da tabbacin kashi 80%. Nisan da ake dubawa, ƙarancin tabbaci; ainihin yanayi yana bayyana idan ka yi aiki.",
+
+  "chart.choose": "⚙️ Zaɓi jadawali",
+  "chart.markers": "📌 Alamomin ayyuka",
+  "chart.markersKey": "📌 Alamomin ƙasa suna nuna ayyukan kowane mataki:",
+  "chart.water": "💧 Ruwa",
+  "chart.crop": "🌿 Amfanin gona",
+  "chart.market": "💰 Kuɗi da kasuwa",
+  "chart.temperature": "🌡️ Zafi",
+  "chart.index": "Ma'auni (0–100)",
+  "chart.nitrogenAxis": "N ({unit})",
+  "chart.priceAxis": "Farashi (× asali)",
+  "chart.series.soilMoisture": "Danshin ƙasa ({unit})",
+  "chart.series.tank": "Tanki ({unit})",
+  "chart.series.precip": "Ruwan sama ({unit})",
+  "chart.series.eto": "ETo ({unit})",
+  "chart.series.cropHealth": "Lafiyar amfanin gona",
+  "chart.series.yieldPercent": "Hasashen amfani (% na iyaka)",
+  "chart.series.sustainability": "Dorewa",
+  "chart.series.pests": "Ƙwari (dubawa ta ƙarshe)",
+  "chart.series.diseaseRisk": "Haɗarin cuta",
+  "chart.series.nitrogen": "Nitrogen na ƙasa ({unit})",
+  "chart.series.money": "Kuɗi ({unit})",
+  "chart.series.marketPrice": "Farashin kasuwa (×)",
+  "chart.series.tmax": "Tmax ({unit})",
+  "chart.series.tmin": "Tmin ({unit})",
+  "marker.Irrigate": "💧 Ban ruwa",
+  "marker.Fertilize": "🌱 Taki",
+  "marker.Scout": "🔍 Dubawa",
+  "marker.Treat": "🧪 Feshi",
+  "marker.InstallDrip": "🚿 An saka ɗigo-ɗigo",
+
+  "sustainability.title": "🌍 Dorewa: {score} / 100",
+  "sustainability.factor": "Dalili",
+  "sustainability.season": "Lokacin noma",
+  "sustainability.points": "Maki",
+  "sustainability.lastStep": "Mataki na ƙarshe",
+  "sustainability.leached": "Nitrogen da ya wanke",
+  "sustainability.wastedIrrigation": "Ban ruwa fiye da buƙata",
+  "sustainability.runoff": "Ruwan da ya gudu",
+  "sustainability.treatments": "Feshin magungunan ƙwari",
+
+  // End of season
+  "end.title": "🌾 Lokacin noma ya ƙare!",
+  "end.totals": "Ribar ƙarshe: {money}\nDorewa: {sustainability}\nLafiyar amfanin gona: {health}",
+  "end.score": "🏆 Makin lokacin noma: {score} / 100 = {weights}",
+  "end.advice": "🛸 Ka bi shawarar jirgi sau {followed} daga cikin {given} ({percent}%)",
+  "end.seed": "Lambar iri: {seed} (an rubuta matakai {steps})",
+  "end.practice": "🧪 Lokacin gwaji: an yi amfani da soke ko koma baya, don haka ba zai shiga allon gwarzaye ba.",
+  "end.added": "🏆 An ƙara don {player}: na {rank} a wannan yanayin wasa.",
+  "end.viewLeaderboard": "Duba allon gwarzaye",
+  "end.yourName": "Sunanka",
+  "end.addToLeaderboard": "🏆 Ƙara a allon gwarzaye",
+  "end.report": "📄 Rahoton lokacin noma",
+  "end.replay": "🔁 Sake kunna lokacin noma",
+  "end.toMap": "⬅️ Koma taswira",
+
+  "compare.title": "📋 Yanayi ɗaya, dabaru daban",
+  "compare.strategy": "Dabara",
+  "compare.profit": "Kuɗi ({currency})",
+  "compare.sustainability": "Dorewa",
+  "compare.health": "Lafiyar amfanin gona",
+  "compare.irrigation": "Ban ruwa (m³)",
+  "compare.nitrogen": "N da aka zuba ({unit})",
+  "compare.harvest": "Girbi (t)",
+  "compare.score": "Maki",
+  "compare.note":
+    "Maki = {weights}. Binciken gaba ya san yanayi tun kafin ya zo: ɗauke shi a matsayin iyaka, ba abokin hamayya na gaskiya ba.",
+  "compare.running": "⏳ Ana gudanar da dabarun kwatanta…",
+  "compare.moneyChart": "💰 Kuɗi ({currency})",
+  "compare.healthChart": "🌿 Lafiyar amfanin gona",
+
+  "strategy.player": "🧑‍🌾 Kai",
+  "strategy.wait": "⏳ Jira kullum",
+  "strategy.irrigate": "🚿 Ba da ruwa idan ƙasa ta bushe",
+  "strategy.fertilize": "🌱 Zuba taki bisa jadawali",
+  "strategy.drone": "🛸 Bi jirgi",
+  "strategy.search": "🔎 Binciken gaba",
+
+  "score.profit": "Riba",
+  "score.profit.explain": "100 = {income} kowace {area} a kullum tare da girbi cikakke, ba tare da kashe kuɗi ba",
+  "score.sustainability": "Dorewa",
+  "score.sustainability.explain": "makin dorewa",
+  "score.yield": "Amfani",
+  "score.yield.explain": "girbi a matsayin % na iyakar amfanin gona",
+
+  // How to Play
+  "help.title": "❓ Yadda ake wasa",
+  "help.close": "Rufe",
+  "help.planning":
+    "📝 Kowace rana kana shirya ayyuka sannan ka danna Rana ta gaba. Kowane aiki yana ɗaukar awannin aiki a kowace hekta (an nuna a maɓallinsa) kuma gona tana da awa {hours} a rana ga kowace hekta, don haka zaɓi mafi muhimmanci. Babu abin da ke faruwa har ƙarshen rana: sai a aiwatar da shirinka, yanayin ranar ya sauka sau ɗaya, ƙwari su ƙaru kuma amfanin gona ya kawo kuɗinsa. Tarihin ayyuka yana nuna abin da ka shirya da abin da ya faru. 🗑️ Share shiri yana soke zaɓinka",
+  "help.undo":
+    "↩️ Soke yana mayar da aikinka na ƙarshe. ⏪ Koma baya yana komawa farkon wata rana ta baya don gwada wata hanya; jadawali da tarihi ma suna komawa. Soke ranar da ta ƙare ko komawa baya yana mai da lokacin noma 🧪 gwaji, wanda ba ya shiga allon gwarzaye",
+  "help.water":
+    "💧 Danshin ƙasa lissafin ruwa ne na kullum:\n- Ruwan sama da ban ruwa suna cika yankin saiwoyi\n- Amfanin gona yana amfani da ruwa kullum (ETo × Kc na amfanin gona)\n- Ruwan sama mai yawa fiye da abin da ƙasa ke sha a rana yana gudu\n- Ruwa sama da cikar ƙasa yana zubewa ya ɓace\n- Danshi % = ruwa mai amfani (sama da bushewar shuka) ÷ ajiyar ruwan ƙasa\n- Yashi yana riƙe kaɗan kuma yana zubar da sauri; yumɓu yana riƙe da yawa amma yana shan ruwan sama a hankali",
+  "help.irrigate":
+    "🚿 Ban ruwa: yana ɗibar ruwa {surface} daga tanki (kashi uku cikin huɗu suna kai ga saiwoyi) kuma yana kashe kuɗi. Ruwan da ƙasa ba ta iya riƙewa yana zubewa ko gudu kuma yana rage dorewa",
+  "help.fertilize":
+    "🌱 Zuba taki: yana zuba taki kaɗan {dose} kuma yana kashe kuɗi. Nitrogen na ƙasa ajiya ne: amfanin gona yana sha mafi yawa a lokacin girma da tsakiya, kuma ruwan sama mai yawa da ke ratsa ƙasa yana wanke wani sashi, don haka ƙananan kashi a lokacin da ya dace sun fi babba ɗaya",
+  "help.scout":
+    "🔍 Duba gona: yana zagaya fili ya faɗi matakan ƙwari da cuta (kusan ±5) a ƙarshen rana, da ɗan kuɗi kaɗan. Ƙwari suna ɓoye har sai ka duba",
+  "help.tank":
+    "🛢️ Ruwan ban ruwa yana fitowa daga tankin gona, wanda ruwan sama ke cikawa ta wurin tattara ruwa. Idan ya ƙare ba za ka iya ba da ruwa ba, don haka ajiye ruwa don lokacin fari",
+  "help.drip":
+    "🔧 Saka ɗigo-ɗigo: kuɗi sau ɗaya kowace {area} don filin da aka zaɓa. Ɗigo-ɗigo yana ɗibar {drip} maimakon {surface} kuma kashi 95% suna kai ga saiwoyi (75% a ban ruwa na ƙasa)",
+  "help.treat":
+    "🧴 Fesa magani: yana fesa fili, yana kashe kashi 70% na ƙwari da rabin cuta. Yana kashe kuɗi kuma kowane feshi yana rage dorewa, don haka duba gona da farko",
+  "help.pests":
+    "🐛 Ƙwari suna ƙaruwa da sauri a lokacin zafi (ƙarin digiri-kwana sama da 10°C) da danshi. 🍄 Haɗarin cuta yana ƙaruwa a kwanaki masu danshi a jere; sama da 60 cuta tana yaɗuwa har yanayi ya bushe",
+  "help.wait": "⏳ Jira: kada ka yi komai",
+  "help.health": "🌿 Lafiyar amfanin gona ya dogara ga danshin ƙasa, nitrogen da mafi muni tsakanin ƙwari da cuta",
+  "help.crops":
+    "🪴 Kowane amfanin gona yana da nasa matakai: matakai masu shan ruwa sosai (Kc mafi girma) suna busar da ƙasa da sauri, kuma amfanin gona sun bambanta a danshin da suke so, nitrogen da suke buƙata da yadda ƙwari ke cutar da su",
+  "help.plots":
+    "🧩 Gonaki masu haɗaka: danna fili don zaɓar shi; ayyuka suna shafar filin da aka zaɓa kawai. Kowane fili yana da ruwansa, nitrogen da ƙwarinsa, kuma kuɗi na gona ɗaya ne",
+  "help.forecast":
+    "🌦️ Hasashe: allon bayanai yana nuna ruwan sama, zafi da ETo na kwanaki masu zuwa da iyakoki na kashi 80% da ke faɗaɗa yayin da ake duba nesa. Ainihin yanayi yana bayyana ne kawai idan ka yi aiki, don haka shirya ban ruwa da taki bisa hasashe tare da ɗan tanadi",
+  "help.drone":
+    "🛸 Jirgin jagora: yana ba da shawarar aiki ɗaya don filin da aka zaɓa bisa ƙasarsa, nitrogen, dubawa da yanayi mai zuwa, kuma yana bayyana dalili. Kunna ko kashe shi a saman dama; a ƙarshen lokacin noma za ka ga sau nawa ka bi shi",
+  "help.sustainability":
+    "🌍 Dorewa tana farawa daga 100 kuma tana raguwa da nitrogen da ya wanke, ban ruwa fiye da buƙata, ruwan da ya gudu da feshin magani. Allon bayanai yana nuna waɗanda suka motsa ta",
+  "help.money": "💰 Kuɗi yana ƙaruwa idan amfanin gona yana lafiya; farashin kasuwa yana hawa da sauka",
+  "help.harvest":
+    "🌽 Girbi: kowace rana ta busasshiyar ƙasa, ƙarancin nitrogen ko matsin ƙwari da cuta tana rage iyakar amfani. Allon da jadawali suna nuna hasashen amfani; a ƙarshen lokacin noma ana girbe shi a sayar a farashin kasuwa na ranar",
+  "help.charts":
+    "📈 Allon bayanai yana bin ruwa, amfanin gona, kuɗi da zafi a duk lokacin noma. Zaɓi jadawali da layuka a ⚙️ Zaɓi jadawali (ko danna bayani); alamomin ƙasa suna nuna abin da ka yi a kowane mataki",
+  "help.goal": "✅ Yi aiki da hikima kowace rana don samun riba mafi yawa da lafiyar amfanin gona",
+
+  // Leaderboard
+  "leaderboard.title": "🏆 Allon gwarzaye",
+  "leaderboard.scoreHelp": "Makin lokacin noma (0–100) = {weights}. Ana fara mayar da kowane sashi zuwa 0–100:",
+  "leaderboard.scenario": "🗺️ Yanayin wasa:",
+  "leaderboard.allScenarios": "Duk yanayin wasa",
+  "leaderboard.player": "🧑‍🌾 Ɗan wasa:",
+  "leaderboard.everyone": "Kowa",
+  "leaderboard.playerColumn": "Ɗan wasa",
+  "leaderboard.scenarioColumn": "Yanayin wasa",
+  "leaderboard.money": "Kuɗi ({currency})",
+  "leaderboard.played": "An yi wasa",
+  "leaderboard.empty": "Babu lokacin noma da aka gama tukuna. Gama ɗaya ka ƙara shi daga allon ƙarshe.",
+  "leaderboard.history": "📈 Lokutan noma na {player} a {scenario}",
+  "leaderboard.best": "🏅 mafi kyau na kanka",
+  "leaderboard.clear": "🗑️ Share allon gwarzaye",
+  "leaderboard.clearConfirm": "A share duk shigarwar allon gwarzaye a wannan na'ura? Ba za a iya dawo da su ba.",
+
+  // Season report
+  "report.title": "🌾 Rahoton lokacin noma",
+  "report.none": "Babu rahoto tukuna. Gama lokacin noma don samar da ɗaya.",
+  "report.csv": "📥 Sauke CSV",
+  "report.json": "📥 Sauke JSON",
+  "report.print": "🖨️ Buga",
+  "report.setup": "📍 {place} · {length} · {area} · Lambar iri {seed}",
+  "report.days": "kwana {n}",
+  "report.weeks": "mako {n}",
+  "report.steps": "mataki {n}",
+  "report.practice": "🧪 Lokacin gwaji",
+  "report.plot": "Fili {n}: {crop}, {area}, {soil}",
+  "report.drip": "ɗigo-ɗigo",
+  "report.generated": "An samar {when}",
+  "report.totals": "📊 Jimillar lokacin noma",
+  "report.season": "🌿 Lafiyar amfanin gona {health} · 🌍 Dorewa {sustainability} · 🧴 Feshi {treatments}",
+  "report.charts": "📈 Jadawali",
+  "report.by.day": "📋 Kowace rana",
+  "report.by.week": "📋 Kowane mako",
+  "report.by.step": "📋 Kowane mataki",
+  "report.section.water": "💧 Ruwa",
+  "report.section.fertilizer": "🌱 Taki",
+  "report.section.harvest": "🌾 Girbi",
+  "report.section.costs": "💸 Kuɗaɗen da aka kashe",
+  "report.section.money": "💰 Kuɗi",
+  "report.column.step": "Mataki",
+  "report.column.date": "Kwanan wata",
+  "report.column.precip": "Ruwan sama ({unit})",
+  "report.column.eto": "ETo ({unit})",
+  "report.column.tmax": "Tmax ({unit})",
+  "report.column.tmin": "Tmin ({unit})",
+  "report.column.actions": "Ayyuka",
+  "report.column.soilMoisture": "Danshi ({unit})",
+  "report.column.nitrogen": "N na ƙasa ({unit})",
+  "report.column.pests": "Ƙwari",
+  "report.column.disease": "Cuta",
+  "report.column.cropHealth": "Lafiya",
+  "report.column.projectedTonnes": "Hasashen amfani ({unit})",
+  "report.column.money": "Kuɗi ({unit})",
+  "report.column.marketPrice": "Farashi",
+  "report.column.tank": "Tanki ({unit})",
+  "report.total.water.rainMm": "Ruwan sama ({unit})",
+  "report.total.water.irrigationMm": "Ban ruwa ({unit})",
+  "report.total.water.etMm": "ET na amfanin gona ({unit})",
+  "report.total.water.drainageMm": "Zubewa ({unit})",
+  "report.total.water.runoffMm": "Ruwan da ya gudu ({unit})",
+  "report.total.water.wastedIrrigationMm": "Ban ruwa da ya ɓace ({unit})",
+  "report.total.water.irrigationM3": "Ruwan ban ruwa ({unit})",
+  "report.total.water.harvestedM3": "Ruwan sama da aka tara ({unit})",
+  "report.total.fertilizer.appliedKgHa": "N da aka zuba ({unit})",
+  "report.total.fertilizer.appliedKg": "N da aka zuba ({unit})",
+  "report.total.fertilizer.uptakeKgHa": "N da aka sha ({unit})",
+  "report.total.fertilizer.leachedKgHa": "N da ya wanke ({unit})",
+  "report.total.harvest.tonnes": "Girbi ({unit})",
+  "report.total.harvest.yieldTHa": "Amfani ({unit})",
+  "report.total.harvest.income": "Sayar da girbi ({unit})",
+  "report.total.costs.Irrigate": "Ban ruwa ({unit})",
+  "report.total.costs.Fertilize": "Taki ({unit})",
+  "report.total.costs.Scout": "Dubawa ({unit})",
+  "report.total.costs.Treat": "Feshi ({unit})",
+  "report.total.costs.InstallDrip": "Saka ɗigo-ɗigo ({unit})",
+  "report.total.costs.total": "Jimillar kuɗaɗen da aka kashe ({unit})",
+  "report.total.money.start": "Kuɗin farko ({unit})",
+  "report.total.money.income": "Kuɗin amfanin gona na kullum ({unit})",
+  "report.total.money.harvest": "Sayar da girbi ({unit})",
+  "report.total.money.final": "Kuɗin ƙarshe ({unit})",
+
+  // Demo farm
+  "sim.drone": "Jirgin jagora",
+  "sim.analyzing": "Ana nazari...",
+  "sim.lastWeek": "Makon da ya wuce",
+  "sim.installDrip": "🔧 Ɗigo-ɗigo",
+  "sim.reset": "↻ Sake farawa",
+  "sim.liveData": "🛰️ Bayanai kai tsaye",
+  "sim.liveLoaded": "An loda yanayin {provider} don gonar {crop}!",
+  "sim.liveFailed": "Yanayi kai tsaye bai samu ba. Ana amfani da ruwan sama na kwaikwayo.",
+  "sim.health": "Lafiyar amfanin gona: {health}",
+  "sim.sustainability": "Dorewa: {score}",
+  "sim.profit": "Riba: {money}",
+  "sim.yield": "Hasashen amfani: {yield} ({percent}%) · Maki: {score}",
+  "sim.moisture": "Danshin ƙasa: {moisture}% ({water})",
+  "sim.nitrogen": "N na ƙasa: {nitrogen}",
+  "sim.pests": "Matsin ƙwari: {pests} · Haɗarin cuta: {risk}",
+  "sim.tank": "Tanki: {stored}/{capacity} m³",
+  "sim.price": "Farashin kasuwa: x{price}",
+  "sim.seasonOver": "Lokacin noma ya ƙare",
+  "sim.rain": "Ruwan sama: {level}",
+  "sim.scouted": "Ƙwari ~{pests}, cuta ~{disease}",
+  "sim.treated": "An fesa, ƙwari -{killed}",
+  "sim.irrigated": "An ba da ruwa",
+  "sim.irrigatedShort": "Tanki ya yi ƙasa, an ba da ruwa {water}",
+  "sim.tankEmpty": "Tanki babu ruwa, ba a ba da ruwa ba",
+  "sim.dripInstalled": "An saka ɗigo-ɗigo",
+  "sim.dripAlready": "An riga an saka ɗigo-ɗigo",
+  "sim.cannotAfford": "Ana buƙatar {cost}",
+  "sim.fertilized": "An zuba taki {dose}",
+  "sim.waited": "An jira",
+  "sim.harvested": "An girbe t {tonnes} akan {income}",
+  "sim.seasonComplete": "Lokacin noma ya cika!",
+};
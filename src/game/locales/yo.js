@@ -0,0 +1,490 @@
+// src/game/locales/yo.js
+// Yorùbá. Same keys as en.js; missing keys fall back to English.
+
+export default {
+  // Game names
+  "action.Irrigate": "Bomi rin",
+  "action.Fertilize": "Fi ajílẹ̀",
+  "action.Scout": "Ṣàyẹ̀wò oko",
+  "action.Treat": "Fín oògùn",
+  "action.Wait": "Dúró",
+  "action.InstallDrip": "Ṣe ìbomirin ìkán-ìkán",
+  "crop.maize": "Àgbàdo",
+  "crop.rice": "Ìrẹsì",
+  "crop.wheat": "Àlìkámà",
+  "crop.soybean": "Ẹ̀wà sóyà",
+  "crop.cassava": "Ẹ̀gẹ́",
+  "soil.sand": "Iyanrìn",
+  "soil.sandyLoam": "Ilẹ̀ oníyanrìn",
+  "soil.loam": "Ilẹ̀ dúdú",
+  "soil.clayLoam": "Ilẹ̀ amọ̀ díẹ̀",
+  "soil.clay": "Amọ̀",
+  "stage.initial": "ìbẹ̀rẹ̀",
+  "stage.development": "ìdàgbàsókè",
+  "stage.mid": "àárín",
+  "stage.late": "ìparí",
+  "rain.none": "Kò sí òjò",
+  "rain.low": "Díẹ̀",
+  "rain.medium": "Àárín",
+  "rain.high": "Púpọ̀",
+  "irrigation.surface": "Ìbomirin orí ilẹ̀",
+  "irrigation.drip": "Ìkán-ìkán",
+  "provider.nasa-power": "🛰️ NASA POWER (lórí ayélujára)",
+  "provider.sample": "🧪 Ojú ọjọ́ àpẹẹrẹ (láìsí ayélujára)",
+  "provider.csv": "📁 Fáìlì CSV (láìsí ayélujára)",
+  "plot.label": "Ìpín {n}",
+  "step.day": "Ọjọ́ {n}",
+  "step.week": "Ọ̀sẹ̀ {n}",
+  "step.weekRange": "Ọ̀sẹ̀ {n} (ọjọ́ {first}–{last})",
+  "step.stepRange": "Ìgbésẹ̀ {n} (ọjọ́ {first}–{last})",
+  "unit.mm": "mílímítà",
+  "unit.in": "íǹṣì",
+  "unit.ha": "hẹ́kítà",
+  "unit.ac": "éékà",
+  "unit.ha.one": "hẹ́kítà",
+  "unit.ac.one": "éékà",
+  "unit.sprays": "ìfín {n}",
+
+  // Settings
+  "settings.title": "🌐 Èdè, owó àti ìwọ̀n",
+  "settings.language": "Èdè",
+  "settings.currency": "Àmì owó",
+  "settings.depthUnit": "Òjò àti omi",
+  "settings.areaUnit": "Ìbú ilẹ̀",
+  "settings.note": "Owó eré ni: yíyí owó padà ń yí àmì nìkan padà, kì í ṣe iye.",
+
+  // Map screen
+  "map.title": "🌾 Ìṣètò oko NASA",
+  "map.intro": "Yan irúgbìn àti àsìkò rẹ, lẹ́yìn náà tẹ máàpù láti gbé oko rẹ kalẹ̀.",
+  "map.leaderboard": "🏆 Àtẹ àwọn aṣáájú",
+  "map.crop": "🪴 Irúgbìn:",
+  "map.fullSeason": "Gbogbo àsìkò: ọjọ́ {days}",
+  "map.stageDays": "{stage} ọjọ́ {days}",
+  "map.plots": "🧩 Àwọn ìpín:",
+  "map.addPlot": "➕ Fi ìpín kún un",
+  "map.removePlot": "Yọ ìpín kúrò",
+  "map.weatherSource": "🌦️ Orísun ojú ọjọ́:",
+  "map.csvHelp": "CSV ojoojúmọ́ láti NASA POWER, tàbí CSV èyíkéyìí tó ní DATE, T2M_MAX, T2M_MIN, PRECTOTCORR",
+  "map.season": "🗓️ Àsìkò:",
+  "map.recent": "Àwọn ọjọ́ àìpẹ́",
+  "map.historical": "Gbogbo àsìkò àtijọ́",
+  "map.simDays": "📅 Ọjọ́ ìṣeré:",
+  "map.plantingDate": "🌱 Ọjọ́ gbígbìn:",
+  "map.plantingHelp": "Ó ń ṣeré ọjọ́ {days} ojú ọjọ́ àtijọ́ láti {date}",
+  "map.soil": "🟫 Irú ilẹ̀:",
+  "map.soilSuggested": "A dábàá fún ibí yìí",
+  "map.soilInfo": "Ìkún ilẹ̀ {fc} · ìrọ̀ ewéko {wp} · {usable} tó wúlò · ó ń mu {infiltration}",
+  "map.timeStep": "⏱️ Ìgbésẹ̀ àkókò:",
+  "map.daily": "Ojoojúmọ́",
+  "map.weekly": "Ọ̀sọ̀ọ̀sẹ̀",
+  "map.continue": "▶️ Tẹ̀síwájú",
+  "map.saveLine": "{crop} · {step}/{length} · a fi pamọ́ ní {when}",
+  "map.resume": "Tẹ̀síwájú",
+  "map.rename": "Yí orúkọ padà",
+  "map.delete": "Pa rẹ́",
+  "map.renameFarm": "Yí orúkọ oko padà",
+  "map.deleteSaveConfirm": "Pa “{name}” rẹ́? A kò lè dá a padà.",
+  "map.fieldBoundary": "📐 Ààlà oko:",
+  "map.drawHelp": "Tẹ máàpù láti fi igun kún un ({count} báyìí)",
+  "map.finish": "✅ Parí",
+  "map.undoPoint": "↩️ Yọ àmì kúrò",
+  "map.cancel": "✖ Fagilé",
+  "map.drawField": "✏️ Ya oko",
+  "map.savedFields": "Àwọn oko tí a fi pamọ́:",
+  "map.deleteField": "Pa oko rẹ́",
+  "map.nameField": "Fún oko yìí ní orúkọ",
+  "map.defaultFieldName": "Oko {n}",
+  "map.deleteFieldConfirm": "Pa oko tí a fi pamọ́ “{name}” rẹ́?",
+  "map.location": "Ibùdó:",
+  "map.latLon": "Lat: {lat}, Lon: {lon}",
+  "map.unknownPlace": "A kò mọ̀",
+  "map.pointFarm": "Oko ojú àmì: ìnáwó àti èrè fún {area} 1",
+  "map.etoMethod": "Ọ̀nà ETo:",
+  "eto.unavailable": "Kò sí",
+  "eto.mixed": "{method} (ọjọ́ {n} nínú {total}, ìyókù {rest})",
+  "map.etoMean": "ETo àròpín {eto} · Hargreaves {hargreaves}",
+  "map.noIrrigation": "💧 Láìsí ìbomirin, ilẹ̀ {soil} yóò parí pẹ̀lú {left} nínú {usable} omi tó wúlò",
+  "map.loadingData": "⏳ Ó ń gbé dátà NASA wọlé...",
+  "map.loadingShort": "Ó ń gbé wọlé...",
+  "map.export": "📤 Gbé jáde",
+  "map.share": "🔗 Pín ìjápọ̀",
+  "map.import": "📥 Gbé wọlé",
+  "map.start": "Bẹ̀rẹ̀ ìṣeré",
+  "map.linkCopied": "🔗 A ti da ìjápọ̀ kọ. Ẹnikẹ́ni tó bá ṣí i yóò ṣeré pẹ̀lú ojú ọjọ́, oko àti nọ́mbà irúgbìn kan náà.",
+  "map.copyLink": "Da ìjápọ̀ yìí kọ láti pín ìṣẹ̀lẹ̀ eré náà",
+  "map.rulesMismatch": "A ṣe ìṣẹ̀lẹ̀ eré yìí pẹ̀lú ẹ̀dà eré mìíràn, nítorí náà èsì lè yàtọ̀. Ṣé kí a ṣeré bẹ́ẹ̀?",
+  "map.csvError": "❌ A kò lè ka {file}: {error}",
+  "map.importError": "❌ A kò lè gbé {file} wọlé: {error}",
+  "map.seasonNotOver": "❌ Àsìkò yìí kò tíì parí. Yan ọjọ́ gbígbìn tó ti kọjá.",
+  "map.weatherFailed": "❌ A kò lè gbé dátà ojú ọjọ́ wọlé",
+
+  // Farm scene
+  "farm.rulesMismatch":
+    "⚠️ A ṣe ìṣẹ̀lẹ̀ eré yìí pẹ̀lú ẹ̀dà eré mìíràn, nítorí náà èsì rẹ lè yàtọ̀ sí ti àwọn ọmọ kíláàsì rẹ.",
+  "farm.noData": "Kò sí dátà NASA. Yan oko lórí máàpù ná.",
+  "farm.saveFailed": "⚠️ Ibi ìpamọ́ ti kún, nítorí náà a kò fi oko yìí pamọ́ mọ́. Pa àwọn oko àtijọ́ rẹ́ nínú àkójọ Tẹ̀síwájú lórí máàpù láti ṣe àyè.",
+  "farm.titleMixed": "🧩 OKO ALÁPAPỌ̀ (ìpín {count})",
+  "farm.title": "OKO {crop}",
+  "farm.seed": "🎲 Nọ́mbà irúgbìn: {seed}",
+  "farm.nextDay": "➡️ Ọjọ́ kejì",
+  "farm.nextWeek": "➡️ Ọ̀sẹ̀ tó kàn",
+  "farm.installDrip": "🔧 Ìkán-ìkán ({cost}/{area})",
+  "farm.clearPlan": "🗑️ Pa ètò rẹ́",
+  "farm.undo": "↩️ Padà",
+  "farm.rewind": "⏪ Padà sẹ́yìn",
+  "farm.howToPlay": "❓ Bí a ṣe ń ṣeré",
+  "farm.exit": "⬅️ Jáde",
+  "farm.advisorOn": "🛸 Olùgbàníyànjú: Ó TÀN",
+  "farm.advisorOff": "🛸 Olùgbàníyànjú: Ó KÚ",
+  "farm.drone": "🛸 Dróònù atọ́nà",
+  "farm.planCleared": "🗑️ A ti pa ètò rẹ́.",
+  "farm.nothingToUndo": "↩️ Kò sí nǹkan láti padà sí báyìí.",
+  "farm.unitDay": "ọjọ́",
+  "farm.unitWeek": "ọ̀sẹ̀",
+  "farm.unitStep": "ìgbésẹ̀",
+  "farm.rewindPrompt": "⏪ Padà sí ìbẹ̀rẹ̀ {unit} wo? (1–{last})",
+  "farm.rewindInvalid": "⚠️ Yan {unit} láàárín 1 àti {last}.",
+  "farm.practiceConfirm":
+    "🧪 Pípadà sẹ́yìn sọ àsìkò yìí di ìdánrawò: o lè máa ṣeré lọ, ṣùgbọ́n kò ní wọ àtẹ àwọn aṣáájú. Ṣé kí a tẹ̀síwájú?",
+  "farm.resolved": "✅ Èsì: {resolved}",
+  "farm.replaying": "🔁 Ó ń tún {step} ṣe:",
+  "farm.replayMatched": "✅ Àtúnṣe bá àsìkò àkọ́kọ́ mu ní pẹ́rẹ́pẹ̀rẹ́.",
+  "farm.replayDiverged": "⚠️ Àtúnṣe yapa kúrò lára àsìkò àkọ́kọ́.",
+
+  "hud.practice": "🧪 Ìdánrawò",
+  "hud.plot": "🧩 Ìpín {n}/{count}: {crop} · {area}",
+  "hud.stage": "🌱 Ìpele: {stage} (Kc {kc})",
+  "hud.eto": "☀️ ETo: {eto}",
+  "hud.etoForecast": "{eto} ní àsọtẹ́lẹ̀, {method}",
+  "hud.moisture": "💧 Ọ̀rinrin: {moisture}% ({water})",
+  "hud.soil": "{emoji} Ilẹ̀: {soil} (FC {fc} / WP {wp})",
+  "hud.nitrogen": "🌿 Nitrogen ilẹ̀: {nitrogen}",
+  "hud.pests": "🐛 Kòkòrò: {pests}",
+  "hud.pestsScouted": "{pests} · àrùn {disease} (a yẹ̀ ẹ́ wò ní {step})",
+  "hud.pestsUnknown": "a kò mọ̀, ṣàyẹ̀wò láti mọ̀",
+  "hud.diseaseRisk": "🍄 Ewu àrùn: {risk}",
+  "hud.yield": "🌽 Èso tí a retí: {yield} nínú {potential} (t {tonnes})",
+  "hud.money": "💰 Owó: {money}",
+  "hud.sustainability": "🌍 Ìdúróṣinṣin: {score}",
+  "hud.farm": "📐 Oko: {area} · 🚿 m³ {irrigated} ni a bomi rin",
+  "hud.tank": "🛢️ Tánkì: {stored} / {capacity} m³ · ìbomirin {method}",
+  "hud.labour": "👷 Iṣẹ́: {used} / {budget} h · Ètò: {plan}",
+  "hud.planEmpty": "kò sí nǹkan báyìí",
+
+  // Feedback and log
+  "event.planned": "📝 A ṣètò: {action} (iṣẹ́ h {hours}, ó kù h {left}).",
+  "event.noLabour": "👷 Iṣẹ́ kò tó fún {action}: ó nílò h {hours}, ó kù h {left}.",
+  "event.cancelled": "🗑️ A yọ {action} kúrò nínú ètò.",
+  "event.undone": "↩️ A dá a padà: {action}. 🧪 Àsìkò yìí ti di ìdánrawò.",
+  "event.stepEnd": "òpin ìgbésẹ̀",
+  "event.rewound": "⏪ A padà sí ìbẹ̀rẹ̀ {step}. 🧪 Àsìkò yìí ti di ìdánrawò.",
+  "event.rewoundPlan": "⏪ Padà sí ìbẹ̀rẹ̀ ìgbésẹ̀ {step} láìsí ètò kankan.",
+  "event.income": "💰 Irúgbìn mú {amount} wá.",
+  "event.rain": "🌧️ Òjò: {level} ({rain})",
+  "event.irrigated": "🚿 O bomi rin {water} (m³ {volume} láti inú tánkì), {roots} dé gbòǹgbò.",
+  "event.irrigatedDrip": "💧 Ìkán-ìkán fún ní {water} (m³ {volume} láti inú tánkì), {roots} dé gbòǹgbò.",
+  "event.tankRanDry": "⚠️ Omi tánkì tán láàárín ìbomirin.",
+  "event.tankEmpty": "🛢️ Tánkì ṣófo: kò sí omi láti bomi rin. Dúró de òjò.",
+  "event.dripInstalled": "🔧 A ṣe ìkán-ìkán fún {cost}.",
+  "event.dripAlreadyInstalled": "🔧 Ìpín yìí ti ní ìkán-ìkán tẹ́lẹ̀.",
+  "event.cannotAfford": "💸 Owó kò tó: ó ń ná {cost}.",
+  "event.cropUsed": "Irúgbìn lo {water}",
+  "event.drained": "{water} ṣàn lọ sísàlẹ̀ gbòǹgbò",
+  "event.runoff": "{water} ṣàn lọ lórí ilẹ̀",
+  "event.leached": "{nitrogen} fọ̀ lọ",
+  "event.fertilized": "🌱 O fi ajílẹ̀ {dose}.",
+  "event.scouted": "🔍 Àyẹ̀wò: kòkòrò tó {pests}, àrùn tó {disease}.",
+  "event.treated": "🧴 Ìfín: a pa kòkòrò ní àmì {pests}, a dá àrùn {disease} dúró.",
+  "event.diseaseRisk": "🍄 Ewu àrùn ga ({risk}) lẹ́yìn àwọn ọjọ́ ọ̀rinrin.",
+  "event.waited": "⏳ O dúró.",
+  "event.harvested": "🌾 Ìkórè: t {tonnes} ti {crop} ({yield}), a tà á ní {income}.",
+
+  "summary.tankShort": "(tánkì kò tó)",
+  "summary.tankEmpty": "🛢️ tánkì ṣófo, kò sí ìbomirin",
+  "summary.scouted": "🔍 kòkòrò ~{pests}, àrùn ~{disease}",
+  "summary.treated": "🧴 a fín oògùn",
+  "summary.diseaseRisk": "🍄 ewu àrùn {risk}",
+  "summary.nothing": "kò sí nǹkan",
+
+  "log.title": "Àkọsílẹ̀ iṣẹ́",
+  "log.noAction": "Kò sí iṣẹ́",
+  "log.weather": "Òjò: {level} {rain}, àsọtẹ́lẹ̀ {low}–{high}",
+  "log.tank": "tánkì +{volume} m³",
+  "log.line": "{step}: 📝 a ṣètò {planned} → ✅ {resolved} ({weather})",
+
+  // Navigator Drone
+  "advice.today": "lónìí",
+  "advice.thisWeek": "ọ̀sẹ̀ yìí",
+  "advice.tomorrow": "lọ́la",
+  "advice.nextWeek": "ọ̀sẹ̀ tó ń bọ̀",
+  "advice.treatPests": "Àyẹ̀wò rí kòkòrò ní {pests}: fín oògùn kí wọ́n tó tàn kálẹ̀.",
+  "advice.treatDisease": "Àyẹ̀wò rí àrùn ní {disease}: fín oògùn láti dá a dúró.",
+  "advice.rainComing": "A retí òjò {rain} {when}, kò sí ìdí láti bomi rin.",
+  "advice.tankEmpty": "Ilẹ̀ ti gbẹ ṣùgbọ́n tánkì ṣófo. Dúró títí òjò yóò fi kún un.",
+  "advice.irrigate":
+    "Ọ̀rinrin ilẹ̀ jẹ́ {moisture}%, ó kéré sí {low}% tí {crop} nílò, òjò díẹ̀ ni a sì retí. Bomi rin ({method}).",
+  "advice.leaching": "Nitrogen ilẹ̀ ti lọ sílẹ̀, ṣùgbọ́n òjò {rain} yóò fọ ajílẹ̀ lọ. Dúró díẹ̀.",
+  "advice.fertilize":
+    "Nitrogen ilẹ̀ jẹ́ {nitrogen}, {crop} sì nílò {need} ní ìpele {stage}. Fi ajílẹ̀ díẹ̀díẹ̀.",
+  "advice.diseaseRisk": "Ewu àrùn jẹ́ {risk} lẹ́yìn àwọn ọjọ́ ọ̀rinrin. Ṣàyẹ̀wò láti rí i bóyá ó ti ràn.",
+  "advice.scoutAgain": "Ìgbà ìkẹyìn tí a yẹ kòkòrò wò ni {step}. Ó tó àkókò láti tún ṣàyẹ̀wò.",
+  "advice.scoutFirst": "A kò tíì yẹ kòkòrò wò. Ṣàyẹ̀wò láti mọ ohun tí o ń kojú.",
+  "advice.allFine": "Omi ilẹ̀, nitrogen àti kòkòrò dára. Kò sí nǹkan láti ṣe ní ìgbésẹ̀ yìí.",
+
+  // Dashboard
+  "dashboard.title": "📊 Pátákó ìròyìn",
+  "forecast.title": "🌦️ Àsọtẹ́lẹ̀ ojú ọjọ́",
+  "forecast.day": "Ọjọ́",
+  "forecast.step": "Ìgbésẹ̀",
+  "forecast.rain": "Òjò ({unit})",
+  "forecast.chance": "Àǹfààní",
+  "forecast.temp": "Ìgbóná (°C)",
+  "forecast.eto": "ETo ({unit})",
+  "forecast.today": "Lónìí",
+  "forecast.thisStep": "Ìgbésẹ̀ yìí",
+  "forecast.note":
+    "Àwọn ààlà dájú ní 80%. Bí a bá ṣe ń wo jìnnà sí i, bẹ́ẹ̀ ni ìdánilójú ń dín kù; ojú ọjọ́ gidi ń hàn nígbà tí o bá ṣiṣẹ́.",
+
+  "chart.choose": "⚙️ Yan àwọn àwòrán",
+  "chart.markers": "📌 Àmì iṣẹ́",
+  "chart.markersKey": "📌 Àwọn àmì ìsàlẹ̀ fi iṣẹ́ ìgbésẹ̀ kọ̀ọ̀kan hàn:",
+  "chart.water": "💧 Omi",
+  "chart.crop": "🌿 Irúgbìn",
+  "chart.market": "💰 Owó àti ọjà",
+  "chart.temperature": "🌡️ Ìgbóná",
+  "chart.index": "Atọ́ka (0–100)",
+  "chart.nitrogenAxis": "N ({unit})",
+  "chart.priceAxis": "Iye owó (× ìpìlẹ̀)",
+  "chart.series.soilMoisture": "Ọ̀rinrin ilẹ̀ ({unit})",
+  "chart.series.tank": "Tánkì ({unit})",
+  "chart.series.precip": "Òjò ({unit})",
+  "chart.series.eto": "ETo ({unit})",
+  "chart.series.cropHealth": "Ìlera irúgbìn",
+  "chart.series.yieldPercent": "Èso tí a retí (% agbára)",
+  "chart.series.sustainability": "Ìdúróṣinṣin",
+  "chart.series.pests": "Kòkòrò (àyẹ̀wò ìkẹyìn)",
+  "chart.series.diseaseRisk": "Ewu àrùn",
+  "chart.series.nitrogen": "Nitrogen ilẹ̀ ({unit})",
+  "chart.series.money": "Owó ({unit})",
+  "chart.series.marketPrice": "Iye owó ọjà (×)",
+  "chart.series.tmax": "Tmax ({unit})",
+  "chart.series.tmin": "Tmin ({unit})",
+  "marker.Irrigate": "💧 Ìbomirin",
+  "marker.Fertilize": "🌱 Ajílẹ̀",
+  "marker.Scout": "🔍 Àyẹ̀wò",
+  "marker.Treat": "🧪 Ìfín",
+  "marker.InstallDrip": "🚿 A ṣe ìkán-ìkán",
+
+  "sustainability.title": "🌍 Ìdúróṣinṣin: {score} / 100",
+  "sustainability.factor": "Ohun tó fà á",
+  "sustainability.season": "Àsìkò",
+  "sustainability.points": "Àmì",
+  "sustainability.lastStep": "Ìgbésẹ̀ ìkẹyìn",
+  "sustainability.leached": "Nitrogen tó fọ̀ lọ",
+  "sustainability.wastedIrrigation": "Ìbomirin tó ju àìní lọ",
+  "sustainability.runoff": "Omi tó ṣàn lọ",
+  "sustainability.treatments": "Ìfín oògùn kòkòrò",
+
+  // End of season
+  "end.title": "🌾 Àsìkò ti parí!",
+  "end.totals": "Èrè ìkẹyìn: {money}\nÌdúróṣinṣin: {sustainability}\nÌlera irúgbìn: {health}",
+  "end.score": "🏆 Àmì àsìkò: {score} / 100 = {weights}",
+  "end.advice": "🛸 O tẹ̀lé ìmọ̀ràn dróònù ní ìgbà {followed} nínú {given} ({percent}%)",
+  "end.seed": "Nọ́mbà irúgbìn: {seed} (a kọ ìgbésẹ̀ {steps} sílẹ̀)",
+  "end.practice": "🧪 Àsìkò ìdánrawò: a lo pípadà tàbí pípadà sẹ́yìn, nítorí náà kò lè wọ àtẹ àwọn aṣáájú.",
+  "end.added": "🏆 A fi kún un fún {player}: ipò {rank} nínú ìṣẹ̀lẹ̀ eré yìí.",
+  "end.viewLeaderboard": "Wo àtẹ àwọn aṣáájú",
+  "end.yourName": "Orúkọ rẹ",
+  "end.addToLeaderboard": "🏆 Fi kún àtẹ àwọn aṣáájú",
+  "end.report": "📄 Ìròyìn àsìkò",
+  "end.replay": "🔁 Tún àsìkò ṣe",
+  "end.toMap": "⬅️ Padà sí máàpù",
+
+  "compare.title": "📋 Ojú ọjọ́ kan náà, ọgbọ́n mìíràn",
+  "compare.strategy": "Ọgbọ́n",
+  "compare.profit": "Owó ({currency})",
+  "compare.sustainability": "Ìdúróṣinṣin",
+  "compare.health": "Ìlera irúgbìn",
+  "compare.irrigation": "Ìbomirin (m³)",
+  "compare.nitrogen": "N tí a fi ({unit})",
+  "compare.harvest": "Ìkórè (t)",
+  "compare.score": "Àmì",
+  "compare.note":
+    "Àmì = {weights}. Ìwádìí iwájú mọ ojú ọjọ́ ṣáájú: kà á sí òkè ààlà, kì í ṣe alátakò tó tọ́.",
+  "compare.running": "⏳ Ó ń ṣiṣẹ́ àwọn ọgbọ́n àfiwé…",
+  "compare.moneyChart": "💰 Owó ({currency})",
+  "compare.healthChart": "🌿 Ìlera irúgbìn",
+
+  "strategy.player": "🧑‍🌾 Ìwọ",
+  "strategy.wait": "⏳ Máa dúró nígbà gbogbo",
+  "strategy.irrigate": "🚿 Bomi rin nígbà tí ilẹ̀ bá gbẹ",
+  "strategy.fertilize": "🌱 Fi ajílẹ̀ gẹ́gẹ́ bí ètò",
+  "strategy.drone": "🛸 Tẹ̀lé dróònù",
+  "strategy.search": "🔎 Ìwádìí iwájú",
+
+  "score.profit": "Èrè",
+  "score.profit.explain": "100 = {income} fún {area} kọ̀ọ̀kan lójoojúmọ́ pẹ̀lú ìkórè tó kún, láìsí ìnáwó kankan",
+  "score.sustainability": "Ìdúróṣinṣin",
+  "score.sustainability.explain": "àmì ìdúróṣinṣin",
+  "score.yield": "Èso",
+  "score.yield.explain": "ìkórè gẹ́gẹ́ bí % agbára àwọn irúgbìn",
+
+  // How to Play
+  "help.title": "❓ Bí a ṣe ń ṣeré",
+  "help.close": "Padé",
+  "help.planning":
+    "📝 Lójoojúmọ́ o máa ṣètò iṣẹ́, lẹ́yìn náà tẹ Ọjọ́ kejì. Iṣẹ́ kọ̀ọ̀kan gba wákàtí iṣẹ́ fún hẹ́kítà kọ̀ọ̀kan (ó wà lórí bọ́tìnnì rẹ̀), oko sì ní wákàtí {hours} lójúmọ́ fún hẹ́kítà kọ̀ọ̀kan, nítorí náà yan èyí tó ṣe pàtàkì jù. Kò sí ohun tó ń ṣẹlẹ̀ títí òpin ọjọ́: nígbà náà ni ètò rẹ ń ṣiṣẹ́, ojú ọjọ́ ọjọ́ náà ń dé lẹ́ẹ̀kan, kòkòrò ń pọ̀ sí i, irúgbìn sì ń mú owó rẹ̀ wá. Àkọsílẹ̀ fi ohun tí o ṣètò àti ohun tó ṣẹlẹ̀ hàn. 🗑️ Pa ètò rẹ́ ń fagilé àwọn yíyàn rẹ",
+  "help.undo":
+    "↩️ Padà ń dá iṣẹ́ rẹ ìkẹyìn padà. ⏪ Padà sẹ́yìn ń gbé ọ padà sí ìbẹ̀rẹ̀ ọjọ́ kan tó ti kọjá láti gbìyànjú ọ̀nà mìíràn; àwòrán àti àkọsílẹ̀ náà ń padà. Dídá ọjọ́ tó ti parí padà tàbí pípadà sẹ́yìn ń sọ àsìkò di 🧪 ìdánrawò, tí kì í wọ àtẹ àwọn aṣáájú",
+  "help.water":
+    "💧 Ọ̀rinrin ilẹ̀ jẹ́ ìṣirò omi ojoojúmọ́:\n- Òjò àti ìbomirin ń kún agbègbè gbòǹgbò\n- Irúgbìn ń lo omi lójoojúmọ́ (ETo × Kc irúgbìn)\n- Òjò líle tó ju ohun tí ilẹ̀ lè mu lọ́jọ́ kan ń ṣàn lọ\n- Omi tó ju ìkún ilẹ̀ lọ ń ṣàn lọ sísàlẹ̀, ó sì sọnù\n- Ọ̀rinrin % = omi tó wúlò (lókè ìrọ̀ ewéko) ÷ ibi ìpamọ́ omi ilẹ̀\n- Iyanrìn ń gbà díẹ̀, ó sì ń ṣàn kíákíá; amọ̀ ń gbà púpọ̀ ṣùgbọ́n ó ń mu òjò díẹ̀díẹ̀",
+  "help.irrigate":
+    "🚿 Bomi rin: ó ń fa omi {surface} láti inú tánkì (ìdá mẹ́ta nínú mẹ́rin ló ń dé gbòǹgbò), ó sì ń ná owó. Omi tí ilẹ̀ kò lè gbà ń ṣàn lọ, ó sì ń dín ìdúróṣinṣin kù",
+  "help.fertilize":
+    "🌱 Fi ajílẹ̀: ó ń fi ajílẹ̀ díẹ̀ {dose}, ó sì ń ná owó. Nitrogen ilẹ̀ jẹ́ ìpamọ́: irúgbìn ń mu púpọ̀ jù ní ìdàgbàsókè àti àárín àsìkò, òjò líle tó ń gba ilẹ̀ kọjá sì ń fọ díẹ̀ lọ, nítorí náà ìwọ̀n kékeré ní àkókò tó tọ́ dára ju ẹyọ ńlá kan lọ",
+  "help.scout":
+    "🔍 Ṣàyẹ̀wò oko: ó ń rìn yí ìpín ká, ó sì ń sọ ìwọ̀n kòkòrò àti àrùn (ní nǹkan bí ±5) ní òpin ọjọ́, fún owó díẹ̀. Kòkòrò ń fara pamọ́ títí o fi ṣàyẹ̀wò",
+  "help.tank":
+    "🛢️ Omi ìbomirin ń wá láti inú tánkì oko, tí òjò ń kún láti agbègbè ìkójọ omi. Nígbà tó bá ṣófo o kò lè bomi rin, nítorí náà fi omi pamọ́ fún ìgbà ọ̀gbẹlẹ̀",
+  "help.drip":
+    "🔧 Ṣe ìbomirin ìkán-ìkán: ìnáwó ẹ̀ẹ̀kan fún {area} kọ̀ọ̀kan ìpín tí a yàn. Ìkán-ìkán ń fa {drip} dípò {surface}, 95% sì ń dé gbòǹgbò (75% ní ìbomirin orí ilẹ̀)",
+  "help.treat":
+    "🧴 Fín oògùn: ó ń fín ìpín, ó ń pa 70% kòkòrò àti ìdajì àrùn. Ó ń ná owó, ìfín kọ̀ọ̀kan sì ń dín ìdúróṣinṣin kù, nítorí náà ṣàyẹ̀wò ná",
+  "help.pests":
+    "🐛 Kòkòrò ń pọ̀ sí i kíákíá nígbà ooru (ọjọ́-ìwọ̀n tó ju 10°C lọ) àti ọ̀rinrin. 🍄 Ewu àrùn ń gòkè ní àwọn ọjọ́ ọ̀rinrin tó tẹ̀lé ara wọn; tó bá ju 60 lọ, àrùn ń tàn títí ojú ọjọ́ yóò fi gbẹ",
+  "help.wait": "⏳ Dúró: má ṣe nǹkan kan",
+  "help.health": "🌿 Ìlera irúgbìn dá lórí ọ̀rinrin ilẹ̀, nitrogen àti èyí tó burú jù láàárín kòkòrò àti àrùn",
+  "help.crops":
+    "🪴 Irúgbìn kọ̀ọ̀kan ní ìpele tirẹ̀: ìpele tó ń mu omi púpọ̀ (Kc tó ga) ń gbẹ ilẹ̀ kíákíá, àwọn irúgbìn sì yàtọ̀ nínú ọ̀rinrin tí wọ́n fẹ́, nitrogen tí wọ́n nílò àti bí kòkòrò ṣe ń pa wọ́n lára",
+  "help.plots":
+    "🧩 Oko alápapọ̀: tẹ ìpín kan láti yàn án; iṣẹ́ ń kan ìpín tí a yàn nìkan. Ìpín kọ̀ọ̀kan ní omi, nitrogen àti kòkòrò tirẹ̀, owó sì jẹ́ ti gbogbo oko",
+  "help.forecast":
+    "🌦️ Àsọtẹ́lẹ̀: pátákó ìròyìn fi òjò, ìgbóná àti ETo àwọn ọjọ́ tó ń bọ̀ hàn pẹ̀lú ààlà 80% tó ń fẹ̀ sí i bí a ṣe ń wo jìnnà. Ojú ọjọ́ gidi ń hàn nígbà tí o bá ṣiṣẹ́ nìkan, nítorí náà ṣètò ìbomirin àti ajílẹ̀ láti inú àsọtẹ́lẹ̀ pẹ̀lú àyè díẹ̀",
+  "help.drone":
+    "🛸 Dróònù atọ́nà: ó ń dábàá iṣẹ́ kan fún ìpín tí a yàn láti inú ilẹ̀ rẹ̀, nitrogen, àyẹ̀wò àti ojú ọjọ́ tó ń bọ̀, ó sì ń ṣàlàyé ìdí. Tàn án tàbí pa á ní òkè ọ̀tún; ní òpin àsìkò o máa rí iye ìgbà tí o tẹ̀lé e",
+  "help.sustainability":
+    "🌍 Ìdúróṣinṣin ń bẹ̀rẹ̀ láti 100, ó sì ń dín kù pẹ̀lú nitrogen tó fọ̀ lọ, ìbomirin tó ju àìní lọ, omi tó ṣàn lọ àti ìfín oògùn. Pátákó ìròyìn fi èyí tó yí i padà hàn",
+  "help.money": "💰 Owó ń pọ̀ sí i tí irúgbìn bá ní ìlera; iye owó ọjà ń gòkè sọ̀kalẹ̀",
+  "help.harvest":
+    "🌽 Ìkórè: ọjọ́ kọ̀ọ̀kan ti ilẹ̀ gbígbẹ, àìtó nitrogen tàbí ìnira kòkòrò àti àrùn ń dín agbára èso kù. Ìfihàn àti àwòrán fi èso tí a retí hàn; ní òpin àsìkò a kórè rẹ̀, a sì tà á ní iye owó ọjà ọjọ́ náà",
+  "help.charts":
+    "📈 Pátákó ìròyìn ń tọpinpin omi, irúgbìn, owó àti ìgbóná jálẹ̀ àsìkò. Yan àwòrán àti ìlà nínú ⚙️ Yan àwọn àwòrán (tàbí tẹ àlàyé); àwọn àmì ìsàlẹ̀ fi ohun tí o ṣe ní ìgbésẹ̀ kọ̀ọ̀kan hàn",
+  "help.goal": "✅ Ṣe iṣẹ́ pẹ̀lú ọgbọ́n lójoojúmọ́ láti mú èrè àti ìlera irúgbìn pọ̀ sí i",
+
+  // Leaderboard
+  "leaderboard.title": "🏆 Àtẹ àwọn aṣáájú",
+  "leaderboard.scoreHelp": "Àmì àsìkò (0–100) = {weights}. A kọ́kọ́ ṣe apá kọ̀ọ̀kan sí 0–100:",
+  "leaderboard.scenario": "🗺️ Ìṣẹ̀lẹ̀ eré:",
+  "leaderboard.allScenarios": "Gbogbo ìṣẹ̀lẹ̀ eré",
+  "leaderboard.player": "🧑‍🌾 Olùṣeré:",
+  "leaderboard.everyone": "Gbogbo ènìyàn",
+  "leaderboard.playerColumn": "Olùṣeré",
+  "leaderboard.scenarioColumn": "Ìṣẹ̀lẹ̀ eré",
+  "leaderboard.money": "Owó ({currency})",
+  "leaderboard.played": "Ọjọ́ eré",
+  "leaderboard.empty": "Kò sí àsìkò tó ti parí. Parí àsìkò kan kí o sì fi kún un láti ojú ìparí.",
+  "leaderboard.history": "📈 Àwọn àsìkò {player} lórí {scenario}",
+  "leaderboard.best": "🏅 èyí tó dára jù rẹ",
+  "leaderboard.clear": "🗑️ Pa àtẹ àwọn aṣáájú rẹ́",
+  "leaderboard.clearConfirm": "Pa gbogbo àkọsílẹ̀ àtẹ àwọn aṣáájú rẹ́ lórí ẹ̀rọ yìí? A kò lè dá a padà.",
+
+  // Season report
+  "report.title": "🌾 Ìròyìn àsìkò",
+  "report.none": "Kò sí ìròyìn báyìí. Parí àsìkò kan láti ṣe ọ̀kan.",
+  "report.csv": "📥 Gba CSV sílẹ̀",
+  "report.json": "📥 Gba JSON sílẹ̀",
+  "report.print": "🖨️ Tẹ̀ ẹ́ jáde",
+  "report.setup": "📍 {place} · {length} · {area} · Nọ́mbà irúgbìn {seed}",
+  "report.days": "ọjọ́ {n}",
+  "report.weeks": "ọ̀sẹ̀ {n}",
+  "report.steps": "ìgbésẹ̀ {n}",
+  "report.practice": "🧪 Àsìkò ìdánrawò",
+  "report.plot": "Ìpín {n}: {crop}, {area}, {soil}",
+  "report.drip": "ìkán-ìkán",
+  "report.generated": "A ṣe é ní {when}",
+  "report.totals": "📊 Àpapọ̀ àsìkò",
+  "report.season": "🌿 Ìlera irúgbìn {health} · 🌍 Ìdúróṣinṣin {sustainability} · 🧴 Ìfín {treatments}",
+  "report.charts": "📈 Àwọn àwòrán",
+  "report.by.day": "📋 Ọjọ́ dé ọjọ́",
+  "report.by.week": "📋 Ọ̀sẹ̀ dé ọ̀sẹ̀",
+  "report.by.step": "📋 Ìgbésẹ̀ dé ìgbésẹ̀",
+  "report.section.water": "💧 Omi",
+  "report.section.fertilizer": "🌱 Ajílẹ̀",
+  "report.section.harvest": "🌾 Ìkórè",
+  "report.section.costs": "💸 Ìnáwó",
+  "report.section.money": "💰 Owó",
+  "report.column.step": "Ìgbésẹ̀",
+  "report.column.date": "Ọjọ́",
+  "report.column.precip": "Òjò ({unit})",
+  "report.column.eto": "ETo ({unit})",
+  "report.column.tmax": "Tmax ({unit})",
+  "report.column.tmin": "Tmin ({unit})",
+  "report.column.actions": "Iṣẹ́",
+  "report.column.soilMoisture": "Ọ̀rinrin ({unit})",
+  "report.column.nitrogen": "N ilẹ̀ ({unit})",
+  "report.column.pests": "Kòkòrò",
+  "report.column.disease": "Àrùn",
+  "report.column.cropHealth": "Ìlera",
+  "report.column.projectedTonnes": "Èso tí a retí ({unit})",
+  "report.column.money": "Owó ({unit})",
+  "report.column.marketPrice": "Iye owó",
+  "report.column.tank": "Tánkì ({unit})",
+  "report.total.water.rainMm": "Òjò ({unit})",
+  "report.total.water.irrigationMm": "Ìbomirin ({unit})",
+  "report.total.water.etMm": "ET irúgbìn ({unit})",
+  "report.total.water.drainageMm": "Omi tó ṣàn sísàlẹ̀ ({unit})",
+  "report.total.water.runoffMm": "Omi tó ṣàn lọ ({unit})",
+  "report.total.water.wastedIrrigationMm": "Ìbomirin tó ṣòfò ({unit})",
+  "report.total.water.irrigationM3": "Omi ìbomirin ({unit})",
+  "report.total.water.harvestedM3": "Òjò tí a kó jọ ({unit})",
+  "report.total.fertilizer.appliedKgHa": "N tí a fi ({unit})",
+  "report.total.fertilizer.appliedKg": "N tí a fi ({unit})",
+  "report.total.fertilizer.uptakeKgHa": "N tí irúgbìn mu ({unit})",
+  "report.total.fertilizer.leachedKgHa": "N tó fọ̀ lọ ({unit})",
+  "report.total.harvest.tonnes": "Ìkórè ({unit})",
+  "report.total.harvest.yieldTHa": "Èso ({unit})",
+  "report.total.harvest.income": "Títà ìkórè ({unit})",
+  "report.total.costs.Irrigate": "Ìbomirin ({unit})",
+  "report.total.costs.Fertilize": "Ajílẹ̀ ({unit})",
+  "report.total.costs.Scout": "Àyẹ̀wò ({unit})",
+  "report.total.costs.Treat": "Ìfín ({unit})",
+  "report.total.costs.InstallDrip": "Ṣíṣe ìkán-ìkán ({unit})",
+  "report.total.costs.total": "Àpapọ̀ ìnáwó ({unit})",
+  "report.total.money.start": "Owó ìbẹ̀rẹ̀ ({unit})",
+  "report.total.money.income": "Owó irúgbìn ojoojúmọ́ ({unit})",
+  "report.total.money.harvest": "Títà ìkórè ({unit})",
+  "report.total.money.final": "Owó ìkẹyìn ({unit})",
+
+  // Demo farm
+  "sim.drone": "Dróònù atọ́nà",
+  "sim.analyzing": "Ó ń ṣàgbéyẹ̀wò...",
+  "sim.lastWeek": "Ọ̀sẹ̀ tó kọjá",
+  "sim.installDrip": "🔧 Ìkán-ìkán",
+  "sim.reset": "↻ Bẹ̀rẹ̀ lọ́tun",
+  "sim.liveData": "🛰️ Dátà tààrà",
+  "sim.liveLoaded": "A ti gbé ojú ọjọ́ {provider} wọlé fún oko {crop}!",
+  "sim.liveFailed": "Ojú ọjọ́ tààrà kùnà. A ń lo òjò ìṣeré.",
+  "sim.health": "Ìlera irúgbìn: {health}",
+  "sim.sustainability": "Ìdúróṣinṣin: {score}",
+  "sim.profit": "Èrè: {money}",
+  "sim.yield": "Èso tí a retí: {yield} ({percent}%) · Àmì: {score}",
+  "sim.moisture": "Ọ̀rinrin ilẹ̀: {moisture}% ({water})",
+  "sim.nitrogen": "N ilẹ̀: {nitrogen}",
+  "sim.pests": "Ìnira kòkòrò: {pests} · Ewu àrùn: {risk}",
+  "sim.tank": "Tánkì: {stored}/{capacity} m³",
+  "sim.price": "Iye owó ọjà: x{price}",
+  "sim.seasonOver": "Àsìkò ti parí",
+  "sim.rain": "Òjò: {level}",
+  "sim.scouted": "Kòkòrò ~{pests}, àrùn ~{disease}",
+  "sim.treated": "A fín oògùn, kòkòrò -{killed}",
+  "sim.irrigated": "A bomi rin",
+  "sim.irrigatedShort": "Tánkì kéré, a bomi rin {water}",
+  "sim.tankEmpty": "Tánkì ṣófo, kò sí ìbomirin",
+  "sim.dripInstalled": "A ṣe ìkán-ìkán",
+  "sim.dripAlready": "Ìkán-ìkán ti wà tẹ́lẹ̀",
+  "sim.cannotAfford": "Ó nílò {cost}",
+  "sim.fertilized": "A fi ajílẹ̀ {dose}",
+  "sim.waited": "A dúró",
+  "sim.harvested": "A kórè t {tonnes} fún {income}",
+  "sim.seasonComplete": "Àsìkò ti parí!",
+};
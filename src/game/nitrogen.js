@@ -0,0 +1,38 @@
+// src/game/nitrogen.js
+// Soil mineral nitrogen as a pool in kg N/ha. Fertilizer goes in as split
+// doses, organic matter releases a little every day, the crop takes it out
+// following its growth stage, and nitrate dissolved in the soil water leaves
+// with whatever drains below the roots.
+
+import { nitrogenUptakeFactor } from "./crops.js";
+
+export const STARTING_N_KG = 45;
+// One Fertilize action: a split dose, so a season's need takes several
+export const FERTILIZER_DOSE_KG = 30;
+// Mineralization from soil organic matter, per day
+export const MINERALIZATION_KG = 0.3;
+
+// Season totals per plot, kg N/ha
+export function emptyNitrogenFlows() {
+  return { applied: 0, mineralized: 0, uptake: 0, leached: 0 };
+}
+
+// Nitrate moves with the water: drainage carries away the pool's share of all
+// the water that passed through the root zone, so wet soils after heavy rain
+// lose the most, and sands (less water held) more than clays.
+export function leachedN(pool, drainage, soil) {
+  if (pool <= 0 || drainage <= 0) return 0;
+  return pool * (drainage / (soil.fieldCapacity + drainage));
+}
+
+// What the crop would take up on one day after planting, kg N/ha
+export function uptakeDemand(crop, day) {
+  return crop.nitrogenUptake * nitrogenUptakeFactor(crop, day);
+}
+
+// One day of mineralization then uptake, limited by what is in the pool
+export function nitrogenDay(pool, crop, day) {
+  const supplied = pool + MINERALIZATION_KG;
+  const uptake = Math.min(supplied, uptakeDemand(crop, day));
+  return { nitrogen: supplied - uptake, uptake, mineralized: MINERALIZATION_KG };
+}
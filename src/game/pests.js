@@ -0,0 +1,56 @@
+// src/game/pests.js
+// Weather-driven pest and disease pressure for one plot, both 0-100. Insects
+// develop with degree-days above a base temperature and thrive in humid air;
+// fungal disease risk builds over runs of wet days and fades once it dries
+// out, and disease only spreads while that risk stays high.
+
+export const PEST_BASE_TEMP = 10;
+// Mean temperature assumed when the weather record has none
+const DEFAULT_TMEAN = 25;
+// Share of pests a treatment kills and of disease it clears
+export const TREATMENT_EFFECT = { pests: 0.7, disease: 0.5 };
+// Disease spreads once the risk index reaches this
+export const DISEASE_RISK_THRESHOLD = 60;
+
+function clamp(v, min, max) {
+  return Math.max(min, Math.min(max, v));
+}
+
+function meanTemp({ tmax, tmin }) {
+  if (tmax === null || tmax === undefined || tmin === null || tmin === undefined) return DEFAULT_TMEAN;
+  return (tmax + tmin) / 2;
+}
+
+// Growing degree-days for one day
+export function degreeDays(weather) {
+  return Math.max(0, meanTemp(weather) - PEST_BASE_TEMP);
+}
+
+// 0.5 in dry air up to 1.5 in very humid air; 1 when humidity is unknown
+export function humidityFactor(rh) {
+  if (rh === null || rh === undefined) return 1;
+  return clamp(0.5 + (rh - 40) / 50, 0.5, 1.5);
+}
+
+// Leaf-wetting day: measurable rain or near-saturated air
+export function isWetDay({ precip, rh }) {
+  return (precip ?? 0) >= 1 || (rh ?? 0) >= 90;
+}
+
+// One day of pest and disease development. Pests grow logistically at a rate
+// set by warmth and humidity, plus a trickle arriving from outside.
+export function pestDay({ pests, diseaseRisk, disease }, weather, crop) {
+  const rate = 0.012 * degreeDays(weather) * humidityFactor(weather.rh);
+  const growth = (rate * pests * (1 - pests / 100) + 0.2) * crop.pestSusceptibility;
+
+  const tmean = meanTemp(weather);
+  const wet = isWetDay(weather) && tmean >= 15 && tmean <= 32;
+  const risk = clamp(diseaseRisk + (wet ? 12 : -15), 0, 100);
+  const spread = risk >= DISEASE_RISK_THRESHOLD ? (risk - 50) / 25 : 0;
+
+  return {
+    pests: clamp(pests + growth, 0, 100),
+    diseaseRisk: risk,
+    disease: clamp(disease + spread, 0, 100),
+  };
+}
@@ -0,0 +1,258 @@
+// src/game/report.js
+// End-of-season report: one row per played step (weather, actions taken and
+// the farm's state at the end of the step) plus season totals for water,
+// fertilizer and money. Built by replaying the action log, so it matches the
+// saved season exactly. Exports to CSV and JSON for student assignments.
+
+import { getCrop } from "./crops.js";
+import { NEXT_DAY, createInitialState, replaySeason } from "./engine.js";
+import { actionName, stepLabel, t } from "./i18n.js";
+import { getSoil } from "./soils.js";
+
+// localStorage key FarmGame writes the finished season's report to for the
+// report page
+export const REPORT_KEY = "seasonReport";
+
+// Report record shape; bump when columns or totals change
+export const REPORT_VERSION = 3;
+
+// Per-step table columns, in order: key, heading, metric unit (for the
+// report page's unit settings) and decimals (null for text)
+export const REPORT_COLUMNS = [
+  { key: "step", label: "Step", decimals: 0 },
+  { key: "date", label: "Date", decimals: null },
+  { key: "precip", label: "Rain (mm)", unit: "mm", decimals: 1 },
+  { key: "eto", label: "ETo (mm)", unit: "mm", decimals: 1 },
+  { key: "tmax", label: "Tmax (°C)", unit: "°C", decimals: 1 },
+  { key: "tmin", label: "Tmin (°C)", unit: "°C", decimals: 1 },
+  { key: "actions", label: "Actions", decimals: null },
+  { key: "soilMoisture", label: "Moisture (%)", unit: "%", decimals: 1 },
+  { key: "nitrogen", label: "Soil N (kg/ha)", unit: "kg/ha", decimals: 1 },
+  { key: "pests", label: "Pests", decimals: 1 },
+  { key: "disease", label: "Disease", decimals: 1 },
+  { key: "cropHealth", label: "Health", decimals: 1 },
+  { key: "projectedTonnes", label: "Projected yield (t)", unit: "t", decimals: 2 },
+  { key: "money", label: "Money (₦)", unit: "₦", decimals: 2 },
+  { key: "marketPrice", label: "Price", decimals: 2 },
+  { key: "tank", label: "Tank (m³)", unit: "m³", decimals: 1 },
+];
+
+// Event types that carry a cost, by the action that paid it
+const COST_EVENTS = {
+  irrigated: "Irrigate",
+  fertilized: "Fertilize",
+  scouted: "Scout",
+  treated: "Treat",
+  dripInstalled: "InstallDrip",
+};
+
+function round(value, decimals) {
+  if (value === null || value === undefined || Number.isNaN(value)) return null;
+  const f = 10 ** decimals;
+  return Math.round(value * f) / f;
+}
+
+// "Irrigate, Scout" in the player's language, naming the plot on mixed farms
+function describeActions(entries, multiPlot) {
+  return entries
+    .map((e) => (multiPlot ? `${actionName(e.action)} (${t("plot.label", { n: e.plot + 1 })})` : actionName(e.action)))
+    .join(", ");
+}
+
+function reportRow(frame, weather, entries, multiPlot) {
+  const { state } = frame;
+  return {
+    step: frame.day,
+    label: stepLabel(frame.day, state.stepDays || 1),
+    date: weather.date ?? null,
+    precip: round(weather.precip ?? 0, 1),
+    eto: round(weather.eto, 1),
+    tmax: round(weather.tmax, 1),
+    tmin: round(weather.tmin, 1),
+    actions: describeActions(entries, multiPlot),
+    soilMoisture: round(state.soilMoisture, 1),
+    availableWater: round(state.availableWater, 1),
+    nitrogen: round(state.nitrogen, 1),
+    pests: round(state.pests, 1),
+    disease: round(state.disease, 1),
+    cropHealth: round(state.cropHealth, 1),
+    projectedTonnes: round(state.projectedTonnes, 2),
+    money: round(state.money, 2),
+    marketPrice: round(state.marketPrice, 2),
+    tank: round(state.tank.storedM3, 1),
+  };
+}
+
+// Build the report for a saved season (`record` needs setup and log, like
+// the engine state). `meta` is passed through for the header, e.g. location
+// and player name.
+export function buildSeasonReport(record, weatherSeries, meta = {}) {
+  const initial = createInitialState(record.setup);
+  const multiPlot = initial.plots.length > 1;
+  const costs = Object.fromEntries(Object.values(COST_EVENTS).map((action) => [action, 0]));
+  const rows = [];
+  const harvest = { tonnes: 0, income: 0 };
+  let state = initial;
+
+  for (const frame of replaySeason(record, weatherSeries)) {
+    state = frame.state;
+    for (const event of frame.events) {
+      if (COST_EVENTS[event.type]) costs[COST_EVENTS[event.type]] += event.cost ?? 0;
+      if (event.type === "harvested") {
+        harvest.tonnes += event.tonnes;
+        harvest.income += event.income;
+      }
+    }
+    if (frame.partial) continue;
+    const entries = record.log.filter((e) => e.day === frame.day && e.action !== NEXT_DAY && e.action !== "Wait");
+    rows.push(reportRow(frame, weatherSeries[frame.day - 1] || {}, entries, multiPlot));
+  }
+
+  const totalCost = Object.values(costs).reduce((a, b) => a + b, 0);
+  const area = state.areaHa;
+  return {
+    version: REPORT_VERSION,
+    generatedAt: new Date().toISOString(),
+    meta,
+    setup: {
+      locationName: record.setup.locationName ?? null,
+      seasonLength: state.seasonLength,
+      stepDays: state.stepDays || 1,
+      areaHa: area,
+      soil: getSoil(state.soilType).label,
+      plots: state.plots.map((p) => ({
+        cropType: p.cropType,
+        soilType: p.soilType,
+        crop: getCrop(p.cropType).label,
+        areaHa: p.areaHa,
+        soil: getSoil(p.soilType).label,
+        drip: p.drip,
+      })),
+      seed: record.setup.seed ?? null,
+    },
+    rows,
+    totals: {
+      water: {
+        rainMm: round(state.water.rain, 1),
+        irrigationMm: round(state.water.irrigation, 1),
+        etMm: round(state.water.et, 1),
+        drainageMm: round(state.water.drainage, 1),
+        runoffMm: round(state.water.runoff, 1),
+        wastedIrrigationMm: round(state.water.wastedIrrigation, 1),
+        irrigationM3: round(state.tank.usedM3, 1),
+        harvestedM3: round(state.tank.harvestedM3, 1),
+      },
+      fertilizer: {
+        appliedKgHa: round(state.nitrogenFlows.applied, 1),
+        appliedKg: round(state.nitrogenFlows.applied * area, 1),
+        uptakeKgHa: round(state.nitrogenFlows.uptake, 1),
+        leachedKgHa: round(state.nitrogenFlows.leached, 1),
+      },
+      harvest: {
+        tonnes: round(harvest.tonnes, 2),
+        yieldTHa: round(harvest.tonnes / area, 2),
+        income: round(harvest.income, 2),
+      },
+      costs: {
+        ...Object.fromEntries(Object.entries(costs).map(([action, cost]) => [action, round(cost, 2)])),
+        total: round(totalCost, 2),
+      },
+      money: {
+        start: round(initial.money, 2),
+        income: round(state.money - initial.money + totalCost - harvest.income, 2),
+        harvest: round(harvest.income, 2),
+        final: round(state.money, 2),
+      },
+      cropHealth: round(state.cropHealth, 1),
+      sustainability: round(state.sustainability, 1),
+      treatments: round(state.treatments, 1),
+    },
+  };
+}
+
+// Labels for the totals section in the CSV; the report page translates them
+export const TOTAL_LABELS = {
+  water: {
+    rainMm: "Rain (mm)",
+    irrigationMm: "Irrigation (mm)",
+    etMm: "Crop ET (mm)",
+    drainageMm: "Drainage (mm)",
+    runoffMm: "Runoff (mm)",
+    wastedIrrigationMm: "Wasted irrigation (mm)",
+    irrigationM3: "Irrigation water (m³)",
+    harvestedM3: "Rain harvested (m³)",
+  },
+  fertilizer: {
+    appliedKgHa: "N applied (kg/ha)",
+    appliedKg: "N applied (kg)",
+    uptakeKgHa: "N taken up (kg/ha)",
+    leachedKgHa: "N leached (kg/ha)",
+  },
+  harvest: {
+    tonnes: "Harvest (t)",
+    yieldTHa: "Yield (t/ha)",
+    income: "Harvest sales (₦)",
+  },
+  costs: {
+    Irrigate: "Irrigation (₦)",
+    Fertilize: "Fertilizer (₦)",
+    Scout: "Scouting (₦)",
+    Treat: "Treatments (₦)",
+    InstallDrip: "Drip installation (₦)",
+    total: "Total costs (₦)",
+  },
+  money: {
+    start: "Starting money (₦)",
+    income: "Daily crop income (₦)",
+    harvest: "Harvest sales (₦)",
+    final: "Final money (₦)",
+  },
+};
+
+// Metric unit of each total, for the report page's unit settings
+export const TOTAL_UNITS = {
+  water: {
+    rainMm: "mm",
+    irrigationMm: "mm",
+    etMm: "mm",
+    drainageMm: "mm",
+    runoffMm: "mm",
+    wastedIrrigationMm: "mm",
+    irrigationM3: "m³",
+    harvestedM3: "m³",
+  },
+  fertilizer: { appliedKgHa: "kg/ha", appliedKg: "kg", uptakeKgHa: "kg/ha", leachedKgHa: "kg/ha" },
+  harvest: { tonnes: "t", yieldTHa: "t/ha", income: "₦" },
+  costs: { Irrigate: "₦", Fertilize: "₦", Scout: "₦", Treat: "₦", InstallDrip: "₦", total: "₦" },
+  money: { start: "₦", income: "₦", harvest: "₦", final: "₦" },
+};
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values) {
+  return values.map(csvCell).join(",");
+}
+
+// The per-step table, then a blank line and the totals as section,item,value
+export function reportToCsv(report) {
+  const lines = [csvLine(REPORT_COLUMNS.map((c) => c.label))];
+  for (const row of report.rows) lines.push(csvLine(REPORT_COLUMNS.map((c) => row[c.key])));
+  lines.push("");
+  lines.push(csvLine(["Section", "Total", "Value"]));
+  for (const [section, labels] of Object.entries(TOTAL_LABELS)) {
+    for (const [key, label] of Object.entries(labels)) {
+      lines.push(csvLine([section, label, report.totals[section][key]]));
+    }
+  }
+  lines.push(csvLine(["season", "Crop health", report.totals.cropHealth]));
+  lines.push(csvLine(["season", "Sustainability", report.totals.sustainability]));
+  return lines.join("\n") + "\n";
+}
+
+export function reportToJson(report) {
+  return JSON.stringify(report, null, 2);
+}
@@ -0,0 +1,34 @@
+// src/game/rng.js
+// Small seedable PRNG (mulberry32). The generator state is a plain uint32 so it
+// can live inside engine state and be saved/replayed with it.
+
+// Turn any seed (number or string) into a uint32 generator state
+export function seedToState(seed) {
+  const str = String(seed);
+  let h = 2166136261;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+// Fresh human-readable seed for a new season
+export function randomSeed() {
+  return Math.random().toString(36).slice(2, 10);
+}
+
+// Returns a random() function in [0, 1) that starts from `rngState`.
+// Read the advanced state back with random.state().
+export function makeRandom(rngState) {
+  let s = rngState >>> 0;
+  const random = () => {
+    s = (s + 0x6d2b79f5) >>> 0;
+    let t = s;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  random.state = () => s;
+  return random;
+}
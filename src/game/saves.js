@@ -0,0 +1,197 @@
+// src/game/saves.js
+// Save slots for in-progress farms, kept in localStorage under one key.
+// A save holds everything FarmGame needs to resume: the setup (weather,
+// location), the engine state, the action log and the chart history.
+
+import { getCrop, seasonLength } from "./crops.js";
+import { NEXT_DAY, RULES_VERSION, createInitialState, replaySeason, seasonDaysOf, weatherSeriesFrom } from "./engine.js";
+import { potentialTonnes } from "./score.js";
+import { clearWeatherCache } from "./weather.js";
+
+const STORAGE_KEY = "farmSaves";
+export const ACTIVE_SAVE_KEY = "activeSaveId";
+
+// Shape of the save record itself. Add a migration below when bumping.
+export const SAVE_VERSION = 4;
+
+// Weather fields of the day-0 chart point
+const START_WEATHER = { precip: null, eto: null, tmax: null, tmin: null };
+
+// Real season length in days: from the weather when the save has it, else
+// whole steps, else the crop's full season
+function seasonDaysFor({ state, weatherData }) {
+  const stepDays = state.setup.stepDays || 1;
+  const days = seasonDaysOf(weatherSeriesFrom(weatherData, stepDays));
+  if (days > 0) return days;
+  return state.seasonLength ? state.seasonLength * stepDays : seasonLength(getCrop(state.cropType));
+}
+
+function withSeasonDays(save, seasonDays) {
+  return { ...save, state: { ...save.state, seasonDays, setup: { ...save.state.setup, seasonDays } } };
+}
+
+// MIGRATIONS[n] upgrades a version-n save to version n + 1
+const MIGRATIONS = {
+  // Version 0: setup-only data from before save slots existed
+  0: (save) => ({
+    ...save,
+    actionLog: save.actionLog || [],
+    history: save.history || [],
+    version: 1,
+  }),
+  // Version 1: the first chart point showed step 1's weather before it was played
+  1: (save) => ({
+    ...save,
+    history: save.history.map((p, i) => (i === 0 ? { ...p, ...START_WEATHER, day: 0, actions: [] } : p)),
+    version: 2,
+  }),
+  // Version 2: setups didn't record the real season length in days
+  2: (save) => {
+    if (!save.state?.setup) return { ...save, version: 3 };
+    return { ...withSeasonDays(save, seasonDaysFor(save)), version: 3 };
+  },
+  // Version 3: saves without weather data migrated to a season of 0 days
+  3: (save) => {
+    if (!save.state?.setup || save.state.seasonDays > 0) return { ...save, version: 4 };
+    return { ...withSeasonDays(save, seasonDaysFor(save)), version: 4 };
+  },
+};
+
+function readAll() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch {
+    return [];
+  }
+}
+
+function isQuotaError(err) {
+  return (
+    err instanceof DOMException &&
+    (err.name === "QuotaExceededError" || err.name === "NS_ERROR_DOM_QUOTA_REACHED" || err.code === 22)
+  );
+}
+
+// Saves share localStorage with the weather cache. When it is full the cache
+// goes first; if the saves still don't fit, the error reaches the caller.
+function writeAll(saves) {
+  const text = JSON.stringify(saves);
+  try {
+    localStorage.setItem(STORAGE_KEY, text);
+  } catch (err) {
+    if (!isQuotaError(err)) throw err;
+    clearWeatherCache();
+    localStorage.setItem(STORAGE_KEY, text);
+  }
+}
+
+function migrate(save) {
+  let current = { version: 0, ...save };
+  while (current.version < SAVE_VERSION) {
+    const upgrade = MIGRATIONS[current.version];
+    if (!upgrade) throw new Error(`No migration from save version ${current.version}`);
+    current = upgrade(current);
+  }
+  return current;
+}
+
+// Latest scouted pest level over the farm, area-weighted over the plots
+// scouted so far; null before any scouting (true pests stay hidden)
+function scoutedPests(state) {
+  const scouted = state.plots.filter((p) => p.scouted);
+  const area = scouted.reduce((sum, p) => sum + p.areaHa, 0);
+  return area ? scouted.reduce((sum, p) => sum + p.scouted.pests * p.areaHa, 0) / area : null;
+}
+
+// One chart point per played step: farm totals, the step's weather, the
+// actions taken, plus each plot's moisture and health. Day 0 is the farm
+// before anything is played, with no weather revealed yet.
+export function historyPoint(state, weatherSeries, day = state.day) {
+  const weather = day > 0 ? weatherSeries[day - 1] || {} : START_WEATHER;
+  return {
+    day,
+    soilMoisture: state.soilMoisture,
+    cropHealth: state.cropHealth,
+    sustainability: state.sustainability,
+    nitrogen: state.nitrogen,
+    pests: scoutedPests(state),
+    diseaseRisk: state.diseaseRisk,
+    money: state.money,
+    marketPrice: state.marketPrice,
+    tank: (state.tank.storedM3 / state.tank.capacityM3) * 100,
+    yieldPercent: (state.projectedTonnes / potentialTonnes(state)) * 100,
+    precip: day > 0 ? weather.precip ?? 0 : null,
+    eto: weather.eto ?? null,
+    tmax: weather.tmax ?? null,
+    tmin: weather.tmin ?? null,
+    actions: state.log.filter((e) => e.day === day && e.action !== NEXT_DAY).map(({ action, plot }) => ({ action, plot })),
+    plots: state.plots.map((p) => ({ soilMoisture: p.soilMoisture, cropHealth: p.cropHealth })),
+  };
+}
+
+// Saves made under older rules are rebuilt by replaying their action log, so
+// state and chart history match what the current rules would have produced.
+function rebuildForRules(save) {
+  if (save.rulesVersion === RULES_VERSION) return save;
+  const weatherSeries = weatherSeriesFrom(save.weatherData, save.state.setup.stepDays || 1);
+  let state = createInitialState(save.state.setup);
+  const history = [historyPoint(state, weatherSeries, 0)];
+  try {
+    for (const frame of replaySeason(save.state, weatherSeries)) {
+      state = frame.state;
+      if (frame.partial) continue;
+      history.push(historyPoint(state, weatherSeries, frame.day));
+    }
+  } catch (err) {
+    console.warn(`Could not replay save ${save.id} under current rules`, err);
+    return save;
+  }
+  return { ...save, state: { ...state, practice: !!save.state.practice }, history, rulesVersion: RULES_VERSION };
+}
+
+export function newSaveId() {
+  return `farm-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+// Lightweight summaries for the Continue list, most recent first
+export function listSaves() {
+  return readAll()
+    .map(migrate)
+    .sort((a, b) => b.savedAt - a.savedAt)
+    .map(({ id, name, savedAt, state }) => ({
+      id,
+      name,
+      savedAt,
+      day: state.day,
+      seasonLength: state.seasonLength,
+      stepDays: state.stepDays || 1,
+      cropType: state.cropType,
+      locationName: state.locationName,
+    }));
+}
+
+export function loadSave(id) {
+  const save = readAll().find((s) => s.id === id);
+  return save ? rebuildForRules(migrate(save)) : null;
+}
+
+// Insert or replace a save by id
+export function writeSave(save) {
+  const record = {
+    ...save,
+    version: SAVE_VERSION,
+    rulesVersion: RULES_VERSION,
+    savedAt: Date.now(),
+  };
+  writeAll([...readAll().filter((s) => s.id !== save.id), record]);
+  return record;
+}
+
+export function renameSave(id, name) {
+  writeAll(readAll().map((s) => (s.id === id ? { ...s, name } : s)));
+}
+
+export function deleteSave(id) {
+  writeAll(readAll().filter((s) => s.id !== id));
+  if (localStorage.getItem(ACTIVE_SAVE_KEY) === id) localStorage.removeItem(ACTIVE_SAVE_KEY);
+}
@@ -0,0 +1,124 @@
+// src/game/scenario.js
+// Shareable scenarios: everything needed to start a season (weather, plots,
+// soil, step length, location and seed) as one record, so a whole class can
+// play the same farm. A scenario travels as a .json file or inside a link
+// (/farm#scenario=...), compressed and base64url-encoded into the hash so it
+// never has to be stored on a server.
+
+import { RULES_VERSION } from "./engine.js";
+import { ACTIVE_SAVE_KEY } from "./saves.js";
+
+// Shape of the scenario record itself
+export const SCENARIO_VERSION = 1;
+const HASH_PREFIX = "#scenario=";
+
+export function makeScenario({ name, cropType, days, location, locationName, weatherData, stepDays, soilType, field, plots, seed }) {
+  return {
+    version: SCENARIO_VERSION,
+    rulesVersion: RULES_VERSION,
+    name: name || `${cropType} – ${(locationName || "Unknown").split(",")[0]}`,
+    cropType,
+    days,
+    location,
+    locationName,
+    stepDays,
+    soilType,
+    field: field || null,
+    plots,
+    seed: String(seed),
+    weatherData,
+  };
+}
+
+// Check an imported record has what FarmGame needs; throws with a reason
+export function validateScenario(scenario) {
+  if (!scenario || typeof scenario !== "object") throw new Error("Not a scenario file");
+  if (scenario.version !== SCENARIO_VERSION) throw new Error(`Unsupported scenario version ${scenario.version}`);
+  if (!Array.isArray(scenario.weatherData?.precip) || !scenario.weatherData.precip.length) {
+    throw new Error("The scenario has no weather data");
+  }
+  if (!Array.isArray(scenario.plots) || !scenario.plots.length) throw new Error("The scenario has no plots");
+  if (!scenario.seed) throw new Error("The scenario has no seed");
+  return scenario;
+}
+
+export function scenarioToJson(scenario) {
+  return JSON.stringify(scenario);
+}
+
+export function parseScenario(text) {
+  let scenario;
+  try {
+    scenario = JSON.parse(text);
+  } catch {
+    throw new Error("The file is not valid JSON");
+  }
+  return validateScenario(scenario);
+}
+
+// Scenarios from other rules versions still load but may not play out the same
+export function sameRules(scenario) {
+  return scenario.rulesVersion === RULES_VERSION;
+}
+
+// Write the setup keys FarmGame starts a new season from, as MapScreen does
+export function startScenario(scenario) {
+  localStorage.setItem("selectedCrop", scenario.cropType);
+  localStorage.setItem("selectedDays", scenario.days);
+  localStorage.setItem("selectedLocation", JSON.stringify(scenario.location));
+  localStorage.setItem("selectedLocationName", scenario.locationName);
+  localStorage.setItem("weatherData", JSON.stringify(scenario.weatherData));
+  localStorage.setItem("selectedProvider", scenario.weatherData.provider);
+  localStorage.setItem("selectedRange", JSON.stringify(scenario.weatherData.range));
+  localStorage.setItem("selectedStep", scenario.stepDays);
+  localStorage.setItem("selectedSoil", scenario.soilType);
+  if (scenario.field) localStorage.setItem("selectedField", JSON.stringify(scenario.field));
+  else localStorage.removeItem("selectedField");
+  localStorage.setItem("selectedPlots", JSON.stringify(scenario.plots));
+  localStorage.setItem("seasonSeed", scenario.seed);
+  localStorage.removeItem(ACTIVE_SAVE_KEY);
+}
+
+async function pipeBytes(bytes, transform) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function toBase64Url(bytes) {
+  let binary = "";
+  for (const b of bytes) binary += String.fromCharCode(b);
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+}
+
+export async function encodeScenario(scenario) {
+  const json = new TextEncoder().encode(scenarioToJson(scenario));
+  return toBase64Url(await pipeBytes(json, new CompressionStream("deflate-raw")));
+}
+
+export async function decodeScenario(encoded) {
+  let text;
+  try {
+    text = new TextDecoder().decode(await pipeBytes(fromBase64Url(encoded), new DecompressionStream("deflate-raw")));
+  } catch {
+    throw new Error("The scenario link is damaged or incomplete");
+  }
+  return parseScenario(text);
+}
+
+// Link that opens the scenario straight in the game
+export async function scenarioUrl(scenario, origin = window.location.origin) {
+  return `${origin}/farm${HASH_PREFIX}${await encodeScenario(scenario)}`;
+}
+
+export function hasScenarioHash(hash = window.location.hash) {
+  return hash.startsWith(HASH_PREFIX);
+}
+
+export function scenarioFromHash(hash = window.location.hash) {
+  return decodeScenario(hash.slice(HASH_PREFIX.length));
+}
@@ -0,0 +1,72 @@
+// src/game/score.js
+// The season score: one 0-100 number from profit, sustainability and yield,
+// each scaled to 0-100 first and then combined with the weights below. The
+// weights and scales are shown to players, so change them here only.
+
+import { getCrop } from "./crops.js";
+import { STARTING_MONEY, clamp } from "./engine.js";
+import { formatQuantity, t } from "./i18n.js";
+
+export const SCORE_WEIGHTS = { profit: 0.4, sustainability: 0.3, yield: 0.3 };
+
+// Top daily crop income per hectare at the starting market price
+export const PROFIT_PER_HA_DAY = 4;
+
+// Names and explanations are score.<id> and score.<id>.explain in the locale files
+export const SCORE_COMPONENTS = [
+  { id: "profit", emoji: "💰" },
+  { id: "sustainability", emoji: "🌍" },
+  { id: "yield", emoji: "🌽" },
+];
+
+export function componentLabel(component) {
+  return t(`score.${component.id}`);
+}
+
+export function componentExplain(component) {
+  return t(`score.${component.id}.explain`, {
+    income: formatQuantity(PROFIT_PER_HA_DAY, "₦", 0),
+    area: t("unit.ha.one"),
+  });
+}
+
+export function profitOf(state) {
+  return state.money - STARTING_MONEY * state.areaHa;
+}
+
+// Tonnes the farm would harvest with no stress at all
+export function potentialTonnes(state) {
+  return state.plots.reduce((sum, p) => sum + getCrop(p.cropType).potentialYield * p.areaHa, 0);
+}
+
+// Profit of a perfect season: top daily income and a full harvest at price 1
+function bestProfit(state) {
+  const harvest = state.plots.reduce((sum, p) => {
+    const crop = getCrop(p.cropType);
+    return sum + crop.potentialYield * crop.pricePerTonne * p.areaHa;
+  }, 0);
+  return PROFIT_PER_HA_DAY * state.areaHa * state.seasonDays + harvest;
+}
+
+// Each component on its own 0-100 scale. Before harvest, yield is the projection.
+export function scoreComponents(state) {
+  return {
+    profit: clamp((profitOf(state) / bestProfit(state)) * 100, 0, 100),
+    sustainability: clamp(state.sustainability, 0, 100),
+    yield: clamp((state.projectedTonnes / potentialTonnes(state)) * 100, 0, 100),
+  };
+}
+
+// { score, components, weights }
+export function seasonScore(state, weights = SCORE_WEIGHTS) {
+  const components = scoreComponents(state);
+  const score = Object.entries(weights).reduce((sum, [id, w]) => sum + w * components[id], 0);
+  return { score, components, weights };
+}
+
+// "40% profit + 30% sustainability + 30% yield"
+export function describeWeights(weights = SCORE_WEIGHTS) {
+  return SCORE_COMPONENTS.map((c) => `${Math.round(weights[c.id] * 100)}% ${componentLabel(c).toLocaleLowerCase()}`).join(
+    " + "
+  );
+}
@@ -0,0 +1,124 @@
+// src/game/soils.js
+// Soil texture profiles for a 1 m root zone. Field capacity and wilting point
+// are total water held (mm) from the middle of the FAO-56 Table 19 ranges; the
+// water between them is what the crop can use. Infiltration is the most rain
+// plus irrigation a day can soak in; anything above it runs off.
+
+export const SOILS = {
+  sand: {
+    id: "sand",
+    label: "Sand",
+    emoji: "🏖️",
+    fieldCapacity: 120,
+    wiltingPoint: 45,
+    infiltration: 120,
+  },
+  sandyLoam: {
+    id: "sandyLoam",
+    label: "Sandy loam",
+    emoji: "🟨",
+    fieldCapacity: 230,
+    wiltingPoint: 110,
+    infiltration: 80,
+  },
+  loam: {
+    id: "loam",
+    label: "Loam",
+    emoji: "🟫",
+    fieldCapacity: 250,
+    wiltingPoint: 120,
+    infiltration: 50,
+  },
+  clayLoam: {
+    id: "clayLoam",
+    label: "Clay loam",
+    emoji: "🧱",
+    fieldCapacity: 335,
+    wiltingPoint: 205,
+    infiltration: 35,
+  },
+  clay: {
+    id: "clay",
+    label: "Clay",
+    emoji: "🪨",
+    fieldCapacity: 360,
+    wiltingPoint: 220,
+    infiltration: 25,
+  },
+};
+
+export const DEFAULT_SOIL = "loam";
+
+export function getSoil(id) {
+  return SOILS[id] || SOILS[DEFAULT_SOIL];
+}
+
+// Plant-available water capacity (mm): field capacity minus wilting point
+export function availableCapacity(soil) {
+  return soil.fieldCapacity - soil.wiltingPoint;
+}
+
+// Coarse dominant textures for a few farming regions, weighted towards West
+// Africa. Good enough to pre-select a sensible soil, not a soil survey.
+const SOIL_POINTS = [
+  // Nigeria
+  { lat: 13.06, lng: 5.24, soil: "sand" }, // Sokoto
+  { lat: 12.0, lng: 8.5, soil: "sandyLoam" }, // Kano
+  { lat: 11.85, lng: 13.16, soil: "sand" }, // Maiduguri
+  { lat: 12.3, lng: 13.9, soil: "clay" }, // Lake Chad firki plains
+  { lat: 10.5, lng: 7.4, soil: "sandyLoam" }, // Kaduna
+  { lat: 9.9, lng: 8.9, soil: "sandyLoam" }, // Jos plateau
+  { lat: 9.07, lng: 7.4, soil: "sandyLoam" }, // Abuja
+  { lat: 9.2, lng: 12.5, soil: "loam" }, // Yola, Benue valley
+  { lat: 7.7, lng: 8.5, soil: "loam" }, // Makurdi
+  { lat: 7.4, lng: 3.9, soil: "loam" }, // Ibadan
+  { lat: 6.5, lng: 3.4, soil: "sand" }, // Lagos coastal sands
+  { lat: 6.3, lng: 5.6, soil: "sandyLoam" }, // Benin City
+  { lat: 6.45, lng: 7.5, soil: "sandyLoam" }, // Enugu
+  { lat: 5.0, lng: 6.0, soil: "clay" }, // Niger Delta swamps
+  { lat: 4.8, lng: 7.0, soil: "clayLoam" }, // Port Harcourt
+  // Rest of West Africa
+  { lat: 13.5, lng: 2.1, soil: "sand" }, // Niamey
+  { lat: 12.37, lng: -1.53, soil: "sandyLoam" }, // Ouagadougou
+  { lat: 14.7, lng: -17.4, soil: "sand" }, // Dakar
+  { lat: 12.6, lng: -8.0, soil: "sandyLoam" }, // Bamako
+  { lat: 14.5, lng: -4.2, soil: "clay" }, // Inner Niger Delta
+  { lat: 5.6, lng: -0.2, soil: "sandyLoam" }, // Accra plains
+  { lat: 6.7, lng: -1.6, soil: "loam" }, // Kumasi
+  { lat: 23.0, lng: 10.0, soil: "sand" }, // Sahara
+  // Elsewhere
+  { lat: 14.4, lng: 33.5, soil: "clay" }, // Gezira, Sudan
+  { lat: 9.0, lng: 38.7, soil: "clay" }, // Ethiopian highlands
+  { lat: 30.8, lng: 31.0, soil: "clay" }, // Nile Delta
+  { lat: -1.3, lng: 36.8, soil: "clayLoam" }, // Nairobi
+  { lat: 42.0, lng: -93.5, soil: "loam" }, // Iowa
+  { lat: -34.6, lng: -60.0, soil: "loam" }, // Pampas
+  { lat: 27.0, lng: 80.0, soil: "loam" }, // Indo-Gangetic plain
+  { lat: 10.0, lng: 105.8, soil: "clay" }, // Mekong Delta
+];
+
+// Points further than this from every reference fall back to the default
+const LOOKUP_RADIUS_KM = 500;
+
+function distanceKm(a, b) {
+  const toRad = (d) => (d * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
+
+// Suggested soil id for a location: the nearest bundled reference point, or
+// the default when nothing is close.
+export function soilAt(lat, lng) {
+  let best = null;
+  let bestKm = LOOKUP_RADIUS_KM;
+  for (const point of SOIL_POINTS) {
+    const km = distanceKm({ lat, lng }, point);
+    if (km < bestKm) {
+      best = point;
+      bestKm = km;
+    }
+  }
+  return best ? best.soil : DEFAULT_SOIL;
+}
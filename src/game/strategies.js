@@ -0,0 +1,149 @@
+// src/game/strategies.js
+// Reference strategies that play a season under the same engine rules, setup
+// and weather as the player, for the end-of-season comparison. A strategy's
+// policy(state, weatherSeries) returns the step's actions as { action, plot }.
+
+import { advise } from "./advisor.js";
+import { getCrop, stageForDay } from "./crops.js";
+import {
+  ACTIONS,
+  NEXT_DAY,
+  createInitialState,
+  daysAfterPlanting,
+  isSeasonOver,
+  replaySeason,
+  step,
+} from "./engine.js";
+import { forecastView } from "./forecast.js";
+import { t } from "./i18n.js";
+import { historyPoint } from "./saves.js";
+import { seasonScore } from "./score.js";
+
+// Fertilize every this many days until the late stage
+const FERTILIZE_EVERY_DAYS = 14;
+// Steps the look-ahead search simulates after each candidate action
+const SEARCH_HORIZON = 5;
+// Longest stretch of main-thread work between yields when running in chunks
+const CHUNK_MS = 30;
+
+function eachPlot(state, choose) {
+  return state.plots.map((plot, i) => ({ action: choose(plot, i), plot: i }));
+}
+
+function alwaysWait(state) {
+  return eachPlot(state, () => "Wait");
+}
+
+function irrigateWhenDry(state) {
+  return eachPlot(state, (plot) => (plot.soilMoisture < getCrop(plot.cropType).moistureRange[0] ? "Irrigate" : "Wait"));
+}
+
+function fertilizeOnSchedule(state) {
+  const dap = daysAfterPlanting(state);
+  const stepDays = state.stepDays || 1;
+  return eachPlot(state, (plot) => {
+    const late = stageForDay(getCrop(plot.cropType), dap).name === "late";
+    // A dose on the first step and then on every step containing a multiple of the interval
+    const due = Math.floor((dap + stepDays - 1) / FERTILIZE_EVERY_DAYS) > Math.floor((dap - 1) / FERTILIZE_EVERY_DAYS);
+    return !late && (dap === 1 || due) ? "Fertilize" : "Wait";
+  });
+}
+
+// The drone sees what the player sees: past weather and the forecast
+function followDrone(state, weatherSeries) {
+  const visible = forecastView(weatherSeries, state.day, state.seed);
+  return state.plots.map((_, i) => advise(state, visible, i)).map(({ action, plot }) => ({ action, plot }));
+}
+
+// Play one step: the actions, then the end of the step
+function playStep(state, actions, weatherSeries) {
+  const weather = weatherSeries[state.day - 1] || {};
+  let next = state;
+  for (const { action, plot } of actions) next = step(next, action, weather, plot).state;
+  return step(next, NEXT_DAY, weather).state;
+}
+
+// Greedy look-ahead: for each plot, try every action this step, follow the
+// drone for a few steps after it, and keep whichever ends with the best season
+// score, the number the comparison ranks by. It sees the real weather ahead,
+// so it is a hindsight benchmark rather than fair play.
+function lookAhead(state, weatherSeries) {
+  const chosen = followDrone(state, weatherSeries);
+  state.plots.forEach((_, i) => {
+    let best = -Infinity;
+    for (const action of ACTIONS) {
+      const actions = chosen.map((c) => (c.plot === i ? { action, plot: i } : c));
+      let trial = playStep(state, actions, weatherSeries);
+      for (let h = 1; h < SEARCH_HORIZON && !isSeasonOver(trial); h++) {
+        trial = playStep(trial, followDrone(trial, weatherSeries), weatherSeries);
+      }
+      const { score } = seasonScore(trial);
+      if (score > best) {
+        best = score;
+        chosen[i] = { action, plot: i };
+      }
+    }
+  });
+  return chosen;
+}
+
+export const STRATEGIES = [
+  { id: "wait", policy: alwaysWait },
+  { id: "irrigate", policy: irrigateWhenDry },
+  { id: "fertilize", policy: fertilizeOnSchedule },
+  { id: "drone", policy: followDrone },
+  { id: "search", policy: lookAhead },
+];
+
+// Play a strategy over the same setup and weather, yielding after each step
+// played and each charted; returns { state, history }, with one history point per step
+// like the player's chart
+function* playStrategy(strategy, setup, weatherSeries) {
+  const initial = createInitialState(setup);
+  let state = initial;
+  while (!isSeasonOver(state)) {
+    state = playStep(state, strategy.policy(state, weatherSeries), weatherSeries);
+    yield;
+  }
+  const history = [historyPoint(initial, weatherSeries, 0)];
+  for (const frame of replaySeason(state, weatherSeries)) {
+    if (!frame.partial) history.push(historyPoint(frame.state, weatherSeries, frame.day));
+    yield;
+  }
+  return { state, history };
+}
+
+export function runStrategy(strategy, setup, weatherSeries) {
+  const run = playStrategy(strategy, setup, weatherSeries);
+  let result = run.next();
+  while (!result.done) result = run.next();
+  return result.value;
+}
+
+export function runStrategies(setup, weatherSeries, strategies = STRATEGIES) {
+  return strategies.map((strategy) => ({
+    id: strategy.id,
+    label: t(`strategy.${strategy.id}`),
+    ...runStrategy(strategy, setup, weatherSeries),
+  }));
+}
+
+// Like runStrategies, but hands the main thread back every CHUNK_MS so the page
+// keeps painting and taking input while the look-ahead search runs
+export async function runStrategiesInChunks(setup, weatherSeries, strategies = STRATEGIES) {
+  const runs = [];
+  let chunkStart = performance.now();
+  for (const strategy of strategies) {
+    const run = playStrategy(strategy, setup, weatherSeries);
+    let result = run.next();
+    while (!result.done) {
+      if (performance.now() - chunkStart > CHUNK_MS) {
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        chunkStart = performance.now();
+      }
+      result = run.next();
+    }
+    runs.push({ id: strategy.id, label: t(`strategy.${strategy.id}`), ...result.value });
+  }
+  return runs;
+}
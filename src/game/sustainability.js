@@ -0,0 +1,32 @@
+// src/game/sustainability.js
+// Sustainability from what actually happened on the farm instead of fixed
+// penalties: start at 100 and lose points per unit of each tracked loss.
+// Amounts are season totals per hectare (area-weighted over the plots).
+
+export const SUSTAINABILITY_FACTORS = [
+  { id: "leached", emoji: "🧪", label: "Nitrogen leached", unit: "kg N/ha", points: 0.5 },
+  { id: "wastedIrrigation", emoji: "🚿", label: "Irrigation beyond crop need", unit: "mm", points: 0.2 },
+  { id: "runoff", emoji: "🌊", label: "Runoff", unit: "mm", points: 0.05 },
+  { id: "treatments", emoji: "🧴", label: "Pesticide treatments", unit: "sprays", points: 3 },
+];
+
+// The amount behind each factor, from farm totals or a single plot
+function amounts({ nitrogenFlows, water, treatments }) {
+  return {
+    leached: nitrogenFlows?.leached || 0,
+    wastedIrrigation: water?.wastedIrrigation || 0,
+    runoff: water?.runoff || 0,
+    treatments: treatments || 0,
+  };
+}
+
+// [{ id, emoji, label, unit, amount, points }] with `points` <= 0
+export function sustainabilityBreakdown(totals) {
+  const values = amounts(totals);
+  return SUSTAINABILITY_FACTORS.map((f) => ({ ...f, amount: values[f.id], points: -values[f.id] * f.points }));
+}
+
+export function sustainabilityScore(breakdown) {
+  const lost = breakdown.reduce((sum, f) => sum + f.points, 0);
+  return Math.max(0, Math.min(100, 100 + lost));
+}
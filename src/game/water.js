@@ -0,0 +1,53 @@
+// src/game/water.js
+// Daily root-zone water balance in millimetres, shared by the MapScreen
+// preview series and the in-game engine. `availableWater` is the water held
+// above the soil's wilting point, so 0 mm is as dry as the crop can get.
+
+import { DEFAULT_SOIL, availableCapacity, getSoil } from "./soils.js";
+
+// Reference ET assumed when the weather record has none
+export const DEFAULT_ETO_MM = 5;
+
+// Rain and irrigation in up to the soil's infiltration limit (the rest runs
+// off), crop ET out (limited by what is there), anything above field capacity
+// drains below the root zone.
+export function waterBalanceDay({ availableWater, soil = getSoil(DEFAULT_SOIL), precip = 0, irrigation = 0, etc = 0 }) {
+  const input = Math.max(0, precip) + irrigation;
+  const runoff = Math.max(0, input - soil.infiltration);
+  let aw = availableWater + input - runoff;
+  const actualEt = Math.min(aw, Math.max(0, etc));
+  aw -= actualEt;
+  const drainage = Math.max(0, aw - availableCapacity(soil));
+  aw = Math.max(0, aw - drainage);
+  return { availableWater: aw, actualEt, drainage, runoff };
+}
+
+// Available water as a % of the soil's available capacity: 0% at wilting
+// point, 100% at field capacity
+export function moisturePercent(availableWater, soil = getSoil(DEFAULT_SOIL)) {
+  const capacity = availableCapacity(soil);
+  return capacity > 0 ? (availableWater / capacity) * 100 : 0;
+}
+
+// Several days in a row (one game step). Irrigation goes on at the start of
+// the step; totals are summed over the days.
+export function waterBalanceStep({ availableWater, soil = getSoil(DEFAULT_SOIL), days, irrigation = 0 }) {
+  let aw = availableWater;
+  let actualEt = 0;
+  let drainage = 0;
+  let runoff = 0;
+  days.forEach((day, i) => {
+    const result = waterBalanceDay({
+      availableWater: aw,
+      soil,
+      precip: day.precip,
+      irrigation: i === 0 ? irrigation : 0,
+      etc: day.etc,
+    });
+    aw = result.availableWater;
+    actualEt += result.actualEt;
+    drainage += result.drainage;
+    runoff += result.runoff;
+  });
+  return { availableWater: aw, actualEt, drainage, runoff };
+}
@@ -0,0 +1,276 @@
+// src/game/weather.js
+// Weather providers. Every provider has the same shape:
+//
+//   { id, label, fetchDaily({ lat, lon, start, end }) -> Promise<raw> }
+//
+// where `start`/`end` are Dates (UTC days, inclusive) and `raw` is
+// { dates: ["YYYYMMDD"], tmax, tmin, precip, rh, wind, solar, elevation } with
+// one entry per day and null for missing values. buildWeatherData() turns raw
+// series into the payload the game reads (ETo, soil water preview, ...).
+
+import axios from "axios";
+import { getCrop, kcForDay } from "./crops.js";
+import { computeRa, dayOfYear, hargreavesETo, referenceET, validValue } from "./et.js";
+import { makeRandom, seedToState } from "./rng.js";
+import { DEFAULT_SOIL, availableCapacity, getSoil } from "./soils.js";
+import { waterBalanceDay } from "./water.js";
+
+// NASA POWER parameter names, also used as CSV column names
+export const POWER_PARAMETERS = ["T2M_MAX", "T2M_MIN", "PRECTOTCORR", "RH2M", "WS2M", "ALLSKY_SFC_SW_DWN"];
+
+export function toPowerDate(d) {
+  return d.toISOString().slice(0, 10).replace(/-/g, "");
+}
+
+export function fromPowerDate(key) {
+  return new Date(Date.UTC(+key.slice(0, 4), +key.slice(4, 6) - 1, +key.slice(6, 8)));
+}
+
+// Every YYYYMMDD key from start to end inclusive
+export function dateKeys(start, end) {
+  const keys = [];
+  for (let d = new Date(start); d <= end; d.setUTCDate(d.getUTCDate() + 1)) keys.push(toPowerDate(d));
+  return keys;
+}
+
+// The last `days` days up to `end` (today by default)
+export function recentRange(days, end = new Date()) {
+  const start = new Date(end);
+  start.setUTCDate(end.getUTCDate() - (days - 1));
+  return { start, end };
+}
+
+// `days` days starting on the planting date (YYYY-MM-DD or Date)
+export function seasonRange(plantingDate, days) {
+  const start = new Date(plantingDate);
+  const end = new Date(start);
+  end.setUTCDate(start.getUTCDate() + days - 1);
+  return { start, end };
+}
+
+// Whether the range's last day is already over on `now`, comparing whole UTC days
+export function rangeEnded(end, now = new Date()) {
+  return toPowerDate(end) < toPowerDate(now);
+}
+
+function clean(v) {
+  return validValue(v) ? Number(v) : null;
+}
+
+// Pick the keyed NASA-style parameter objects into aligned daily arrays
+function seriesFromParameters(keys, parameter, elevation) {
+  const pick = (name) => keys.map((k) => clean(parameter[name]?.[k]));
+  return {
+    dates: keys,
+    tmax: pick("T2M_MAX"),
+    tmin: pick("T2M_MIN"),
+    precip: pick("PRECTOTCORR").map((v) => v ?? 0),
+    rh: pick("RH2M"),
+    wind: pick("WS2M"),
+    solar: pick("ALLSKY_SFC_SW_DWN"),
+    elevation: clean(elevation),
+  };
+}
+
+export const nasaPowerProvider = {
+  id: "nasa-power",
+  label: "🛰️ NASA POWER (online)",
+  async fetchDaily({ lat, lon, start, end }) {
+    const url = `https://power.larc.nasa.gov/api/temporal/daily/point?parameters=${POWER_PARAMETERS.join(
+      ","
+    )}&community=AG&start=${toPowerDate(start)}&end=${toPowerDate(end)}&format=JSON&latitude=${lat}&longitude=${lon}`;
+    const r = await axios.get(url);
+    const json = r.data;
+    // GeoJSON point: [lon, lat, elevation m]
+    return seriesFromParameters(dateKeys(start, end), json.properties.parameter, json.geometry?.coordinates?.[2]);
+  },
+};
+
+// Parse a NASA POWER daily CSV (header block ending in -END HEADER-, then
+// YEAR,DOY or YEAR,MO,DY columns) or a plain CSV with a DATE column.
+export function parseWeatherCsv(text) {
+  const lines = text.split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
+  const headerAt = lines.findIndex((l) => /(^|,)(DATE|YEAR)(,|$)/i.test(l));
+  if (headerAt < 0) throw new Error("CSV has no DATE or YEAR column");
+  const header = lines[headerAt].split(",").map((h) => h.trim().toUpperCase());
+  const col = (name) => header.indexOf(name);
+  const parameter = Object.fromEntries(POWER_PARAMETERS.map((p) => [p, {}]));
+  // Accept the older PRECTOT name for precipitation too
+  const precipCol = col("PRECTOTCORR") >= 0 ? col("PRECTOTCORR") : col("PRECTOT");
+  const keys = [];
+
+  for (const line of lines.slice(headerAt + 1)) {
+    const cells = line.split(",").map((c) => c.trim());
+    let key;
+    if (col("DATE") >= 0) {
+      key = cells[col("DATE")].replace(/-/g, "");
+    } else if (col("DOY") >= 0) {
+      const d = new Date(Date.UTC(+cells[col("YEAR")], 0, +cells[col("DOY")]));
+      key = toPowerDate(d);
+    } else {
+      const d = new Date(Date.UTC(+cells[col("YEAR")], +cells[col("MO")] - 1, +cells[col("DY")]));
+      key = toPowerDate(d);
+    }
+    if (!/^\d{8}$/.test(key)) continue;
+    keys.push(key);
+    for (const p of POWER_PARAMETERS) {
+      const i = p === "PRECTOTCORR" ? precipCol : col(p);
+      if (i >= 0) parameter[p][key] = Number(cells[i]);
+    }
+  }
+  return { keys, parameter };
+}
+
+// Offline provider over a parsed CSV. Requests outside the file's dates come
+// back as missing values rather than failing.
+export function csvProvider(text, label = "📁 CSV file (offline)") {
+  const { keys, parameter } = parseWeatherCsv(text);
+  return {
+    id: `csv-${seedToState(text).toString(36)}`,
+    label,
+    firstDate: keys[0],
+    lastDate: keys[keys.length - 1],
+    async fetchDaily({ start, end }) {
+      return seriesFromParameters(dateKeys(start, end), parameter, null);
+    },
+  };
+}
+
+// Offline provider that needs no files: a plausible tropical season generated
+// from the coordinates and date, so the same request always gives the same days.
+export const sampleProvider = {
+  id: "sample",
+  label: "🧪 Sample weather (offline)",
+  async fetchDaily({ lat, lon, start, end }) {
+    const keys = dateKeys(start, end);
+    const rows = keys.map((key) => {
+      const random = makeRandom(seedToState(`${lat.toFixed(2)},${lon.toFixed(2)},${key}`));
+      const doy = dayOfYear(fromPowerDate(key));
+      // Northern tropics: wet season peaks around August, flipped south of the equator
+      const season = Math.sin((2 * Math.PI * (doy - 120)) / 365) * (lat >= 0 ? 1 : -1);
+      const wetChance = 0.35 + 0.3 * season;
+      const rain = random() < wetChance ? -Math.log(1 - random()) * (8 + 6 * Math.max(0, season)) : 0;
+      const tmax = 32 - 3 * season + (random() - 0.5) * 3;
+      return {
+        tmax,
+        tmin: tmax - 9 + (random() - 0.5) * 2,
+        precip: +rain.toFixed(1),
+        rh: 60 + 20 * season + (random() - 0.5) * 10,
+        wind: 1.5 + random() * 1.5,
+        solar: 19 - 3 * season + (random() - 0.5) * 3,
+      };
+    });
+    const pick = (name) => rows.map((r) => +r[name].toFixed(2));
+    return {
+      dates: keys,
+      tmax: pick("tmax"),
+      tmin: pick("tmin"),
+      precip: pick("precip"),
+      rh: pick("rh"),
+      wind: pick("wind"),
+      solar: pick("solar"),
+      elevation: null,
+    };
+  },
+};
+
+export const PROVIDERS = [nasaPowerProvider, sampleProvider];
+
+const memoryCache = new Map();
+
+function defaultStorage() {
+  return typeof localStorage !== "undefined" ? localStorage : null;
+}
+
+const CACHE_PREFIX = "weather:";
+
+export function cacheKey(providerId, { lat, lon, start, end }) {
+  return `${CACHE_PREFIX}${providerId}:${lat.toFixed(2)}:${lon.toFixed(2)}:${toPowerDate(start)}-${toPowerDate(end)}`;
+}
+
+// Wrap a provider so repeat requests for the same lat/lon/date range are served
+// from storage (localStorage in the browser, memory in Node).
+export function cachedProvider(provider, storage = defaultStorage()) {
+  return {
+    ...provider,
+    async fetchDaily(request) {
+      const key = cacheKey(provider.id, request);
+      const hit = storage ? storage.getItem(key) : memoryCache.get(key);
+      if (hit) return JSON.parse(hit);
+      const raw = await provider.fetchDaily(request);
+      const text = JSON.stringify(raw);
+      try {
+        if (storage) storage.setItem(key, text);
+        else memoryCache.set(key, text);
+      } catch (err) {
+        // Storage full: still return the data, just don't cache it
+        console.warn("Weather cache write failed", err);
+      }
+      return raw;
+    },
+  };
+}
+
+// Drop every cached response to free storage; they are fetched again when needed
+export function clearWeatherCache(storage = defaultStorage()) {
+  if (!storage) {
+    memoryCache.clear();
+    return;
+  }
+  const keys = [];
+  for (let i = 0; i < storage.length; i++) keys.push(storage.key(i));
+  keys.filter((key) => key.startsWith(CACHE_PREFIX)).forEach((key) => storage.removeItem(key));
+}
+
+// Available water (mm) through the season with no irrigation, starting half
+// full, for the crop on the given soil
+export function soilWaterPreview({ precip, eto }, { crop, soil = DEFAULT_SOIL }) {
+  const profile = getCrop(crop);
+  const soilProfile = getSoil(soil);
+  let aw = availableCapacity(soilProfile) * 0.5;
+  return precip.map((p, i) => {
+    // Day i + 1 after planting, on the crop's stage-dependent Kc curve
+    const etc = eto[i] * kcForDay(profile, i + 1);
+    aw = waterBalanceDay({ availableWater: aw, soil: soilProfile, precip: p || 0, etc }).availableWater;
+    return +aw.toFixed(2);
+  });
+}
+
+// Raw provider series -> game payload: adds ETo (Penman-Monteith or
+// Hargreaves per day) and a no-irrigation soil water preview for the crop.
+export function buildWeatherData(raw, { lat, crop, soil }) {
+  const { dates, tmax, tmin, precip, rh, wind, solar, elevation } = raw;
+  const eto_series = [];
+  const eto_hargreaves = [];
+  const eto_methods = [];
+
+  for (let i = 0; i < dates.length; i++) {
+    const tmx = tmax[i];
+    const tmn = tmin[i];
+    const doy = dayOfYear(fromPowerDate(dates[i]));
+
+    const { eto, method } = referenceET({
+      lat, doy, tmin: tmn, tmax: tmx, rh: rh[i], u2: wind[i], rs: solar[i], elevation,
+    });
+    eto_series.push(+eto.toFixed(3));
+    eto_methods.push(method);
+    // Always keep the temperature-only estimate for comparison
+    eto_hargreaves.push(
+      validValue(tmx) && validValue(tmn) ? +hargreavesETo(tmn, tmx, computeRa(lat, doy)).toFixed(3) : null
+    );
+  }
+
+  return {
+    dates, tmax, tmin, precip, rh, wind, solar,
+    eto: eto_series,
+    eto_hargreaves,
+    eto_methods,
+    soil_moisture: soilWaterPreview({ precip, eto: eto_series }, { crop, soil }),
+  };
+}
+
+// Fetch and build in one go
+export async function loadWeather(provider, { lat, lon, start, end, crop, soil }) {
+  const raw = await provider.fetchDaily({ lat, lon, start, end });
+  return buildWeatherData(raw, { lat, crop, soil });
+}
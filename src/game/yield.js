@@ -0,0 +1,43 @@
+// src/game/yield.js
+// Harvest yield in t/ha. Each day a plot builds up water, nitrogen and pest
+// stress (0 = none, 1 = total for that day); at harvest the crop's potential
+// yield is cut by the season-average stress of each kind, FAO-33 style:
+//
+//   Y = Ymax × Π (1 − k × stressDays / seasonDays)
+//
+// with k the crop's yield response for water and fixed sensitivities for
+// nitrogen and pests. Until harvest the same formula over the whole season
+// projects the yield if the remaining days go unstressed.
+
+// Yield lost per unit of season-average stress, besides the crop's water Ky
+export const STRESS_SENSITIVITY = { nitrogen: 0.8, pests: 0.6 };
+
+export function emptyStress() {
+  return { water: 0, nitrogen: 0, pests: 0 };
+}
+
+// Add `days` days at the given daily stress levels
+export function addStress(stress, daily, days = 1) {
+  return {
+    water: stress.water + daily.water * days,
+    nitrogen: stress.nitrogen + daily.nitrogen * days,
+    pests: stress.pests + daily.pests * days,
+  };
+}
+
+// Share of potential yield left after the stress so far, for a season of `seasonDays`
+export function yieldFraction(stress, crop, seasonDays) {
+  const days = Math.max(1, seasonDays);
+  const k = { water: crop.yieldResponse, ...STRESS_SENSITIVITY };
+  return Object.keys(k).reduce((f, kind) => f * Math.max(0, 1 - (k[kind] * stress[kind]) / days), 1);
+}
+
+// t/ha
+export function projectedYield(stress, crop, seasonDays) {
+  return crop.potentialYield * yieldFraction(stress, crop, seasonDays);
+}
+
+// Money from selling `tonnes` at the market price multiplier
+export function harvestValue(tonnes, crop, marketPrice) {
+  return tonnes * crop.pricePerTonne * marketPrice;
+}
@@ -13,322 +13,1028 @@ import {
   Legend
 } from "chart.js";
 import { useNavigate } from "react-router-dom";
+import FarmDashboard from "../components/FarmDashboard";
+import {
+  createInitialState,
+  step,
+  NEXT_DAY,
+  stepRainLevel,
+  weatherSeriesFrom,
+  daysAfterPlanting,
+  waterVolumeM3,
+  isSeasonOver,
+  replaySeason,
+  sameOutcome,
+  ACTIONS,
+  INSTALL_DRIP,
+  LABOUR_HOURS,
+  LABOUR_HOURS_PER_HA_DAY,
+  cancelAction,
+  labourBudget,
+  labourUsed,
+  rewindBranches,
+  rewindToDay,
+  seasonDaysOf,
+  undoLast,
+} from "../game/engine";
+import { getCrop, kcForDay, stageForDay } from "../game/crops";
+import { getSoil } from "../game/soils";
+import { DRIP_COST, IRRIGATION_METHODS, irrigationMethod } from "../game/infrastructure";
+import { FERTILIZER_DOSE_KG } from "../game/nitrogen";
+import { adherenceReport, adviceFollowed, advise } from "../game/advisor";
+import { REPORT_KEY, buildSeasonReport } from "../game/report";
+import { hasScenarioHash, sameRules, scenarioFromHash, startScenario } from "../game/scenario";
+import { runStrategiesInChunks } from "../game/strategies";
+import { forecastFor, forecastView } from "../game/forecast";
+import {
+  actionName,
+  cropName,
+  currencySymbol,
+  displayUnit,
+  etoMethodName,
+  formatMoney,
+  formatNumber,
+  formatQuantity,
+  getSettings,
+  soilName,
+  stageName,
+  stepLabel,
+  t,
+  toDisplay,
+} from "../game/i18n";
+import { PLAYER_NAME_KEY, addEntry, makeEntry, rankOf } from "../game/leaderboard";
+import { SCORE_COMPONENTS, componentExplain, componentLabel, describeWeights, seasonScore } from "../game/score";
+import { sustainabilityBreakdown } from "../game/sustainability";
+import { PROVIDERS, cachedProvider, loadWeather, recentRange } from "../game/weather";
+import { ACTIVE_SAVE_KEY, deleteSave, historyPoint, loadSave, newSaveId, writeSave } from "../game/saves";
 
 Chart.register(LineController, LineElement, PointElement, LinearScale, CategoryScale, Title, Tooltip, Legend);
 
+function rainLabel(level) {
+  return t(`rain.${level}`);
+}
+
+// "Irrigate" or "Irrigate (P2)" when the farm has several plots
+function actionOnPlot(action, plot, multi) {
+  return multi ? `${actionName(action)} (P${plot + 1})` : actionName(action);
+}
+
+// Player-facing feedback line for an engine event
+function describeEvent(event) {
+  switch (event.type) {
+    case "planned":
+      return t("event.planned", {
+        action: actionName(event.action),
+        hours: formatNumber(event.hours, 1),
+        left: formatNumber(event.left, 1),
+      });
+    case "noLabour":
+      return t("event.noLabour", {
+        action: actionName(event.action),
+        hours: formatNumber(event.hours, 1),
+        left: formatNumber(event.left, 1),
+      });
+    case "cancelled":
+      return t("event.cancelled", { action: actionName(event.action) });
+    case "undone":
+      return t("event.undone", {
+        action: event.action === NEXT_DAY ? t("event.stepEnd") : actionName(event.action),
+      });
+    case "rewound":
+      return t(event.practice ? "event.rewound" : "event.rewoundPlan", { step: event.day });
+    case "income":
+      return t("event.income", { amount: formatMoney(event.amount) });
+    case "rain":
+      return t("event.rain", { level: rainLabel(event.level), rain: formatQuantity(event.mm, "mm") });
+    case "irrigated":
+      return (
+        t(event.method === "drip" ? "event.irrigatedDrip" : "event.irrigated", {
+          water: formatQuantity(event.mm, "mm", 0),
+          volume: Math.round(event.volumeM3),
+          roots: formatQuantity(event.rootZoneMm, "mm", 0),
+        }) + (event.short ? ` ${t("event.tankRanDry")}` : "")
+      );
+    case "tankEmpty":
+      return t("event.tankEmpty");
+    case "dripInstalled":
+      return t("event.dripInstalled", { cost: formatMoney(event.cost) });
+    case "dripAlreadyInstalled":
+      return t("event.dripAlreadyInstalled");
+    case "cannotAfford":
+      return t("event.cannotAfford", { cost: formatMoney(event.cost) });
+    case "waterBalance": {
+      const parts = [t("event.cropUsed", { water: formatQuantity(event.etc, "mm") })];
+      if (event.drainage > 0) parts.push(t("event.drained", { water: formatQuantity(event.drainage, "mm") }));
+      if (event.runoff > 0) parts.push(t("event.runoff", { water: formatQuantity(event.runoff, "mm") }));
+      if (event.leached > 0.05) parts.push(t("event.leached", { nitrogen: formatQuantity(event.leached, "kg N/ha") }));
+      return `☀️ ${parts.join(", ")}.`;
+    }
+    case "fertilized":
+      return t("event.fertilized", { dose: formatQuantity(event.kg, "kg N/ha", 0) });
+    case "scouted":
+      return t("event.scouted", { pests: event.pests, disease: event.disease });
+    case "treated":
+      return t("event.treated", {
+        pests: event.pestsKilled.toFixed(0),
+        disease: event.diseaseCleared.toFixed(0),
+      });
+    case "diseaseRisk":
+      return t("event.diseaseRisk", { risk: event.risk.toFixed(0) });
+    case "waited":
+      return t("event.waited");
+    case "harvested":
+      return t("event.harvested", {
+        tonnes: formatNumber(event.tonnes, 2),
+        crop: cropName(getCrop(event.cropType)).toLocaleLowerCase(),
+        yield: formatQuantity(event.yieldTHa, "t/ha", 2),
+        income: formatMoney(event.income),
+      });
+    default:
+      return "";
+  }
+}
+
+// Short "what actually happened" list for a resolved step, for the log
+function resolvedSummary(events, multi) {
+  const parts = events.map((event) => {
+    const where = multi && event.plot !== undefined ? `P${event.plot + 1} ` : "";
+    switch (event.type) {
+      case "irrigated":
+        return `${where}💧 ${formatQuantity(event.mm, "mm", 0)}${event.short ? ` ${t("summary.tankShort")}` : ""}`;
+      case "tankEmpty":
+        return `${where}${t("summary.tankEmpty")}`;
+      case "fertilized":
+        return `${where}🌱 +${formatQuantity(event.kg, "kg N/ha", 0)}`;
+      case "scouted":
+        return `${where}${t("summary.scouted", { pests: event.pests, disease: event.disease })}`;
+      case "treated":
+        return `${where}${t("summary.treated")}`;
+      case "diseaseRisk":
+        return `${where}${t("summary.diseaseRisk", { risk: event.risk.toFixed(0) })}`;
+      case "income":
+        return `${where}💰 +${formatMoney(event.amount)}`;
+      default:
+        return "";
+    }
+  });
+  return parts.filter(Boolean).join(", ") || t("summary.nothing");
+}
+
+// How to Play paragraphs, in order (help.<section> in the locale files)
+const HOW_TO_PLAY = [
+  "planning",
+  "undo",
+  "water",
+  "irrigate",
+  "fertilize",
+  "scout",
+  "tank",
+  "drip",
+  "treat",
+  "pests",
+  "wait",
+  "health",
+  "crops",
+  "plots",
+  "forecast",
+  "drone",
+  "sustainability",
+  "money",
+  "harvest",
+  "charts",
+  "goal",
+];
+
+// Numbers quoted in How to Play, in the player's units
+function helpValues() {
+  return {
+    hours: LABOUR_HOURS_PER_HA_DAY,
+    surface: formatQuantity(IRRIGATION_METHODS.surface.mm, "mm", 0),
+    drip: formatQuantity(IRRIGATION_METHODS.drip.mm, "mm", 0),
+    dose: formatQuantity(FERTILIZER_DOSE_KG, "kg N/ha", 0),
+    area: t(`unit.${getSettings().areaUnit}.one`),
+  };
+}
+
+// Forecast depths without the unit, which is in the column heading; inches get
+// one more decimal
+function forecastDepth(mm, decimals) {
+  return formatNumber(toDisplay(mm, "mm"), displayUnit("mm") === "mm" ? decimals : decimals + 1);
+}
+
+const REPLAY_DELAY = 600;
+const ADVISOR_KEY = "advisorEnabled";
+// Player first, then one colour per reference strategy
+const COMPARISON_COLORS = ["#111827", "#9ca3af", "#3498db", "#2ecc71", "#8e44ad", "#e67e22"];
+
 export default function FarmGame() {
   const phaserContainer = useRef(null);
   const gameRef = useRef(null);
-  const chartRef = useRef(null);
   const navigate = useNavigate();
   const [actionLog, setActionLog] = useState([]);
   const [showEndModal, setShowEndModal] = useState(false);
   const [showHowToPlay, setShowHowToPlay] = useState(false);
   const [endSummary, setEndSummary] = useState("");
+  // Sustainability breakdown for the dashboard: { score, items }
+  const [sustainability, setSustainability] = useState(null);
+  // End of season: the player's run and each reference strategy, { id, label, state, history }
+  const [comparison, setComparison] = useState(null);
+  // Forecast issued for the current step: [{ day, lead, precip, precipLow, precipHigh, rainChance, ... }]
+  const [forecast, setForecast] = useState([]);
+  // Chart points for the dashboard, one per played step (see historyPoint), and the plots they cover
+  const [history, setHistory] = useState([]);
+  const [plots, setPlots] = useState([]);
+  // The finished season waiting to go on the leaderboard: { state, weatherSeries, entry }
+  const [finishedRun, setFinishedRun] = useState(null);
+  // Set while the save slot can't be written, usually because storage is full
+  const [saveFailed, setSaveFailed] = useState(false);
+  const [playerName, setPlayerName] = useState(() => localStorage.getItem(PLAYER_NAME_KEY) || "");
+  const moneyCanvas = useRef(null);
+  const healthCanvas = useRef(null);
+  // A shared link (/farm#scenario=...) is unpacked into the setup keys before the game starts
+  const [scenarioReady, setScenarioReady] = useState(() => !hasScenarioHash());
 
   useEffect(() => {
-    const data = JSON.parse(localStorage.getItem("weatherData"));
-    const locationName = localStorage.getItem("selectedLocationName") || "Unknown";
+    if (scenarioReady) return;
+    scenarioFromHash()
+      .then((scenario) => {
+        if (!sameRules(scenario)) {
+          alert(t("farm.rulesMismatch"));
+        }
+        startScenario(scenario);
+        window.history.replaceState(null, "", window.location.pathname);
+        setScenarioReady(true);
+      })
+      .catch((err) => {
+        console.error(err);
+        alert(`❌ ${err.message}`);
+        navigate("/");
+      });
+  }, [scenarioReady, navigate]);
+
+  useEffect(() => {
+    if (!scenarioReady) return;
+    // Resume the active save slot if there is one, else start from the setup keys
+    const save = loadSave(localStorage.getItem(ACTIVE_SAVE_KEY));
+    const storedData = save ? save.weatherData : JSON.parse(localStorage.getItem("weatherData"));
+    const location = save ? save.location : JSON.parse(localStorage.getItem("selectedLocation"));
+    const locationName = localStorage.getItem("selectedLocationName") || t("map.unknownPlace");
     const cropType = localStorage.getItem("selectedCrop") || "maize";
+    const soilType = localStorage.getItem("selectedSoil") || undefined;
+    const seed = localStorage.getItem("seasonSeed") || undefined;
+    const stepDays = save ? save.state.stepDays || 1 : Number(localStorage.getItem("selectedStep")) || 1;
+    const field = save ? save.field : JSON.parse(localStorage.getItem("selectedField"));
+    const plots = JSON.parse(localStorage.getItem("selectedPlots")) || [{ cropType, areaHa: field?.areaHa || 1 }];
+    const saveId = save ? save.id : newSaveId();
+    const saveName = save ? save.name : `${cropType} – ${locationName.split(",")[0]}`;
 
-    if (!data || !data.precip) {
-      alert("No NASA data found. Please select a farm on the map first.");
+    let cancelled = false;
+    const giveUp = () => {
+      alert(t("farm.noData"));
       navigate("/");
+    };
+
+    if (storedData?.precip) {
+      launch(storedData);
+    } else if (location) {
+      // Setup keys survived but the weather didn't: fetch it again through the
+      // same (cached) provider MapScreen used
+      const source = PROVIDERS.find((p) => p.id === localStorage.getItem("selectedProvider")) || PROVIDERS[0];
+      const range = JSON.parse(localStorage.getItem("selectedRange"));
+      const { start, end } = range
+        ? { start: new Date(range.start), end: new Date(range.end) }
+        : recentRange(Number(localStorage.getItem("selectedDays")) || 5);
+      loadWeather(cachedProvider(source), { lat: location.lat, lon: location.lng, start, end, crop: cropType, soil: soilType })
+        .then((data) => {
+          if (!cancelled) launch(data);
+        })
+        .catch((err) => {
+          console.error(err);
+          if (!cancelled) giveUp();
+        });
+    } else {
+      giveUp();
       return;
     }
 
-    const rainPattern = data.precip.map((mm) => {
-      if (mm === 0) return "none";
-      if (mm < 3) return "low";
-      if (mm < 10) return "medium";
-      return "high";
-    });
-
-    class FarmScene extends Phaser.Scene {
-      constructor() { super({ key: "FarmScene" }); }
-      init() {
-        this.cropType = cropType;
-        this.locationName = locationName;
-        this.rainPattern = rainPattern;
-        this.day = 1;
-        this.money = 20;
-        this.sustainability = 80;
-        this.pests = 15;
-        this.nitrogen = 45;
-        this.cropHealth = 70;
-        this.marketPrice = 1.0;
-        this.soilMoisture = data.soil_moisture?.[0] || 55;
-        this.rainDrops = [];
-        this.actionsTakenToday = [];
-      }
+    function launch(data) {
+      const weatherSeries = weatherSeriesFrom(data, stepDays);
+      localStorage.setItem(ACTIVE_SAVE_KEY, saveId);
+      if (save) setActionLog(save.actionLog);
 
-      create() {
-        const WIDTH = this.sys.game.config.width;
-        const HEIGHT = this.sys.game.config.height;
-
-        // Background
-        const g = this.add.graphics();
-        g.fillStyle(0x87ceeb, 1);
-        g.fillRect(0, 0, WIDTH, HEIGHT / 2);
-        g.fillStyle(0x3e8e41, 1);
-        g.fillRect(0, HEIGHT / 2, WIDTH, HEIGHT / 2);
-
-        // Crop circle
-        this.cropCircle = this.add.circle(WIDTH / 2, HEIGHT / 2 + 60, 40, 0x2ecc71);
-
-        // HUD
-        this.hud = this.add.text(20, 20, "", { font: "14px Courier", fill: "#111" });
-        this.feedback = this.add.text(20, HEIGHT - 120, "", {
-          font: "14px Arial",
-          fill: "#0044aa",
-          wordWrap: { width: WIDTH - 40 },
-        });
+      class FarmScene extends Phaser.Scene {
+        constructor() { super({ key: "FarmScene" }); }
+        init() {
+          this.state =
+            save?.state ||
+            createInitialState({
+              cropType,
+              locationName,
+              seasonLength: weatherSeries.length,
+              stepDays,
+              seasonDays: seasonDaysOf(weatherSeries),
+              plots,
+              soilType,
+              seed,
+            });
+          this.actionLog = save?.actionLog || [];
+          // Chart points, one per played step (see historyPoint)
+          this.history = save?.history?.length ? save.history : [this.chartPoint(0)];
+          this.selectedPlot = 0;
+          this.rainDrops = [];
+          this.replaying = false;
+          // Navigator Drone: on unless the player switched it off; each record
+          // is { day, action, plot, followed } for a finished step
+          this.advisorOn = localStorage.getItem(ADVISOR_KEY) !== "false";
+          this.adviceRecords = save?.advice || [];
+        }
 
-        // Title
-        this.add.text(20, HEIGHT - 160, `🌾 ${this.cropType.toUpperCase()} Farm`, {
-          font: "18px Arial",
-          fill: "black",
-        });
-        this.add.text(20, HEIGHT - 140, `📍 ${this.locationName}`, { font: "14px Arial", fill: "#333" });
+        chartPoint(day) {
+          return historyPoint(this.state, weatherSeries, day);
+        }
 
-        // Action buttons
-        const actions = ["Irrigate", "Fertilize", "Scout", "Wait"];
-        actions.forEach((a, i) => {
-          const btn = this.add.text(20 + i * 150, HEIGHT - 80, `🟩 ${a}`, {
-            font: "16px Arial",
-            color: "black",
-            backgroundColor: "#d1fae5",
-            padding: { x: 6, y: 4 },
+        // Snapshot everything needed to resume into the save slot
+        persist() {
+          if (this.replaying) return;
+          if (isSeasonOver(this.state)) {
+            deleteSave(saveId);
+            return;
+          }
+          // A failed write must not stop the step: keep playing and tell the player
+          try {
+            writeSave({
+              id: saveId,
+              name: saveName,
+              weatherData: data,
+              location,
+              field,
+              state: this.state,
+              actionLog: this.actionLog,
+              history: this.history,
+              advice: this.adviceRecords,
+            });
+            setSaveFailed(false);
+          } catch (err) {
+            console.warn("Saving the farm failed", err);
+            setSaveFailed(true);
+          }
+        }
+
+        // The real weather of the current step, used by the engine when the
+        // step resolves. The player only sees the forecast until then.
+        weatherToday() {
+          return weatherSeries[this.state.day - 1] || {};
+        }
+
+        // The real weather of the step that resolved last
+        lastWeather() {
+          return weatherSeries[this.state.day - 2] || {};
+        }
+
+        // Past weather plus the forecast: everything a decision may look at
+        visibleWeather() {
+          return forecastView(weatherSeries, this.state.day, this.state.seed);
+        }
+
+        create() {
+          const WIDTH = this.sys.game.config.width;
+          const HEIGHT = this.sys.game.config.height;
+
+          // Background
+          const g = this.add.graphics();
+          g.fillStyle(0x87ceeb, 1);
+          g.fillRect(0, 0, WIDTH, HEIGHT / 2);
+          g.fillStyle(0x3e8e41, 1);
+          g.fillRect(0, HEIGHT / 2, WIDTH, HEIGHT / 2);
+
+          // One soil tile per plot, each with its crop circle; click a tile to act on it
+          const plotCount = this.state.plots.length;
+          const tileW = Math.min(220, (WIDTH - 40) / plotCount - 10);
+          const tileH = Math.min(150, HEIGHT / 2 - 200);
+          const tileY = HEIGHT / 2 + 20 + tileH / 2;
+          this.plotTiles = this.state.plots.map((plot, i) => {
+            const x = WIDTH / 2 + (i - (plotCount - 1) / 2) * (tileW + 10);
+            const tile = this.add.rectangle(x, tileY, tileW, tileH, 0x8b5a2b, 0.6);
+            const circle = this.add.circle(x, tileY, 20, 0x2ecc71);
+            const crop = getCrop(plot.cropType);
+            const label = this.add
+              .text(x, tileY + tileH / 2 + 4, `${crop.emoji} ${t("plot.label", { n: i + 1 })} · ${formatQuantity(plot.areaHa, "ha", 2)}`, {
+                font: "12px Arial",
+                fill: "#fff",
+              })
+              .setOrigin(0.5, 0);
+            tile.setInteractive({ useHandCursor: true }).on("pointerdown", () => this.selectPlot(i));
+            return { tile, circle, label, maxRadius: Math.min(tileW, tileH) / 2 - 6 };
           });
-          btn.setInteractive({ useHandCursor: true }).on("pointerdown", () => this.handleAction(a));
-        });
 
-        // How to Play button
-        const helpBtn = this.add.text(WIDTH - 140, HEIGHT - 80, "❓ How to Play", {
-          font: "16px Arial",
-          backgroundColor: "#fcd34d",
-          padding: { x: 6, y: 4 },
-        });
-        helpBtn.setInteractive({ useHandCursor: true }).on("pointerdown", () => {
-          setShowHowToPlay(true);
-        });
+          // HUD
+          this.hud = this.add.text(20, 20, "", { font: "14px Courier", fill: "#111" });
+          this.feedback = this.add.text(20, HEIGHT - 120, "", {
+            font: "14px Arial",
+            fill: "#0044aa",
+            wordWrap: { width: WIDTH - 40 },
+          });
 
-        // Next Day button
-        const nextBtn = this.add.text(20 + 4 * 150, HEIGHT - 80, "➡️ Next Day", {
-          font: "16px Arial",
-          backgroundColor: "#fbbf24",
-          padding: { x: 6, y: 4 },
-        });
-        nextBtn.setInteractive({ useHandCursor: true }).on("pointerdown", () => this.nextDay());
+          // Title
+          const title =
+            plotCount > 1
+              ? t("farm.titleMixed", { count: plotCount })
+              : `${getCrop(this.state.cropType).emoji} ${t("farm.title", {
+                  crop: cropName(getCrop(this.state.cropType)).toLocaleUpperCase(),
+                })}`;
+          this.add.text(20, HEIGHT - 160, title, {
+            font: "18px Arial",
+            fill: "black",
+          });
+          this.add.text(20, HEIGHT - 140, `📍 ${this.state.locationName}`, { font: "14px Arial", fill: "#333" });
+          this.add
+            .text(WIDTH - 20, 50, t("farm.seed", { seed: this.state.seed }), { font: "12px Arial", fill: "#333" })
+            .setOrigin(1, 0);
 
-        // Exit button
-        const exitBtn = this.add.text(WIDTH - 140, 20, "⬅️ Exit", {
-          font: "16px Arial",
-          backgroundColor: "#fde68a",
-          padding: { x: 8, y: 4 },
-        });
-        exitBtn.setInteractive({ useHandCursor: true }).on("pointerdown", () => {
-          this.game.destroy(true);
-          gameRef.current = null;
-          navigate("/");
-        });
+          // Action buttons and Next Day on one row, drip and plan controls on the
+          // next; each button goes after the last since labels vary by language
+          let x = 20;
+          for (const a of ACTIONS) {
+            const label = `🟩 ${actionName(a)}${LABOUR_HOURS[a] ? ` ${LABOUR_HOURS[a]}h` : ""}`;
+            x += this.addButton(x, HEIGHT - 80, label, "#d1fae5", () => this.handleAction(a)).width + 8;
+          }
+          this.addButton(x, HEIGHT - 80, t(stepDays === 7 ? "farm.nextWeek" : "farm.nextDay"), "#fbbf24", () =>
+            this.nextDay()
+          );
 
-        this.initChart();
-        this.createRain();
-        this.updateHud();
-        this.updateCropVisual();
-      }
+          // Drip lines for the selected plot are a one-off investment, not a turn
+          const dripLabel = t("farm.installDrip", {
+            cost: formatMoney(DRIP_COST / toDisplay(1, "ha"), 0),
+            area: displayUnit("ha"),
+          });
+          x = 20;
+          for (const [label, color, onClick] of [
+            [dripLabel, "#bae6fd", () => this.handleAction(INSTALL_DRIP)],
+            [t("farm.clearPlan"), "#fecaca", () => this.clearPlan()],
+            [t("farm.undo"), "#e5e7eb", () => this.undo()],
+            [t("farm.rewind"), "#e5e7eb", () => this.rewind()],
+          ]) {
+            x += this.addButton(x, HEIGHT - 40, label, color, onClick).width + 8;
+          }
+
+          // How to Play button
+          this.addButton(WIDTH - 20, HEIGHT - 80, t("farm.howToPlay"), "#fcd34d", () => setShowHowToPlay(true)).setOrigin(1, 0);
+
+          // Exit button
+          this.addButton(WIDTH - 20, 20, t("farm.exit"), "#fde68a", () => {
+            this.game.destroy(true);
+            gameRef.current = null;
+            navigate("/");
+          }).setOrigin(1, 0);
 
-      createRain() {
-        this.rainDrops.forEach(drop => drop.destroy());
-        this.rainDrops = [];
-        const rainLevel = this.rainPattern[this.day - 1] || "medium";
-        const dropCount =
-          rainLevel === "none" ? 0 : rainLevel === "low" ? 10 : rainLevel === "medium" ? 30 : 60;
-        const WIDTH = this.sys.game.config.width;
-        for (let i = 0; i < dropCount; i++) {
-          const x = Phaser.Math.Between(0, WIDTH);
-          const y = Phaser.Math.Between(-50, 0);
-          const drop = this.add.line(x, y, 0, 0, 0, 10, 0x3498db).setLineWidth(2);
-          this.rainDrops.push(drop);
+          // Navigator Drone panel and its on/off switch
+          this.advisorToggle = this.add.text(WIDTH - 150, 20, "", {
+            font: "14px Arial",
+            backgroundColor: "#e0f2fe",
+            padding: { x: 6, y: 4 },
+          }).setOrigin(1, 0);
+          this.advisorToggle.setInteractive({ useHandCursor: true }).on("pointerdown", () => {
+            this.advisorOn = !this.advisorOn;
+            localStorage.setItem(ADVISOR_KEY, this.advisorOn);
+            this.updateAdvice();
+          });
+          this.adviceText = this.add.text(WIDTH - 360, 80, "", {
+            font: "13px Arial",
+            color: "#0c4a6e",
+            backgroundColor: "#f0f9ff",
+            padding: { x: 6, y: 4 },
+            wordWrap: { width: 340 },
+          });
+          this.stepAdvice = this.state.plots.map((_, i) => advise(this.state, this.visibleWeather(), i));
+
+          setHistory(this.history);
+          setPlots(this.state.plots);
+          this.createRain();
+          this.updateHud();
+          this.updateCropVisual();
         }
-      }
 
-      updateRain() {
-        const HEIGHT = this.sys.game.config.height;
-        const WIDTH = this.sys.game.config.width;
-        this.rainDrops.forEach(drop => {
-          drop.y += 4;
-          if (drop.y > HEIGHT) {
-            drop.y = Phaser.Math.Between(-50, 0);
-            drop.x = Phaser.Math.Between(0, WIDTH);
+        createRain() {
+          this.rainDrops.forEach(drop => drop.destroy());
+          this.rainDrops = [];
+          // What fell during the step that just resolved
+          const level = this.state.day > 1 ? stepRainLevel(this.lastWeather()) : "none";
+          const dropCount =
+            level === "none" ? 0 : level === "low" ? 10 : level === "medium" ? 30 : 60;
+          const WIDTH = this.sys.game.config.width;
+          for (let i = 0; i < dropCount; i++) {
+            const x = Phaser.Math.Between(0, WIDTH);
+            const y = Phaser.Math.Between(-50, 0);
+            const drop = this.add.line(x, y, 0, 0, 0, 10, 0x3498db).setLineWidth(2);
+            this.rainDrops.push(drop);
           }
-        });
-      }
+        }
 
-      initChart() {
-        const canvas = document.createElement("canvas");
-        canvas.width = 400;
-        canvas.height = 200;
-        canvas.className = "bg-white border border-gray-300";
-        document.getElementById("dashboard-charts").appendChild(canvas);
-        chartRef.current = new Chart(canvas.getContext("2d"), {
-          type: "line",
-          data: {
-            labels: [this.day],
-            datasets: [
-              { label: "Soil Moisture", data: [this.soilMoisture], borderColor: "#2ecc71", fill: false },
-              { label: "Precipitation", data: [data.precip[0] || 0], borderColor: "#3498db", fill: false },
-            ],
-          },
-          options: { responsive: false, animation: false, plugins: { legend: { position: "top" } } },
-        });
-      }
+        updateRain() {
+          const HEIGHT = this.sys.game.config.height;
+          const WIDTH = this.sys.game.config.width;
+          this.rainDrops.forEach(drop => {
+            drop.y += 4;
+            if (drop.y > HEIGHT) {
+              drop.y = Phaser.Math.Between(-50, 0);
+              drop.x = Phaser.Math.Between(0, WIDTH);
+            }
+          });
+        }
 
-      updateChart() {
-        if (!chartRef.current) return;
-        chartRef.current.data.labels.push(this.day);
-        chartRef.current.data.datasets[0].data.push(this.soilMoisture);
-        chartRef.current.data.datasets[1].data.push(data.precip[this.day - 1] || 0);
-        chartRef.current.update();
-      }
+        updateChart(day) {
+          this.history = [...this.history, this.chartPoint(day)];
+          setHistory(this.history);
+        }
 
-      updateHud() {
-        this.hud.setText(
-          `Day: ${this.day}\n💧 Moisture: ${this.soilMoisture.toFixed(0)}\n🌿 Nitrogen: ${this.nitrogen.toFixed(
-            0
-          )}\n🐛 Pests: ${this.pests.toFixed(0)}\n💰 Money: ₦${this.money.toFixed(
-            1
-          )}\n🌍 Sustainability: ${this.sustainability.toFixed(0)}`
-        );
-      }
+        resetChart() {
+          this.history = [this.chartPoint(0)];
+          setHistory(this.history);
+        }
 
-      updateCropVisual() {
-        const radius = Phaser.Math.Linear(20, 60, this.cropHealth / 100);
-        const color =
-          this.cropHealth > 70 ? 0x2ecc71 : this.cropHealth > 40 ? 0xf1c40f : 0xe74c3c;
-        this.cropCircle.setRadius(radius);
-        this.cropCircle.setFillStyle(color);
-      }
+        // A clickable text button; returned so the next one can be placed after it
+        addButton(x, y, label, backgroundColor, onClick) {
+          const btn = this.add.text(x, y, label, {
+            font: "16px Arial",
+            color: "black",
+            backgroundColor,
+            padding: { x: 6, y: 4 },
+          });
+          btn.setInteractive({ useHandCursor: true }).on("pointerdown", onClick);
+          return btn;
+        }
 
-      handleAction(action) {
-        if (this.day > this.rainPattern.length) return;
+        selectPlot(i) {
+          this.selectedPlot = i;
+          this.updateHud();
+          this.updateCropVisual();
+        }
 
-        const rain = this.rainPattern[this.day - 1] || "medium";
-        let feedback = `🌧️ Rain: ${rain === "none" ? "No rain" : rain.toUpperCase()}`;
+        updateHud() {
+          const s = this.state;
+          const plot = s.plots[this.selectedPlot];
+          const crop = getCrop(plot.cropType);
+          const dap = daysAfterPlanting(s);
+          const multi = s.plots.length > 1;
+          const soil = getSoil(plot.soilType);
+          const today = { ...this.weatherToday(), eto: this.visibleWeather()[s.day - 1]?.eto };
+          const plan = s.actionsToday.filter((a) => a.action !== INSTALL_DRIP);
+          const lines = [
+            `${stepLabel(s.day, s.stepDays)}${s.practice ? ` · ${t("hud.practice")}` : ""}`,
+            multi &&
+              t("hud.plot", {
+                n: this.selectedPlot + 1,
+                count: s.plots.length,
+                crop: `${crop.emoji} ${cropName(crop)}`,
+                area: formatQuantity(plot.areaHa, "ha", 2),
+              }),
+            t("hud.stage", { stage: stageName(stageForDay(crop, dap).name), kc: formatNumber(kcForDay(crop, dap), 2) }),
+            t("hud.eto", {
+              eto:
+                today.eto != null
+                  ? t("hud.etoForecast", { eto: formatQuantity(today.eto, "mm"), method: etoMethodName([today.etoMethod]) })
+                  : t("eto.unavailable"),
+            }),
+            t("hud.moisture", { moisture: plot.soilMoisture.toFixed(0), water: formatQuantity(plot.availableWater, "mm", 0) }),
+            t("hud.soil", {
+              emoji: soil.emoji,
+              soil: soilName(soil),
+              fc: formatQuantity(soil.fieldCapacity, "mm", 0),
+              wp: formatQuantity(soil.wiltingPoint, "mm", 0),
+            }),
+            t("hud.nitrogen", { nitrogen: formatQuantity(plot.nitrogen, "kg/ha", 0) }),
+            t("hud.pests", {
+              pests: plot.scouted
+                ? t("hud.pestsScouted", {
+                    pests: plot.scouted.pests,
+                    disease: plot.scouted.disease,
+                    step: stepLabel(plot.scouted.day, s.stepDays),
+                  })
+                : t("hud.pestsUnknown"),
+            }),
+            t("hud.diseaseRisk", { risk: plot.diseaseRisk.toFixed(0) }),
+            t("hud.yield", {
+              yield: formatNumber(toDisplay(plot.projectedYield, "t/ha"), 2),
+              potential: formatQuantity(crop.potentialYield, "t/ha", 1),
+              tonnes: formatNumber(plot.projectedYield * plot.areaHa, 2),
+            }),
+            t("hud.money", { money: formatMoney(s.money) }),
+            t("hud.sustainability", { score: s.sustainability.toFixed(0) }),
+            t("hud.farm", {
+              area: formatQuantity(s.areaHa, "ha", 2),
+              irrigated: Math.round(waterVolumeM3(s.water.irrigation, s.areaHa)),
+            }),
+            t("hud.tank", {
+              stored: Math.round(s.tank.storedM3),
+              capacity: Math.round(s.tank.capacityM3),
+              method: t(`irrigation.${irrigationMethod(plot).id}`),
+            }),
+            t("hud.labour", {
+              used: formatNumber(labourUsed(s), 1),
+              budget: formatNumber(labourBudget(s), 1),
+              plan: plan.length ? plan.map((a) => actionOnPlot(a.action, a.plot, multi)).join(", ") : t("hud.planEmpty"),
+            }),
+          ];
+          this.hud.setText(lines.filter(Boolean).join("\n"));
+          this.reportSustainability();
+          this.updateAdvice();
+          setForecast(isSeasonOver(s) ? [] : forecastFor(weatherSeries, s.day, s.seed));
+        }
 
-        if (rain === "none") this.soilMoisture -= 7;
-        else if (rain === "low") this.soilMoisture -= 5;
-        else if (rain === "medium") this.soilMoisture += 6;
-        else this.soilMoisture += 12;
+        // Live advice for the selected plot; it changes as the player acts
+        updateAdvice() {
+          this.advisorToggle.setText(t(this.advisorOn ? "farm.advisorOn" : "farm.advisorOff"));
+          this.adviceText.setVisible(this.advisorOn && !isSeasonOver(this.state));
+          if (!this.advisorOn || isSeasonOver(this.state)) return;
+          const advice = advise(this.state, this.visibleWeather(), this.selectedPlot);
+          const where = this.state.plots.length > 1 ? ` (${t("plot.label", { n: this.selectedPlot + 1 })})` : "";
+          this.adviceText.setText(`${t("farm.drone")}${where}: ${actionName(advice.action)}\n${advice.reason}`);
+        }
 
-        switch (action) {
-          case "Irrigate": {
-            this.soilMoisture += 10;
-            this.money -= 3;
-            if (rain !== "low" && rain !== "none") this.sustainability -= 2;
-            feedback += "\n🚿 You irrigated, soil moisture increased.";
-            break;
+        // Score the advice given at the start of the step against what was done
+        recordAdvice() {
+          if (!this.advisorOn) return;
+          for (const advice of this.stepAdvice) {
+            this.adviceRecords = [
+              ...this.adviceRecords,
+              {
+                day: this.state.day,
+                action: advice.action,
+                plot: advice.plot,
+                followed: adviceFollowed(advice, this.state.actionsToday),
+              },
+            ];
           }
-          case "Fertilize": {
-            this.nitrogen += 12;
-            this.money -= 2;
-            if (rain === "high") this.sustainability -= 3;
-            feedback += "\n🌱 You fertilized, nitrogen increased.";
-            break;
+        }
+
+        // Dashboard breakdown: each factor's points so far, and what the last
+        // completed step changed
+        reportSustainability(stepCompleted = false) {
+          const items = sustainabilityBreakdown(this.state);
+          if (stepCompleted || !this.stepStartItems) {
+            this.lastStepChange = items.map((item, i) =>
+              stepCompleted && this.stepStartItems ? item.points - this.stepStartItems[i].points : 0
+            );
+            this.stepStartItems = items;
           }
-          case "Scout": {
-            const pestReduction = Phaser.Math.Between(5, 15);
-            this.pests = Phaser.Math.Clamp(this.pests - pestReduction, 0, 100);
-            this.money -= 1;
-            feedback += `\n🔍 You scouted and reduced pests by ${pestReduction}.`;
-            break;
+          setSustainability({
+            score: this.state.sustainability,
+            items: items.map((item, i) => ({ ...item, change: this.lastStepChange[i] })),
+          });
+        }
+
+        updateCropVisual() {
+          this.state.plots.forEach(({ cropHealth }, i) => {
+            const { tile, circle, maxRadius } = this.plotTiles[i];
+            const radius = Phaser.Math.Linear(Math.min(20, maxRadius / 2), maxRadius, cropHealth / 100);
+            const color =
+              cropHealth > 70 ? 0x2ecc71 : cropHealth > 40 ? 0xf1c40f : 0xe74c3c;
+            circle.setRadius(radius);
+            circle.setFillStyle(color);
+            const selected = i === this.selectedPlot && this.state.plots.length > 1;
+            tile.setStrokeStyle(selected ? 3 : 1, selected ? 0xfde047 : 0x5b3a1a);
+          });
+        }
+
+        // Queue an action on the selected plot; drip goes in straight away
+        handleAction(action) {
+          if (this.replaying || isSeasonOver(this.state)) return;
+
+          const { state, events } = step(this.state, action, this.weatherToday(), this.selectedPlot);
+          this.state = state;
+          this.persist();
+
+          const feedback = events.map(describeEvent).filter(Boolean).join("\n");
+          this.feedback.setText(feedback);
+          this.updateHud();
+          this.updateCropVisual();
+        }
+
+        // Take every planned action of this step back off the queue
+        clearPlan() {
+          if (this.replaying || isSeasonOver(this.state)) return;
+          let state = this.state;
+          for (let i = state.actionsToday.length - 1; i >= 0; i--) state = cancelAction(state, i).state;
+          this.state = state;
+          this.persist();
+          this.feedback.setText(t("farm.planCleared"));
+          this.updateHud();
+        }
+
+        // Undo the last action: a planned one just comes off the queue, while
+        // undoing a finished step or drip install makes the season practice
+        undo() {
+          if (this.replaying || isSeasonOver(this.state)) return;
+          const last = this.state.log[this.state.log.length - 1];
+          if (!last) {
+            this.feedback.setText(t("farm.nothingToUndo"));
+            return;
           }
-          case "Wait": {
-            feedback += "\n⏳ You waited.";
-            break;
+          if (!this.confirmPractice(last.action === NEXT_DAY || last.action === INSTALL_DRIP)) return;
+          this.timeTravel(undoLast(this.state, weatherSeries));
+        }
+
+        // Go back to the start of an earlier step and play on from there
+        rewind() {
+          if (this.replaying || isSeasonOver(this.state)) return;
+          const unit = t(stepDays === 1 ? "farm.unitDay" : stepDays === 7 ? "farm.unitWeek" : "farm.unitStep");
+          const answer = window.prompt(
+            t("farm.rewindPrompt", { unit, last: this.state.day }),
+            String(Math.max(1, this.state.day - 1))
+          );
+          if (answer === null) return;
+          const day = Number(answer);
+          if (!Number.isInteger(day) || day < 1 || day > this.state.day) {
+            this.feedback.setText(t("farm.rewindInvalid", { unit, last: this.state.day }));
+            return;
           }
+          if (!this.confirmPractice(rewindBranches(this.state, day))) return;
+          this.timeTravel(rewindToDay(this.state, weatherSeries, day));
         }
 
-        this.actionsTakenToday.push(action);
+        // Ask once before the season turns into a practice run
+        confirmPractice(needed) {
+          return (
+            !needed ||
+            this.state.practice ||
+            window.confirm(t("farm.practiceConfirm"))
+          );
+        }
 
-        // Pest growth
-        const pestGrowth = Phaser.Math.Between(0, 5) + (100 - this.cropHealth) / 20;
-        this.pests = Phaser.Math.Clamp(this.pests + pestGrowth, 0, 100);
+        // Bring the scene, action log, chart and advice records back in line
+        // with a state from undo or rewind
+        timeTravel({ state, events }) {
+          const movedDay = state.day !== this.state.day;
+          this.state = state;
+          if (movedDay) {
+            this.actionLog = this.actionLog.slice(0, state.day - 1);
+            setActionLog(this.actionLog);
+            this.history = [this.history[0], ...this.history.slice(1).filter((p) => p.day < state.day)];
+            setHistory(this.history);
+            this.adviceRecords = this.adviceRecords.filter((r) => r.day < state.day);
+            this.stepAdvice = state.plots.map((_, i) => advise(state, this.visibleWeather(), i));
+            this.stepStartItems = null;
+          }
+          this.persist();
+          this.feedback.setText(events.map(describeEvent).filter(Boolean).join("\n"));
+          this.updateHud();
+          this.updateCropVisual();
+          this.createRain();
+        }
 
-        this.soilMoisture = Phaser.Math.Clamp(this.soilMoisture, 0, 100);
-        this.nitrogen = Phaser.Math.Clamp(this.nitrogen, 0, 100);
+        nextDay() {
+          if (this.replaying || isSeasonOver(this.state)) return;
 
-        this.cropHealth = Phaser.Math.Clamp(
-          (this.soilMoisture * 0.4 + this.nitrogen * 0.4 + (100 - this.pests) * 0.2) / 1.5,
-          0,
-          100
-        );
+          const weather = this.weatherToday();
+          const [forecastToday] = forecastFor(weatherSeries, this.state.day, this.state.seed, 1);
+          this.recordAdvice();
+          const { state, events } = step(this.state, NEXT_DAY, weather);
+          this.state = state;
 
-        if (this.cropHealth > 70) this.money += 4 * this.marketPrice;
-        else if (this.cropHealth > 40) this.money += 2 * this.marketPrice;
+          const multi = this.state.plots.length > 1;
+          const resolved = resolvedSummary(events, multi);
+          for (const event of events) {
+            if (event.type === "dayEnded") {
+              const planned = event.actions.length
+                ? event.actions.map((a) => actionOnPlot(a.action, a.plot, multi))
+                : [t("log.noAction")];
+              const weatherNote = t("log.weather", {
+                level: rainLabel(event.rain),
+                rain: formatQuantity(event.precip, "mm"),
+                low: formatNumber(toDisplay(forecastToday.precipLow, "mm"), 1),
+                high: formatQuantity(forecastToday.precipHigh, "mm"),
+              });
+              const tankNote = event.harvestedM3 > 0 ? `, ${t("log.tank", { volume: Math.round(event.harvestedM3) })}` : "";
+              this.actionLog = [
+                ...this.actionLog,
+                t("log.line", {
+                  step: stepLabel(event.day, stepDays),
+                  planned: planned.join(", "),
+                  resolved,
+                  weather: `${weatherNote}${tankNote}`,
+                }),
+              ];
+              setActionLog(this.actionLog);
+              this.updateChart(event.day);
+            }
+          }
 
-        this.marketPrice = Phaser.Math.Clamp(this.marketPrice + Phaser.Math.FloatBetween(-0.05, 0.05), 0.8, 1.5);
+          this.stepAdvice = state.plots.map((_, i) => advise(state, this.visibleWeather(), i));
+          this.persist();
+          this.reportSustainability(true);
+          this.updateHud();
+          this.updateCropVisual();
+          this.createRain();
 
-        this.feedback.setText(feedback);
-        this.updateHud();
-        this.updateCropVisual();
-        this.createRain();
-      }
+          const seasonEnd = events.find((e) => e.type === "seasonEnded");
+          if (seasonEnd) {
+            const report = adherenceReport(this.adviceRecords);
+            const adviceSummary = report.given
+              ? `\n\n${t("end.advice", {
+                  followed: report.followed,
+                  given: report.given,
+                  percent: Math.round(report.rate * 100),
+                })}\n` +
+                Object.entries(report.byAction)
+                  .map(([action, r]) => `  ${actionName(action)}: ${r.followed}/${r.given}`)
+                  .join("\n")
+              : "";
+            const harvestSummary = events
+              .filter((e) => e.type === "harvested")
+              .map((e) => `\n${describeEvent(e)}`)
+              .join("");
+            const { score, components } = seasonScore(state);
+            const scoreSummary =
+              `\n\n${t("end.score", { score: formatNumber(score, 1), weights: describeWeights() })}\n` +
+              SCORE_COMPONENTS.map(
+                (c) => `  ${c.emoji} ${componentLabel(c)}: ${components[c.id].toFixed(0)} (${componentExplain(c)})`
+              ).join("\n");
+            setEndSummary(
+              `${t("end.title")}\n${harvestSummary}\n\n${t("end.totals", {
+                money: formatMoney(seasonEnd.money),
+                sustainability: seasonEnd.sustainability.toFixed(0),
+                health: seasonEnd.cropHealth.toFixed(0),
+              })}${scoreSummary}${adviceSummary}\n\n${t("end.seed", { seed: state.seed, steps: state.log.length })}`
+            );
+            setFinishedRun({ state, weatherSeries, entry: null });
+            localStorage.setItem(REPORT_KEY, JSON.stringify(buildSeasonReport(state, weatherSeries, { practice: state.practice })));
+            setShowEndModal(true);
+            // The reference strategies take a moment; they run in chunks so
+            // the modal paints and stays responsive meanwhile
+            setComparison(null);
+            const history = this.history;
+            runStrategiesInChunks(state.setup, weatherSeries).then((runs) => {
+              setComparison([{ id: "player", label: t("strategy.player"), state, history }, ...runs]);
+            });
+          } else {
+            this.feedback.setText(`${describeEvent(events[0])}\n${t("farm.resolved", { resolved })}`);
+          }
+        }
 
-      nextDay() {
-        if (this.day > this.rainPattern.length) return;
-
-        const todayActions = this.actionsTakenToday.length ? [...this.actionsTakenToday] : ["No action"];
-        const rainToday = this.rainPattern[this.day - 1] || "none";
-        setActionLog((prev) => [
-          ...prev,
-          `Day ${this.day}: ${todayActions.join(", ")} (Rain: ${rainToday === "none" ? "No rain" : rainToday.toUpperCase()})`,
-        ]);
-
-        this.updateChart();
-        this.actionsTakenToday = [];
-        this.day += 1;
-
-        if (this.day > this.rainPattern.length) {
-          setEndSummary(
-            `🌾 Season Complete!\n\nFinal Profit: ₦${this.money.toFixed(
-              1
-            )}\nSustainability: ${this.sustainability.toFixed(0)}\nCrop Health: ${this.cropHealth.toFixed(0)}`
-          );
-          setShowEndModal(true);
-        } else {
-          this.feedback.setText("");
+        // Re-run the finished season from its seed and action log, one day
+        // every REPLAY_DELAY ms, then check it lands on the same outcome.
+        startReplay() {
+          const original = this.state;
+          const frames = replaySeason(original, weatherSeries);
+          this.replaying = true;
+          this.state = createInitialState(original.setup);
+          this.stepStartItems = null;
+          this.resetChart();
+          this.updateHud();
+          this.updateCropVisual();
+
+          const timer = this.time.addEvent({
+            delay: REPLAY_DELAY,
+            loop: true,
+            callback: () => {
+              const frame = frames.next();
+              if (frame.done) {
+                timer.remove();
+                this.replaying = false;
+                this.feedback.setText(
+                  t(sameOutcome(this.state, original) ? "farm.replayMatched" : "farm.replayDiverged")
+                );
+                return;
+              }
+              this.state = frame.value.state;
+              if (!frame.value.partial) {
+                this.updateChart(frame.value.day);
+                this.reportSustainability(true);
+              }
+              this.feedback.setText(
+                `${t("farm.replaying", { step: stepLabel(frame.value.day, stepDays) })} ` +
+                  resolvedSummary(frame.value.events, this.state.plots.length > 1)
+              );
+              this.updateHud();
+              this.updateCropVisual();
+              this.createRain();
+            },
+          });
         }
+
+        update() { this.updateRain(); }
       }
 
-      update() { this.updateRain(); }
-    }
+      const config = {
+        type: Phaser.AUTO,
+        width: phaserContainer.current.clientWidth || 960,
+        height: phaserContainer.current.clientHeight || 600,
+        backgroundColor: "#bde0fe",
+        parent: phaserContainer.current,
+        scene: FarmScene,
+      };
 
-    const config = {
-      type: Phaser.AUTO,
-      width: phaserContainer.current.clientWidth || 960,
-      height: phaserContainer.current.clientHeight || 600,
-      backgroundColor: "#bde0fe",
-      parent: phaserContainer.current,
-      scene: FarmScene,
-    };
-
-    gameRef.current = new Phaser.Game(config);
+      gameRef.current = new Phaser.Game(config);
+    }
 
     return () => {
+      cancelled = true;
       if (gameRef.current) gameRef.current.destroy(true);
-      if (chartRef.current) chartRef.current.destroy();
     };
-  }, [navigate]);
+  }, [navigate, scenarioReady]);
+
+  // Overlaid money and crop health charts for the comparison
+  useEffect(() => {
+    if (!comparison || !moneyCanvas.current || !healthCanvas.current) return;
+    const days = comparison.reduce((longest, run) => (run.history.length > longest.length ? run.history : longest), []);
+    const charts = [
+      { canvas: moneyCanvas.current, title: t("compare.moneyChart", { currency: currencySymbol() }), value: (p) => p.money ?? null },
+      { canvas: healthCanvas.current, title: t("compare.healthChart"), value: (p) => p.cropHealth ?? null },
+    ].map(
+      ({ canvas, title, value }) =>
+        new Chart(canvas.getContext("2d"), {
+          type: "line",
+          data: {
+            labels: days.map((p) => p.day),
+            datasets: comparison.map((run, i) => ({
+              label: run.label,
+              data: run.history.map(value),
+              borderColor: COMPARISON_COLORS[i % COMPARISON_COLORS.length],
+              borderWidth: run.id === "player" ? 3 : 1.5,
+              pointRadius: 0,
+              fill: false,
+            })),
+          },
+          options: {
+            responsive: false,
+            animation: false,
+            plugins: { legend: { position: "bottom" }, title: { display: true, text: title } },
+          },
+        })
+    );
+    return () => charts.forEach((chart) => chart.destroy());
+  }, [comparison]);
 
   return (
     <div className="flex w-full h-screen">
       <div ref={phaserContainer} className="w-2/3 h-full relative" />
       <div className="w-1/3 h-full p-6 bg-gray-100 overflow-y-auto">
-        <h2 className="text-center text-lg font-bold">📊 Farm Dashboard</h2>
-        <div id="dashboard-charts" />
-        <h3 className="mt-2 font-semibold">Action Log</h3>
+        <h2 className="text-center text-lg font-bold">{t("dashboard.title")}</h2>
+        {saveFailed && <p className="mb-2 border border-red-300 p-2 bg-red-50 text-sm text-red-700">{t("farm.saveFailed")}</p>}
+        {forecast.length > 0 && (
+          <div className="mb-2 border border-gray-300 p-2 bg-white text-sm">
+            <h3 className="font-semibold">{t("forecast.title")}</h3>
+            <table className="w-full text-xs mt-1">
+              <thead>
+                <tr className="text-gray-500 text-left">
+                  <th>{t(forecast[0].days > 1 ? "forecast.step" : "forecast.day")}</th>
+                  <th className="text-right">{t("forecast.rain", { unit: displayUnit("mm") })}</th>
+                  <th className="text-right">{t("forecast.chance")}</th>
+                  <th className="text-right">{t("forecast.temp")}</th>
+                  <th className="text-right">{t("forecast.eto", { unit: displayUnit("mm") })}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {forecast.map((f) => (
+                  <tr key={f.day}>
+                    <td>{f.lead === 0 ? t(f.days > 1 ? "forecast.thisStep" : "forecast.today") : `+${f.lead}`}</td>
+                    <td className="text-right">
+                      {forecastDepth(f.precip, 1)}{" "}
+                      <span className="text-gray-400">
+                        ({forecastDepth(f.precipLow, 0)}–{forecastDepth(f.precipHigh, 0)})
+                      </span>
+                    </td>
+                    <td className="text-right">{f.rainChance}%</td>
+                    <td className="text-right">
+                      {f.tmax !== null && f.tmin !== null ? `${f.tmin.toFixed(0)}–${f.tmax.toFixed(0)} ±${f.tempRange.toFixed(0)}` : "–"}
+                    </td>
+                    <td className="text-right">{f.eto !== null ? forecastDepth(f.eto, 1) : "–"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p className="text-xs text-gray-500 mt-1">{t("forecast.note")}</p>
+          </div>
+        )}
+        <FarmDashboard history={history} plots={plots} />
+        {sustainability && (
+          <div className="mt-2 border border-gray-300 p-2 bg-white text-sm">
+            <h3 className="font-semibold">{t("sustainability.title", { score: sustainability.score.toFixed(0) })}</h3>
+            <table className="w-full text-xs mt-1">
+              <thead>
+                <tr className="text-gray-500 text-left">
+                  <th>{t("sustainability.factor")}</th>
+                  <th className="text-right">{t("sustainability.season")}</th>
+                  <th className="text-right">{t("sustainability.points")}</th>
+                  <th className="text-right">{t("sustainability.lastStep")}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {sustainability.items.map((item) => (
+                  <tr key={item.id}>
+                    <td>{item.emoji} {t(`sustainability.${item.id}`)}</td>
+                    <td className="text-right">{item.unit === "sprays" ? t("unit.sprays", { n: formatNumber(item.amount, 1) }) : formatQuantity(item.amount, item.unit)}</td>
+                    <td className="text-right">{formatNumber(item.points, 1)}</td>
+                    <td className={`text-right ${item.change < -0.05 ? "text-red-600" : "text-gray-400"}`}>
+                      {item.change < -0.05 ? formatNumber(item.change, 1) : "–"}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+        <h3 className="mt-2 font-semibold">{t("log.title")}</h3>
         <div className="max-h-72 overflow-y-auto border border-gray-300 p-2 bg-white">
           {actionLog.map((a, i) => <div key={i}>{a}</div>)}
         </div>
@@ -337,9 +1043,103 @@ export default function FarmGame() {
       {/* End of season modal */}
       {showEndModal && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-50">
-          <div className="bg-white rounded p-6 w-1/3 shadow-lg">
-            <h2 className="text-xl font-bold mb-4">🌾 Season Complete!</h2>
+          <div className="bg-white rounded p-6 w-2/3 max-h-[90vh] overflow-y-auto shadow-lg">
+            <h2 className="text-xl font-bold mb-4">{t("end.title")}</h2>
             <pre className="whitespace-pre-wrap">{endSummary}</pre>
+
+            {finishedRun && (
+              <div className="mt-3 flex items-center space-x-2 text-sm">
+                {finishedRun.state.practice ? (
+                  <span className="text-gray-600">{t("end.practice")}</span>
+                ) : finishedRun.entry ? (
+                  <span>
+                    {t("end.added", { player: finishedRun.entry.player, rank: rankOf(finishedRun.entry) })}{" "}
+                    <button className="text-blue-700 hover:underline" onClick={() => navigate("/leaderboard")}>
+                      {t("end.viewLeaderboard")}
+                    </button>
+                  </span>
+                ) : (
+                  <>
+                    <input
+                      value={playerName}
+                      onChange={(e) => setPlayerName(e.target.value)}
+                      placeholder={t("end.yourName")}
+                      className="border rounded px-2 py-1"
+                    />
+                    <button
+                      disabled={!playerName.trim()}
+                      className="bg-yellow-500 text-white px-3 py-1 rounded hover:bg-yellow-600 disabled:opacity-50"
+                      onClick={() => {
+                        const name = playerName.trim();
+                        localStorage.setItem(PLAYER_NAME_KEY, name);
+                        const entry = addEntry(makeEntry(finishedRun.state, finishedRun.weatherSeries, name));
+                        setFinishedRun({ ...finishedRun, entry });
+                      }}
+                    >
+                      {t("end.addToLeaderboard")}
+                    </button>
+                  </>
+                )}
+              </div>
+            )}
+
+            <h3 className="mt-4 font-semibold">{t("compare.title")}</h3>
+            {comparison ? (
+              <>
+                <table className="w-full text-sm mt-1">
+                  <thead>
+                    <tr className="text-left text-gray-500">
+                      <th>{t("compare.strategy")}</th>
+                      <th className="text-right">{t("compare.profit", { currency: currencySymbol() })}</th>
+                      <th className="text-right">{t("compare.sustainability")}</th>
+                      <th className="text-right">{t("compare.health")}</th>
+                      <th className="text-right">{t("compare.irrigation")}</th>
+                      <th className="text-right">{t("compare.nitrogen", { unit: displayUnit("kg/ha") })}</th>
+                      <th className="text-right">{t("compare.harvest")}</th>
+                      <th className="text-right">{t("compare.score")}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {comparison.map((run) => (
+                      <tr key={run.id} className={run.id === "player" ? "font-semibold bg-green-50" : ""}>
+                        <td>{run.label}</td>
+                        <td className="text-right">{formatNumber(run.state.money, 1)}</td>
+                        <td className="text-right">{run.state.sustainability.toFixed(0)}</td>
+                        <td className="text-right">{run.state.cropHealth.toFixed(0)}</td>
+                        <td className="text-right">
+                          {formatNumber(waterVolumeM3(run.state.water.irrigation, run.state.areaHa), 0)}
+                        </td>
+                        <td className="text-right">{formatNumber(toDisplay(run.state.nitrogenFlows.applied, "kg/ha"), 0)}</td>
+                        <td className="text-right">{formatNumber(run.state.projectedTonnes, 2)}</td>
+                        <td className="text-right">{formatNumber(seasonScore(run.state).score, 1)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <p className="text-xs text-gray-500 mt-1">{t("compare.note", { weights: describeWeights() })}</p>
+                <div className="flex flex-wrap gap-2 mt-2">
+                  <canvas ref={moneyCanvas} width={420} height={240} />
+                  <canvas ref={healthCanvas} width={420} height={240} />
+                </div>
+              </>
+            ) : (
+              <p className="text-sm text-gray-500">{t("compare.running")}</p>
+            )}
+            <button
+              className="mt-4 mr-2 bg-purple-500 text-white px-4 py-2 rounded hover:bg-purple-600"
+              onClick={() => window.open("/report", "_blank")}
+            >
+              {t("end.report")}
+            </button>
+            <button
+              className="mt-4 mr-2 bg-blue-500 text-white px-4 py-2 rounded hover:bg-blue-600"
+              onClick={() => {
+                setShowEndModal(false);
+                gameRef.current?.scene.getScene("FarmScene").startReplay();
+              }}
+            >
+              {t("end.replay")}
+            </button>
             <button
               className="mt-4 bg-green-500 text-white px-4 py-2 rounded hover:bg-green-600"
               onClick={() => {
@@ -351,7 +1151,7 @@ export default function FarmGame() {
                 navigate("/");
               }}
             >
-              ⬅️ Go to Map
+              {t("end.toMap")}
             </button>
           </div>
         </div>
@@ -360,36 +1160,20 @@ export default function FarmGame() {
       {/* How to Play modal */}
       {showHowToPlay && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-50">
-          <div className="bg-white rounded p-6 w-1/3 shadow-lg">
-            <h2 className="text-xl font-bold mb-4">❓ How to Play</h2>
+          <div className="bg-white rounded p-6 w-1/3 max-h-[90vh] overflow-y-auto shadow-lg">
+            <h2 className="text-xl font-bold mb-4">{t("help.title")}</h2>
             <div className="text-sm whitespace-pre-wrap">
-              🌧️ Rain affects soil moisture:<br />
-              - None: soil dries faster<br />
-              - Low: small increase<br />
-              - Medium: moderate increase<br />
-              - High: large increase<br /><br />
-
-              🚿 Irrigate: increases soil moisture (+10), costs money, may reduce sustainability if it rains<br /><br />
-
-              🌱 Fertilize: increases nitrogen (+12), costs money, high rain may reduce sustainability<br /><br />
-
-              🔍 Scout: reduces pests (random 5-15), costs small amount of money<br /><br />
-
-              ⏳ Wait: do nothing<br /><br />
-
-              🌿 Crop health depends on soil moisture, nitrogen, and pests<br /><br />
-
-              💰 Money increases if crop health is good, market price fluctuates<br /><br />
-
-              📈 Check dashboard chart for soil moisture & precipitation<br /><br />
-
-              ✅ Take actions wisely each day to maximize profit & crop health
+              {HOW_TO_PLAY.map((section) => (
+                <p key={section} className="mb-3">
+                  {t(`help.${section}`, helpValues())}
+                </p>
+              ))}
             </div>
             <button
               className="mt-4 bg-blue-500 text-white px-4 py-2 rounded hover:bg-blue-600"
               onClick={() => setShowHowToPlay(false)}
             >
-              Close
+              {t("help.close")}
             </button>
           </div>
         </div>
@@ -0,0 +1,130 @@
+// Leaderboard.jsx
+import React, { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import {
+  clearLeaderboard,
+  listEntries,
+  listPlayers,
+  listScenarios,
+  personalBestHistory,
+} from "../game/leaderboard";
+import { currencySymbol, formatDate, formatDateTime, formatNumber, t } from "../game/i18n";
+import { SCORE_COMPONENTS, componentExplain, componentLabel, describeWeights } from "../game/score";
+
+export default function Leaderboard() {
+  const navigate = useNavigate();
+  const [scenarios, setScenarios] = useState(listScenarios);
+  const [players, setPlayers] = useState(listPlayers);
+  const [scenarioKey, setScenarioKey] = useState(() => listScenarios()[0]?.key || "");
+  const [player, setPlayer] = useState("");
+
+  const entries = listEntries({ scenarioKey: scenarioKey || undefined, player: player || undefined });
+  // The selected player's own progress on each scenario they played
+  const bests = player
+    ? scenarios
+        .filter((s) => !scenarioKey || s.key === scenarioKey)
+        .map((s) => ({ scenario: s, runs: personalBestHistory(player, s.key) }))
+        .filter(({ runs }) => runs.length)
+    : [];
+
+  const handleClear = () => {
+    if (!window.confirm(t("leaderboard.clearConfirm"))) return;
+    clearLeaderboard();
+    setScenarios([]);
+    setPlayers([]);
+    setScenarioKey("");
+    setPlayer("");
+  };
+
+  return (
+    <div className="p-6 max-w-5xl mx-auto text-sm">
+      <div className="flex justify-between items-center mb-4">
+        <h1 className="text-2xl font-bold text-green-700">{t("leaderboard.title")}</h1>
+        <button className="bg-green-500 text-white px-4 py-2 rounded hover:bg-green-600" onClick={() => navigate("/")}>
+          {t("end.toMap")}
+        </button>
+      </div>
+
+      <p className="text-gray-600">
+        {t("leaderboard.scoreHelp", { weights: describeWeights() })}{" "}
+        {SCORE_COMPONENTS.map((c) => `${c.emoji} ${componentLabel(c)}: ${componentExplain(c)}`).join(" · ")}.
+      </p>
+
+      <div className="flex space-x-4 my-3">
+        <label>
+          {t("leaderboard.scenario")}
+          <select value={scenarioKey} onChange={(e) => setScenarioKey(e.target.value)} className="ml-2 border rounded px-2 py-1">
+            <option value="">{t("leaderboard.allScenarios")}</option>
+            {scenarios.map((s) => (
+              <option key={s.key} value={s.key}>{s.label}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          {t("leaderboard.player")}
+          <select value={player} onChange={(e) => setPlayer(e.target.value)} className="ml-2 border rounded px-2 py-1">
+            <option value="">{t("leaderboard.everyone")}</option>
+            {players.map((p) => (
+              <option key={p} value={p}>{p}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {entries.length ? (
+        <table className="w-full border-collapse">
+          <thead>
+            <tr className="text-left text-gray-500 border-b">
+              <th>#</th>
+              <th>{t("leaderboard.playerColumn")}</th>
+              {!scenarioKey && <th>{t("leaderboard.scenarioColumn")}</th>}
+              <th className="text-right">{t("compare.score")}</th>
+              {SCORE_COMPONENTS.map((c) => (
+                <th key={c.id} className="text-right">{c.emoji} {componentLabel(c)}</th>
+              ))}
+              <th className="text-right">{t("leaderboard.money", { currency: currencySymbol() })}</th>
+              <th className="text-right">{t("leaderboard.played")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map((e, i) => (
+              <tr key={e.id} className="odd:bg-gray-50">
+                <td>{i + 1}</td>
+                <td>{e.player}</td>
+                {!scenarioKey && <td className="text-xs">{e.scenarioLabel}</td>}
+                <td className="text-right font-semibold">{formatNumber(e.score, 1)}</td>
+                {SCORE_COMPONENTS.map((c) => (
+                  <td key={c.id} className="text-right">{e.components[c.id].toFixed(0)}</td>
+                ))}
+                <td className="text-right">{formatNumber(e.money, 1)}</td>
+                <td className="text-right text-xs">{formatDate(new Date(e.playedAt), { dateStyle: "medium" })}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        <p className="text-gray-500">{t("leaderboard.empty")}</p>
+      )}
+
+      {bests.map(({ scenario, runs }) => (
+        <div key={scenario.key} className="mt-4">
+          <h2 className="font-semibold">{t("leaderboard.history", { player, scenario: scenario.label })}</h2>
+          <ol className="list-decimal ml-6">
+            {runs.map((r) => (
+              <li key={r.id} className={r.best ? "font-semibold text-green-700" : "text-gray-500"}>
+                {formatDateTime(r.playedAt)}: {formatNumber(r.score, 1)}
+                {r.best ? ` ${t("leaderboard.best")}` : ""}
+              </li>
+            ))}
+          </ol>
+        </div>
+      ))}
+
+      {players.length > 0 && (
+        <button onClick={handleClear} className="mt-6 text-red-600 hover:underline">
+          {t("leaderboard.clear")}
+        </button>
+      )}
+    </div>
+  );
+}
@@ -1,9 +1,45 @@
-import React, { useState } from "react";
+import React, { useEffect, useState } from "react";
 import axios from "axios";
-import { MapContainer, TileLayer, useMapEvents, Popup, Marker } from "react-leaflet";
+import { MapContainer, TileLayer, useMapEvents, Popup, Marker, Polygon, Polyline } from "react-leaflet";
 import "leaflet/dist/leaflet.css";
 import L from "leaflet";
 import { useNavigate } from "react-router-dom";
+import { randomSeed } from "../game/rng";
+import { CROPS, getCrop, seasonLength } from "../game/crops";
+import {
+  PROVIDERS,
+  cachedProvider,
+  csvProvider,
+  fromPowerDate,
+  loadWeather,
+  rangeEnded,
+  recentRange,
+  seasonRange,
+} from "../game/weather";
+import { SOILS, availableCapacity, getSoil, soilAt } from "../game/soils";
+import { ACTIVE_SAVE_KEY, deleteSave, listSaves, renameSave } from "../game/saves";
+import { makeScenario, parseScenario, sameRules, scenarioToJson, scenarioUrl, startScenario } from "../game/scenario";
+import { deleteField, listFields, makeField, outlinePath, polygonAreaHa, polygonCenter, saveField } from "../game/fields";
+import {
+  AREA_UNITS,
+  CURRENCIES,
+  DEPTH_UNITS,
+  LANGUAGES,
+  cropName,
+  displayUnit,
+  etoMethodName,
+  formatDate,
+  formatDateTime,
+  formatNumber,
+  formatQuantity,
+  fromDisplay,
+  getSettings,
+  saveSettings,
+  soilName,
+  stageName,
+  t,
+  toDisplay,
+} from "../game/i18n";
 import {
   Chart as ChartJS,
   CategoryScale,
@@ -26,171 +62,285 @@ L.Icon.Default.mergeOptions({
   shadowUrl: "https://unpkg.com/leaflet@1.9.4/dist/images/marker-shadow.png",
 });
 
-// Format YYYYMMDD → e.g., 3rd October 2025
-function formatDateLabel(yyyymmdd) {
-  if (!yyyymmdd || yyyymmdd === -999) return "";
-  const y = parseInt(yyyymmdd.slice(0, 4), 10);
-  const m = parseInt(yyyymmdd.slice(4, 6), 10) - 1;
-  const d = parseInt(yyyymmdd.slice(6, 8), 10);
-  const date = new Date(y, m, d);
-  const day = date.getDate();
-  const month = date.toLocaleString("en-US", { month: "long" });
-  const year = date.getFullYear();
-  const suffix =
-    day % 10 === 1 && day !== 11
-      ? "st"
-      : day % 10 === 2 && day !== 12
-      ? "nd"
-      : day % 10 === 3 && day !== 13
-      ? "rd"
-      : "th";
-  return `${day}${suffix} ${month} ${year}`;
+function mean(values) {
+  const nums = values.filter((v) => v !== null);
+  return nums.length ? nums.reduce((a, b) => a + b, 0) / nums.length : 0;
 }
 
-// Helper functions for frontend POWER calculations
-function deg2rad(d) { return d * Math.PI / 180; }
-function rad2deg(r) { return r * 180 / Math.PI; }
-function dayOfYear(d) {
-  const start = new Date(Date.UTC(d.getUTCFullYear(), 0, 0));
-  const diff = d - start;
-  return Math.floor(diff / (1000 * 60 * 60 * 24));
-}
-function computeRa(latDeg, doy) {
-  const Gsc = 0.0820;
-  const lat = deg2rad(latDeg);
-  const dr = 1 + 0.033 * Math.cos((2 * Math.PI * doy) / 365);
-  const delta = 0.409 * Math.sin((2 * Math.PI * doy) / 365 - 1.39);
-  const omega_s = Math.acos(-Math.tan(lat) * Math.tan(delta));
-  return (24 * 60 / Math.PI) * Gsc * dr * (omega_s * Math.sin(lat) * Math.sin(delta) + Math.cos(lat) * Math.cos(delta) * Math.sin(omega_s));
+// The dates to fetch: the crop's whole season from the planting date, or the
+// last `days` days (of the CSV when one is loaded)
+function weatherRange({ mode, plantingDate, crop, providerId, csvFile, days }, now = new Date()) {
+  if (mode === "historical") return seasonRange(plantingDate, seasonLength(getCrop(crop)));
+  // A CSV covers its own dates: take the last days it has
+  if (providerId === "csv" && csvFile) return recentRange(days, fromPowerDate(csvFile.provider.lastDate));
+  return recentRange(days, now);
 }
-function hargreavesETo(tmin, tmax, Ra) {
-  const tmean = (tmin + tmax) / 2;
-  const deltaT = Math.max(0, tmax - tmin);
-  return 0.0023 * (tmean + 17.8) * Math.sqrt(deltaT) * Ra;
+
+function activeProvider(providerId, csvFile) {
+  if (providerId === "csv" && csvFile) return csvFile.provider;
+  return cachedProvider(PROVIDERS.find((p) => p.id === providerId) || PROVIDERS[0]);
 }
 
 export default function MapPage() {
   const [location, setLocation] = useState(null);
+  // Where the weather is fetched for, set once the location's soil is suggested
+  const [weatherAt, setWeatherAt] = useState(null);
   const [locationName, setLocationName] = useState("");
   const [data, setData] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
   const [days, setDays] = useState(5);
   const [crop, setCrop] = useState("maize");
+  const [saves, setSaves] = useState(listSaves);
+  const [providerId, setProviderId] = useState(PROVIDERS[0].id);
+  const [csvFile, setCsvFile] = useState(null);
+  // "recent": the last N days; "historical": a full crop season from a past planting date
+  const [mode, setMode] = useState("recent");
+  const [plantingDate, setPlantingDate] = useState(`${new Date().getFullYear() - 1}-04-15`);
+  const [stepDays, setStepDays] = useState(1);
+  // Field boundary: vertices while drawing, then the finished field record
+  const [drawing, setDrawing] = useState(false);
+  const [draftPoints, setDraftPoints] = useState([]);
+  const [field, setField] = useState(null);
+  const [fields, setFields] = useState(listFields);
+  // Further plots beside the main one, each with its own crop: [{ cropType, areaHa }]
+  const [extraPlots, setExtraPlots] = useState([]);
+  // Soil texture; picking a location suggests one from the bundled lookup
+  const [soil, setSoil] = useState("loam");
+  const [soilSuggested, setSoilSuggested] = useState(false);
+  // Language, currency and units; changing them re-renders the page
+  const [settings, setSettings] = useState(getSettings);
   const navigate = useNavigate();
 
+  const handleCsvUpload = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    try {
+      const provider = csvProvider(await file.text(), `📁 ${file.name}`);
+      setCsvFile({ name: file.name, provider });
+      setError("");
+    } catch (err) {
+      console.error(err);
+      setCsvFile(null);
+      setError(t("map.csvError", { file: file.name, error: err.message }));
+    }
+  };
+
+  async function loadLocation(lat, lng) {
+    setLocation({ lat, lng });
+    // Drops any fetch still running for the previous location
+    setWeatherAt(null);
+    setError("");
+    setData(null);
+    setLoading(true);
+
+    // Reverse geocode; offline classrooms fall back to coordinates
+    let place = `${lat.toFixed(2)}, ${lng.toFixed(2)}`;
+    try {
+      const geoRes = await axios.get(
+        "https://nominatim.openstreetmap.org/reverse",
+        { params: { lat, lon: lng, format: "json" } }
+      );
+      place =
+        geoRes.data.display_name ||
+        `${geoRes.data.address.city || geoRes.data.address.town || geoRes.data.address.village || t("map.unknownPlace")}, ${geoRes.data.address.country || ""}`;
+    } catch (geoErr) {
+      console.warn("Reverse geocoding failed", geoErr);
+    }
+
+    setLocationName(place);
+    setSoil(soilAt(lat, lng));
+    setSoilSuggested(true);
+    setWeatherAt({ lat, lng });
+  }
+
+  // Fetch the weather for the location. The range and the soil water preview
+  // depend on the crop, season, planting date, days, provider and soil, so a
+  // change to any of them fetches it again instead of starting on stale data.
+  useEffect(() => {
+    if (!weatherAt) return;
+    let cancelled = false;
+    const { lat, lng } = weatherAt;
+    const provider = activeProvider(providerId, csvFile);
+    const now = new Date();
+    const { start, end } = weatherRange({ mode, plantingDate, crop, providerId, csvFile, days }, now);
+    setError("");
+    setData(null);
+    // Recent ranges end today by design; only a planting date can reach past it
+    if (mode === "historical" && !rangeEnded(end, now)) {
+      setError(t("map.seasonNotOver"));
+      setLoading(false);
+      return;
+    }
+    setLoading(true);
+    loadWeather(provider, { lat, lon: lng, start, end, crop, soil })
+      .then((weather) => {
+        if (cancelled) return;
+        setData({
+          ...weather,
+          provider: provider.id,
+          range: { start: start.toISOString(), end: end.toISOString() },
+          readableDates: weather.dates.map((d) => formatDate(d)),
+        });
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error(err);
+        setError(t("map.weatherFailed"));
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [weatherAt, mode, plantingDate, crop, providerId, csvFile, days, soil]);
+
+  // The effect above fetches again with the new soil's preview
+  const handleSoilChange = (id) => {
+    setSoil(id);
+    setSoilSuggested(false);
+  };
+
+  // The finished field's centre becomes the farm location
+  function applyField(f) {
+    setField(f);
+    setDrawing(false);
+    setDraftPoints([]);
+    const { lat, lng } = polygonCenter(f.points);
+    loadLocation(lat, lng);
+  }
+
+  // Every drawn field is saved so it can be picked again; unnamed ones get a numbered name
+  const handleFinishField = () => {
+    const fallback = t("map.defaultFieldName", { n: fields.length + 1 });
+    const name = (window.prompt(t("map.nameField"), fallback) || "").trim() || fallback;
+    const f = makeField(draftPoints, name);
+    saveField(f);
+    setFields(listFields());
+    applyField(f);
+  };
+
+  const handleDeleteField = (f) => {
+    if (!window.confirm(t("map.deleteFieldConfirm", { name: f.name }))) return;
+    deleteField(f.id);
+    setFields(listFields());
+    if (field?.id === f.id) setField(null);
+  };
+
   function LocationMarker() {
     useMapEvents({
-      click: async (e) => {
+      click: (e) => {
         const { lat, lng } = e.latlng;
-        setLocation({ lat, lng });
-        setError("");
-        setData(null);
-        setLoading(true);
-
-        try {
-          // Reverse geocode
-          const geoRes = await axios.get(
-            "https://nominatim.openstreetmap.org/reverse",
-            { params: { lat, lon: lng, format: "json" } }
-          );
-
-          const place =
-            geoRes.data.display_name ||
-            `${geoRes.data.address.city || geoRes.data.address.town || geoRes.data.address.village || "Unknown"}, ${geoRes.data.address.country || ""}`;
-
-          setLocationName(place);
-
-          // NASA POWER frontend fetch
-          const end = new Date();
-          const start = new Date();
-          start.setUTCDate(end.getUTCDate() - (days - 1));
-
-          const startStr = start.toISOString().slice(0,10).replace(/-/g,'');
-          const endStr = end.toISOString().slice(0,10).replace(/-/g,'');
-
-          const params = ["T2M_MAX","T2M_MIN","PRECTOT"];
-          const url = `https://power.larc.nasa.gov/api/temporal/daily/point?parameters=${params.join(",")}&community=AG&start=${startStr}&end=${endStr}&format=JSON&latitude=${lat}&longitude=${lng}`;
-          
-          const r = await axios.get(url);
-          const json = r.data;
-
-          // parse daily series
-          const dates = [];
-          const tmax = [];
-          const tmin = [];
-          const precip = [];
-          const tmaxObj = json.properties.parameter.T2M_MAX || {};
-          const tminObj = json.properties.parameter.T2M_MIN || {};
-          const precObj = json.properties.parameter.PRECTOT || {};
-
-          for (let d = new Date(start); d <= end; d.setUTCDate(d.getUTCDate() + 1)) {
-            const key = d.toISOString().slice(0,10).replace(/-/g,'');
-            dates.push(key);
-            tmax.push(tmaxObj[key] ?? null);
-            tmin.push(tminObj[key] ?? null);
-            precip.push(precObj[key] ?? 0);
-          }
-
-          // Compute ETo & soil moisture
-          const fc_mm = 150;
-          const kc_map = { maize: 1.15, wheat: 0.8, grass: 1.0, default: 1.0 };
-          const kc = kc_map[crop] || kc_map.default;
-          let aw = fc_mm * 0.5;
-          const soil_series = [];
-          const eto_series = [];
-
-          for (let i = 0; i < dates.length; i++) {
-            const key = dates[i];
-            const tmx = tmax[i];
-            const tmn = tmin[i];
-            const pr = precip[i] || 0;
-            const dateObj = new Date(Date.UTC(+key.slice(0,4), +key.slice(4,6)-1, +key.slice(6,8)));
-            const doy = dayOfYear(dateObj);
-
-            let eto = (tmx !== null && tmn !== null) ? hargreavesETo(tmn, tmx, computeRa(lat, doy)) : 0;
-            eto_series.push(+eto.toFixed(3));
-
-            aw += pr;
-            const etc = eto * kc;
-            const actual_et = Math.min(aw, etc);
-            aw -= actual_et;
-            if (aw > fc_mm) aw = fc_mm;
-            if (aw < 0) aw = 0;
-            soil_series.push(+aw.toFixed(2));
-          }
-
-          const readableDates = dates.map(formatDateLabel);
-          setData({ dates, tmax, tmin, precip, eto: eto_series, soil_moisture: soil_series, readableDates });
-        } catch (err) {
-          console.error(err);
-          setError("❌ Failed to load NASA data");
-        } finally {
-          setLoading(false);
+        if (drawing) {
+          setDraftPoints((pts) => [...pts, { lat, lng }]);
+          return;
         }
+        // A plain click picks a point farm, dropping any drawn field
+        setField(null);
+        loadLocation(lat, lng);
       },
     });
 
+    if (drawing) {
+      return draftPoints.length ? (
+        <Polyline positions={draftPoints.map((p) => [p.lat, p.lng])} pathOptions={{ color: "#f59e0b", dashArray: "4" }} />
+      ) : null;
+    }
+
     return location ? (
-      <Marker position={[location.lat, location.lng]}>
-        <Popup>
-          <strong>{locationName || "Loading..."}</strong>
-          <br />
-          Lat: {location.lat.toFixed(2)}, Lon: {location.lng.toFixed(2)}
-        </Popup>
-      </Marker>
+      <>
+        {field && <Polygon positions={field.points.map((p) => [p.lat, p.lng])} pathOptions={{ color: "#16a34a" }} />}
+        <Marker position={[location.lat, location.lng]}>
+          <Popup>
+            <strong>{locationName || t("map.loadingShort")}</strong>
+            <br />
+            {t("map.latLon", { lat: formatNumber(location.lat, 2), lon: formatNumber(location.lng, 2) })}
+          </Popup>
+        </Marker>
+      </>
     ) : null;
   }
 
+  // The current setup as a scenario, with a fresh seed
+  function currentScenario() {
+    return makeScenario({
+      cropType: crop,
+      days,
+      location,
+      locationName,
+      weatherData: data,
+      stepDays,
+      soilType: soil,
+      field,
+      plots: [{ cropType: crop, areaHa: field?.areaHa || 1 }, ...extraPlots],
+      seed: randomSeed(),
+    });
+  }
+
   const handleStartGame = () => {
-    localStorage.setItem("selectedCrop", crop);
-    localStorage.setItem("selectedDays", days);
-    localStorage.setItem("selectedLocation", JSON.stringify(location));
-    localStorage.setItem("selectedLocationName", locationName);
-    localStorage.setItem("weatherData", JSON.stringify(data));
+    startScenario(currentScenario());
+    navigate("/farm");
+  };
+
+  const handleExportScenario = () => {
+    const scenario = currentScenario();
+    const url = URL.createObjectURL(new Blob([scenarioToJson(scenario)], { type: "application/json" }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `${scenario.name.replace(/[^\w-]+/g, "-").toLowerCase()}.scenario.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleShareLink = async () => {
+    const url = await scenarioUrl(currentScenario());
+    try {
+      await navigator.clipboard.writeText(url);
+      alert(t("map.linkCopied"));
+    } catch {
+      window.prompt(t("map.copyLink"), url);
+    }
+  };
+
+  const handleImportScenario = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const scenario = parseScenario(await file.text());
+      if (!sameRules(scenario) && !window.confirm(t("map.rulesMismatch"))) return;
+      startScenario(scenario);
+      navigate("/farm");
+    } catch (err) {
+      console.error(err);
+      setError(t("map.importError", { file: file.name, error: err.message }));
+    }
+  };
+
+  const handleSettingChange = (changes) => setSettings(saveSettings(changes));
+
+  const updatePlot = (i, changes) =>
+    setExtraPlots((plots) => plots.map((p, j) => (j === i ? { ...p, ...changes } : p)));
+
+  const handleResume = (id) => {
+    localStorage.setItem(ACTIVE_SAVE_KEY, id);
     navigate("/farm");
   };
 
+  const handleRename = (save) => {
+    const name = window.prompt(t("map.renameFarm"), save.name);
+    if (!name || !name.trim()) return;
+    renameSave(save.id, name.trim());
+    setSaves(listSaves());
+  };
+
+  const handleDelete = (save) => {
+    if (!window.confirm(t("map.deleteSaveConfirm", { name: save.name }))) return;
+    deleteSave(save.id);
+    setSaves(listSaves());
+  };
+
   return (
     <div className="flex h-screen">
       <div className="flex-1">
@@ -205,45 +355,355 @@ export default function MapPage() {
 
       <div className="w-[420px] border-l border-gray-300 bg-gray-50 p-6 flex flex-col justify-between">
         <div>
-          <h1 className="text-2xl font-bold mb-4 text-green-700">🌾 NASA Smart Farm Setup</h1>
+          <h1 className="text-2xl font-bold mb-4 text-green-700">{t("map.title")}</h1>
           <p className="text-sm mb-4 text-gray-600">
-            Click anywhere on the map to select your farm location, crop, and number of days to simulate.
+            {t("map.intro")}{" "}
+            <button onClick={() => navigate("/leaderboard")} className="text-blue-700 hover:underline">
+              {t("map.leaderboard")}
+            </button>
           </p>
 
+          <details className="mb-3 text-sm">
+            <summary className="cursor-pointer">{t("settings.title")}</summary>
+            <div className="grid grid-cols-2 gap-1 mt-1 text-xs">
+              <label>
+                {t("settings.language")}
+                <select
+                  value={settings.language}
+                  onChange={(e) => handleSettingChange({ language: e.target.value })}
+                  className="block border rounded px-1"
+                >
+                  {LANGUAGES.map((l) => (
+                    <option key={l.id} value={l.id}>{l.label}</option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                {t("settings.currency")}
+                <select
+                  value={settings.currency}
+                  onChange={(e) => handleSettingChange({ currency: e.target.value })}
+                  className="block border rounded px-1"
+                >
+                  {CURRENCIES.map((c) => (
+                    <option key={c.id} value={c.id}>{c.label}</option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                {t("settings.depthUnit")}
+                <select
+                  value={settings.depthUnit}
+                  onChange={(e) => handleSettingChange({ depthUnit: e.target.value })}
+                  className="block border rounded px-1"
+                >
+                  {DEPTH_UNITS.map((u) => (
+                    <option key={u.id} value={u.id}>{t(`unit.${u.id}`)}</option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                {t("settings.areaUnit")}
+                <select
+                  value={settings.areaUnit}
+                  onChange={(e) => handleSettingChange({ areaUnit: e.target.value })}
+                  className="block border rounded px-1"
+                >
+                  {AREA_UNITS.map((u) => (
+                    <option key={u.id} value={u.id}>{t(`unit.${u.id}`)}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+            <span className="block text-xs text-gray-500 mt-1">{t("settings.note")}</span>
+          </details>
+
           <label className="block mb-3 text-sm">
-            🪴 Crop Type:
+            {t("map.crop")}
             <select
               value={crop}
               onChange={(e) => setCrop(e.target.value)}
               className="ml-2 border rounded px-2 py-1"
             >
-              <option value="maize">🌽 Maize</option>
-              <option value="rice">🌾 Rice</option>
-              <option value="wheat">🌾 Wheat</option>
-              <option value="soybean">🌱 Soybean</option>
-              <option value="cassava">🥔 Cassava</option>
+              {Object.values(CROPS).map((c) => (
+                <option key={c.id} value={c.id}>{c.emoji} {cropName(c)}</option>
+              ))}
             </select>
+            <span className="block text-xs text-gray-500 mt-1">
+              {t("map.fullSeason", { days: seasonLength(getCrop(crop)) })} ·{" "}
+              {getCrop(crop)
+                .stages.map((s) => t("map.stageDays", { stage: stageName(s.name), days: s.days }))
+                .join(" → ")}
+            </span>
           </label>
 
-          <label className="block mb-4 text-sm">
-            📅 Simulation Days:
+          <div className="mb-3 text-sm">
+            {t("map.plots")}
+            <button
+              onClick={() => setExtraPlots((plots) => [...plots, { cropType: crop, areaHa: 0.5 }])}
+              className="ml-2 text-blue-700 hover:underline"
+            >
+              {t("map.addPlot")}
+            </button>
+            <span className="block text-xs text-gray-500 mt-1">
+              {t("plot.label", { n: 1 })}: {getCrop(crop).emoji} {cropName(getCrop(crop))} ·{" "}
+              {formatQuantity(field?.areaHa || 1, "ha", 2)}
+            </span>
+            {extraPlots.map((plot, i) => (
+              <span key={i} className="flex items-center mt-1 space-x-2 text-xs">
+                <span>{t("plot.label", { n: i + 2 })}:</span>
+                <select
+                  value={plot.cropType}
+                  onChange={(e) => updatePlot(i, { cropType: e.target.value })}
+                  className="border rounded px-1"
+                >
+                  {Object.values(CROPS).map((c) => (
+                    <option key={c.id} value={c.id}>{c.emoji} {cropName(c)}</option>
+                  ))}
+                </select>
+                <input
+                  type="number"
+                  min="0.1"
+                  step="0.1"
+                  value={Number(toDisplay(plot.areaHa, "ha").toFixed(2))}
+                  onChange={(e) =>
+                    updatePlot(i, { areaHa: Math.max(0.1, fromDisplay(Number(e.target.value) || 0, "ha") || 0.1) })
+                  }
+                  className="border rounded px-1 w-16"
+                />
+                <span>{displayUnit("ha")}</span>
+                <button
+                  onClick={() => setExtraPlots((plots) => plots.filter((_, j) => j !== i))}
+                  className="text-red-600"
+                  title={t("map.removePlot")}
+                >
+                  ×
+                </button>
+              </span>
+            ))}
+          </div>
+
+          <label className="block mb-3 text-sm">
+            {t("map.weatherSource")}
+            <select
+              value={providerId}
+              onChange={(e) => setProviderId(e.target.value)}
+              className="ml-2 border rounded px-2 py-1"
+            >
+              {PROVIDERS.map((p) => (
+                <option key={p.id} value={p.id}>{t(`provider.${p.id}`)}</option>
+              ))}
+              <option value="csv">{t("provider.csv")}</option>
+            </select>
+            {providerId === "csv" && (
+              <span className="block mt-1">
+                <input type="file" accept=".csv,text/csv" onChange={handleCsvUpload} className="text-xs" />
+                <span className="block text-xs text-gray-500">
+                  {csvFile
+                    ? `${csvFile.name}: ${formatDate(csvFile.provider.firstDate)}–${formatDate(csvFile.provider.lastDate)}`
+                    : t("map.csvHelp")}
+                </span>
+              </span>
+            )}
+          </label>
+
+          <label className="block mb-3 text-sm">
+            {t("map.season")}
+            <select
+              value={mode}
+              onChange={(e) => setMode(e.target.value)}
+              className="ml-2 border rounded px-2 py-1"
+            >
+              <option value="recent">{t("map.recent")}</option>
+              <option value="historical">{t("map.historical")}</option>
+            </select>
+          </label>
+
+          {mode === "recent" ? (
+            <label className="block mb-3 text-sm">
+              {t("map.simDays")}
+              <select
+                value={days}
+                onChange={(e) => setDays(Number(e.target.value))}
+                className="ml-2 border rounded px-2 py-1"
+              >
+                {[5, 10, 15, 20, 30].map((d) => (
+                  <option key={d} value={d}>{d}</option>
+                ))}
+              </select>
+            </label>
+          ) : (
+            <label className="block mb-3 text-sm">
+              {t("map.plantingDate")}
+              <input
+                type="date"
+                value={plantingDate}
+                min="1981-01-01"
+                onChange={(e) => setPlantingDate(e.target.value)}
+                className="ml-2 border rounded px-2 py-1"
+              />
+              <span className="block text-xs text-gray-500 mt-1">
+                {t("map.plantingHelp", { days: seasonLength(getCrop(crop)), date: formatDate(plantingDate) })}
+              </span>
+            </label>
+          )}
+
+          <label className="block mb-3 text-sm">
+            {t("map.soil")}
             <select
-              value={days}
-              onChange={(e) => setDays(Number(e.target.value))}
+              value={soil}
+              onChange={(e) => handleSoilChange(e.target.value)}
               className="ml-2 border rounded px-2 py-1"
             >
-              {[5, 10, 15, 20, 30].map((d) => (
-                <option key={d} value={d}>{d}</option>
+              {Object.values(SOILS).map((s) => (
+                <option key={s.id} value={s.id}>{s.emoji} {soilName(s)}</option>
               ))}
             </select>
+            <span className="block text-xs text-gray-500 mt-1">
+              {soilSuggested && `${t("map.soilSuggested")} · `}
+              {t("map.soilInfo", {
+                fc: formatQuantity(getSoil(soil).fieldCapacity, "mm", 0),
+                wp: formatQuantity(getSoil(soil).wiltingPoint, "mm", 0),
+                usable: formatQuantity(availableCapacity(getSoil(soil)), "mm", 0),
+                infiltration: formatQuantity(getSoil(soil).infiltration, "mm/day", 0),
+              })}
+            </span>
+          </label>
+
+          <label className="block mb-4 text-sm">
+            {t("map.timeStep")}
+            <select
+              value={stepDays}
+              onChange={(e) => setStepDays(Number(e.target.value))}
+              className="ml-2 border rounded px-2 py-1"
+            >
+              <option value={1}>{t("map.daily")}</option>
+              <option value={7}>{t("map.weekly")}</option>
+            </select>
           </label>
 
+          {saves.length > 0 && (
+            <div className="mb-4">
+              <h2 className="text-sm font-semibold mb-1">{t("map.continue")}</h2>
+              <ul className="max-h-48 overflow-y-auto space-y-1">
+                {saves.map((save) => (
+                  <li key={save.id} className="p-2 bg-white border rounded text-sm shadow-sm">
+                    <p className="font-semibold">{save.name}</p>
+                    <p className="text-xs text-gray-500">
+                      {t("map.saveLine", {
+                        crop: cropName(getCrop(save.cropType)),
+                        step: t(save.stepDays === 7 ? "step.week" : "step.day", { n: save.day }),
+                        length: save.seasonLength,
+                        when: formatDateTime(save.savedAt),
+                      })}
+                    </p>
+                    <div className="mt-1 space-x-2 text-xs">
+                      <button className="text-green-700 hover:underline" onClick={() => handleResume(save.id)}>
+                        {t("map.resume")}
+                      </button>
+                      <button className="text-blue-700 hover:underline" onClick={() => handleRename(save)}>
+                        {t("map.rename")}
+                      </button>
+                      <button className="text-red-600 hover:underline" onClick={() => handleDelete(save)}>
+                        {t("map.delete")}
+                      </button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <div className="mb-3 text-sm">
+            {t("map.fieldBoundary")}
+            {drawing ? (
+              <span className="block mt-1 text-xs">
+                {t("map.drawHelp", { count: draftPoints.length })}
+                {draftPoints.length >= 3 && ` (${formatQuantity(polygonAreaHa(draftPoints), "ha", 2)})`}
+                <span className="block mt-1 space-x-2">
+                  <button
+                    disabled={draftPoints.length < 3}
+                    onClick={handleFinishField}
+                    className="text-green-700 hover:underline disabled:text-gray-400"
+                  >
+                    {t("map.finish")}
+                  </button>
+                  <button onClick={() => setDraftPoints((pts) => pts.slice(0, -1))} className="text-blue-700 hover:underline">
+                    {t("map.undoPoint")}
+                  </button>
+                  <button
+                    onClick={() => {
+                      setDrawing(false);
+                      setDraftPoints([]);
+                    }}
+                    className="text-red-600 hover:underline"
+                  >
+                    {t("map.cancel")}
+                  </button>
+                </span>
+              </span>
+            ) : (
+              <button onClick={() => setDrawing(true)} className="ml-2 text-blue-700 hover:underline">
+                {t("map.drawField")}
+              </button>
+            )}
+            {fields.length > 0 && !drawing && (
+              <span className="block mt-1 text-xs">
+                {t("map.savedFields")}{" "}
+                {fields.map((f) => (
+                  <span key={f.id} className="inline-block mr-2">
+                    <button onClick={() => applyField(f)} className="text-green-700 hover:underline">
+                      {f.name} ({formatQuantity(f.areaHa, "ha", 1)})
+                    </button>
+                    <button onClick={() => handleDeleteField(f)} className="ml-1 text-red-600" title={t("map.deleteField")}>
+                      ×
+                    </button>
+                  </span>
+                ))}
+              </span>
+            )}
+          </div>
+
           {location && (
             <div className="p-2 bg-white border rounded mb-3 text-sm shadow-sm">
-              <p>📍 <b>Location:</b> {locationName}</p>
+              <p>📍 <b>{t("map.location")}</b> {locationName}</p>
+              <p className="text-xs text-gray-500">
+                {t("map.latLon", { lat: formatNumber(location.lat, 2), lon: formatNumber(location.lng, 2) })}
+              </p>
+              {field ? (
+                <div className="flex items-center mt-1 space-x-2">
+                  <svg width="60" height="40" className="bg-green-50 border rounded">
+                    <path d={outlinePath(field.points, 60, 40)} fill="#86efac" stroke="#16a34a" strokeWidth="1.5" />
+                  </svg>
+                  <span>
+                    {field.name && <b>{field.name}: </b>}
+                    {formatQuantity(field.areaHa, "ha", 2)}
+                  </span>
+                </div>
+              ) : (
+                <p className="text-xs text-gray-500">{t("map.pointFarm", { area: formatQuantity(1, "ha", 0) })}</p>
+              )}
+            </div>
+          )}
+
+          {data && (
+            <div className="p-2 bg-white border rounded mb-3 text-sm shadow-sm">
+              <p>☀️ <b>{t("map.etoMethod")}</b> {etoMethodName(data.eto_methods || [])}</p>
               <p className="text-xs text-gray-500">
-                Lat: {location.lat.toFixed(2)}, Lon: {location.lng.toFixed(2)}
+                {t("map.etoMean", {
+                  eto: formatQuantity(mean(data.eto), "mm/day", 2),
+                  hargreaves: formatQuantity(mean(data.eto_hargreaves), "mm/day", 2),
+                })}
               </p>
+              {data.soil_moisture.length > 0 && (
+                <p className="text-xs text-gray-500">
+                  {t("map.noIrrigation", {
+                    soil: soilName(getSoil(soil)).toLocaleLowerCase(),
+                    left: formatQuantity(data.soil_moisture[data.soil_moisture.length - 1], "mm", 0),
+                    usable: formatQuantity(availableCapacity(getSoil(soil)), "mm", 0),
+                  })}
+                </p>
+              )}
             </div>
           )}
 
@@ -253,23 +713,43 @@ export default function MapPage() {
                 <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"/>
                 <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8v8H4z"/>
               </svg>
-              <span>⏳ Loading NASA data...</span>
+              <span>{t("map.loadingData")}</span>
             </div>
           )}
 
           {error && <p className="text-red-600 text-sm">{error}</p>}
         </div>
 
+        <div className="flex space-x-2 mb-2 text-sm">
+          <button
+            disabled={!data || loading}
+            onClick={handleExportScenario}
+            className="flex-1 py-1 rounded border bg-white hover:bg-gray-100 disabled:opacity-50"
+          >
+            {t("map.export")}
+          </button>
+          <button
+            disabled={!data || loading}
+            onClick={handleShareLink}
+            className="flex-1 py-1 rounded border bg-white hover:bg-gray-100 disabled:opacity-50"
+          >
+            {t("map.share")}
+          </button>
+          <label className="flex-1 py-1 rounded border bg-white hover:bg-gray-100 text-center cursor-pointer">
+            {t("map.import")}
+            <input type="file" accept=".json,application/json" onChange={handleImportScenario} className="hidden" />
+          </label>
+        </div>
         <button
-          disabled={!location || loading}
+          disabled={!data || loading}
           onClick={handleStartGame}
           className={`w-full py-2 rounded text-white font-semibold transition ${
-            !location || loading
+            !data || loading
               ? "bg-gray-400 cursor-not-allowed"
               : "bg-green-600 hover:bg-green-700"
           }`}
         >
-          🚜 {loading ? "Loading..." : "Start Simulation"}
+          🚜 {loading ? t("map.loadingShort") : t("map.start")}
         </button>
       </div>
     </div>
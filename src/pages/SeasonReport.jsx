@@ -0,0 +1,216 @@
+// SeasonReport.jsx
+import React, { useEffect, useRef, useState } from "react";
+import {
+  Chart,
+  LineController,
+  LineElement,
+  PointElement,
+  LinearScale,
+  CategoryScale,
+  Title,
+  Tooltip,
+  Legend
+} from "chart.js";
+import { useNavigate } from "react-router-dom";
+import { getCrop } from "../game/crops";
+import { cropName, displayUnit, formatDateTime, formatNumber, formatQuantity, t, toDisplay } from "../game/i18n";
+import { REPORT_COLUMNS, REPORT_KEY, TOTAL_UNITS, reportToCsv, reportToJson } from "../game/report";
+
+Chart.register(LineController, LineElement, PointElement, LinearScale, CategoryScale, Title, Tooltip, Legend);
+
+// One small chart per numeric column
+const CHARTED = REPORT_COLUMNS.filter((c) => c.decimals !== null && c.key !== "step");
+
+function download(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// Numbers are shown in the player's units, with one more decimal once converted;
+// the CSV and JSON downloads stay metric
+function formatCell(value, decimals, unit) {
+  if (value === null || value === undefined || value === "") return "–";
+  if (decimals === null) return value;
+  const converted = unit && unit !== "₦" && displayUnit(unit) !== unit;
+  return formatNumber(toDisplay(Number(value), unit), converted ? decimals + 1 : decimals);
+}
+
+function columnLabel(column) {
+  return t(`report.column.${column.key}`, { unit: displayUnit(column.unit) });
+}
+
+export default function SeasonReport() {
+  const navigate = useNavigate();
+  const [report] = useState(() => {
+    try {
+      return JSON.parse(localStorage.getItem(REPORT_KEY));
+    } catch {
+      return null;
+    }
+  });
+  const canvases = useRef({});
+
+  useEffect(() => {
+    if (!report) return;
+    const charts = CHARTED.map(
+      (column) =>
+        new Chart(canvases.current[column.key].getContext("2d"), {
+          type: "line",
+          data: {
+            labels: report.rows.map((r) => r.step),
+            datasets: [
+              {
+                label: columnLabel(column),
+                data: report.rows.map((r) => toDisplay(r[column.key], column.unit)),
+                borderColor: "#2563eb",
+                borderWidth: 1.5,
+                pointRadius: 0,
+                fill: false,
+              },
+            ],
+          },
+          options: {
+            responsive: false,
+            animation: false,
+            plugins: { legend: { display: false }, title: { display: true, text: columnLabel(column) } },
+          },
+        })
+    );
+    return () => charts.forEach((chart) => chart.destroy());
+  }, [report]);
+
+  if (!report) {
+    return (
+      <div className="p-6">
+        <p>{t("report.none")}</p>
+        <button className="mt-4 bg-green-500 text-white px-4 py-2 rounded hover:bg-green-600" onClick={() => navigate("/")}>
+          {t("end.toMap")}
+        </button>
+      </div>
+    );
+  }
+
+  const { setup, totals, meta } = report;
+  const baseName = `season-report-${(setup.locationName || "farm").replace(/[^\w-]+/g, "-").toLowerCase()}`;
+  const stepName = setup.stepDays === 1 ? "day" : setup.stepDays === 7 ? "week" : "step";
+
+  return (
+    <div className="p-6 max-w-5xl mx-auto text-sm print:p-0 print:max-w-none">
+      <div className="flex gap-2 mb-4 print:hidden">
+        <button
+          className="bg-blue-500 text-white px-4 py-2 rounded hover:bg-blue-600"
+          onClick={() => download(`${baseName}.csv`, reportToCsv(report), "text/csv")}
+        >
+          {t("report.csv")}
+        </button>
+        <button
+          className="bg-blue-500 text-white px-4 py-2 rounded hover:bg-blue-600"
+          onClick={() => download(`${baseName}.json`, reportToJson(report), "application/json")}
+        >
+          {t("report.json")}
+        </button>
+        <button className="bg-gray-600 text-white px-4 py-2 rounded hover:bg-gray-700" onClick={() => window.print()}>
+          {t("report.print")}
+        </button>
+        <button className="bg-green-500 text-white px-4 py-2 rounded hover:bg-green-600" onClick={() => navigate("/")}>
+          {t("end.toMap")}
+        </button>
+      </div>
+
+      <h1 className="text-2xl font-bold">{t("report.title")}</h1>
+      <p className="mt-1">
+        {t("report.setup", {
+          place: setup.locationName || t("map.unknownPlace"),
+          length: t(`report.${stepName}s`, { n: setup.seasonLength }),
+          area: formatQuantity(setup.areaHa, "ha", 2),
+          seed: setup.seed,
+        })}
+        {meta?.player ? ` · 🧑‍🌾 ${meta.player}` : ""}
+        {meta?.practice ? ` · ${t("report.practice")}` : ""}
+      </p>
+      <p className="text-gray-600">
+        {setup.plots
+          .map(
+            (p, i) =>
+              `${t("report.plot", {
+                n: i + 1,
+                crop: p.cropType ? cropName(getCrop(p.cropType)) : p.crop,
+                area: formatQuantity(p.areaHa, "ha", 2),
+                soil: p.soilType ? t(`soil.${p.soilType}`) : p.soil,
+              })}${p.drip ? `, ${t("report.drip")}` : ""}`
+          )
+          .join(" · ")}
+      </p>
+      <p className="text-gray-500 text-xs">{t("report.generated", { when: formatDateTime(report.generatedAt) })}</p>
+
+      <h2 className="text-lg font-semibold mt-4">{t("report.totals")}</h2>
+      <div className="grid grid-cols-2 gap-4 mt-1 print:grid-cols-4">
+        {Object.entries(TOTAL_UNITS).map(([section, units]) => (
+          <table key={section} className="w-full">
+            <thead>
+              <tr>
+                <th colSpan={2} className="text-left">{t(`report.section.${section}`)}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(units).map(([key, unit]) => (
+                <tr key={key}>
+                  <td>{t(`report.total.${section}.${key}`, { unit: displayUnit(unit) })}</td>
+                  <td className="text-right">{formatCell(totals[section][key], 1, unit)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ))}
+      </div>
+      <p className="mt-2">
+        {t("report.season", {
+          health: formatCell(totals.cropHealth, 0),
+          sustainability: formatCell(totals.sustainability, 0),
+          treatments: formatCell(totals.treatments, 1),
+        })}
+      </p>
+
+      <h2 className="text-lg font-semibold mt-4">{t("report.charts")}</h2>
+      <div className="flex flex-wrap gap-2 mt-1">
+        {CHARTED.map((column) => (
+          <canvas
+            key={column.key}
+            ref={(el) => (canvases.current[column.key] = el)}
+            width={300}
+            height={160}
+            className="break-inside-avoid"
+          />
+        ))}
+      </div>
+
+      <h2 className="text-lg font-semibold mt-4 print:break-before-page">{t(`report.by.${stepName}`)}</h2>
+      <table className="w-full text-xs mt-1 border-collapse">
+        <thead>
+          <tr className="text-gray-500">
+            {REPORT_COLUMNS.map((c) => (
+              <th key={c.key} className={`border-b px-1 ${c.decimals === null ? "text-left" : "text-right"}`}>
+                {columnLabel(c)}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {report.rows.map((row) => (
+            <tr key={row.step} className="odd:bg-gray-50 break-inside-avoid">
+              {REPORT_COLUMNS.map((c) => (
+                <td key={c.key} className={`px-1 ${c.decimals === null ? "text-left" : "text-right"}`}>
+                  {formatCell(row[c.key], c.decimals, c.unit)}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}